@@ -0,0 +1,53 @@
+/*
+ * Node.js counterpart of binaryXHR.js
+ * Builds BinaryFile compatible objects from local files or Buffers.
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+var fs = require("fs");
+var DataViewBinaryFile = require("./binaryXHR.js").DataViewBinaryFile;
+
+/**
+ * @param {Buffer} buf A Node.js Buffer (or Uint8Array) holding the content of the binary file.
+ * @return {DataViewBinaryFile} An object implementing the BinaryFile interface.
+ */
+function BinaryFileFromBuffer(buf) {
+	// a Buffer may be a view into a larger, shared, ArrayBuffer
+	var buffer = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+	return new DataViewBinaryFile(buffer);
+}
+
+/**
+ * @param {string} path Path of the local file to load.
+ * @return {DataViewBinaryFile} An object implementing the BinaryFile interface.
+ */
+function FetchBinaryFile(path) {
+	return BinaryFileFromBuffer(fs.readFileSync(path));
+}
+
+/**
+ * @param {string} path Path of the local file to load.
+ * @return {Promise} A promise that resolves to an object of type DataViewBinaryFile.
+ * It is rejected with the error reported by fs.readFile.
+ */
+function FetchBinaryFilePromise(path) {
+	return new Promise(function(resolve, reject) {
+		fs.readFile(path, function(err, buf) {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(BinaryFileFromBuffer(buf));
+			}
+		});
+	});
+}
+
+module.exports = {
+	BinaryFileFromBuffer: BinaryFileFromBuffer,
+	FetchBinaryFile: FetchBinaryFile,
+	FetchBinaryFilePromise: FetchBinaryFilePromise
+};
@@ -10,6 +10,65 @@ InvalidBinaryFile.prototype.toString = function() {
 	return this.name + ': "' + this.message + '"';
 };
 
+/**
+ * Thrown (or used as rejection value) when the request for a binary file could not reach the server.
+ * @constructor
+ */
+function FetchNetworkError(url) {
+	this.message = "Network error while loading " + url + ".";
+	this.name = "Fetch Network Error";
+	this.url = url;
+}
+
+FetchNetworkError.prototype.toString = function() {
+	return this.name + ': "' + this.message + '"';
+};
+
+/**
+ * Thrown (or used as rejection value) when the server answered with a non-2xx HTTP status.
+ * @constructor
+ */
+function FetchStatusError(url, status, status_text) {
+	this.message = "Loading " + url + " failed with HTTP status " + status + " " + status_text + ".";
+	this.name = "Fetch Status Error";
+	this.url = url;
+	this.status = status;
+	this.status_text = status_text;
+}
+
+FetchStatusError.prototype.toString = function() {
+	return this.name + ': "' + this.message + '"';
+};
+
+/**
+ * Thrown (or used as rejection value) when the request did not complete within the requested time.
+ * @constructor
+ */
+function FetchTimeoutError(url, timeout) {
+	this.message = "Loading " + url + " timed out after " + timeout + "ms.";
+	this.name = "Fetch Timeout Error";
+	this.url = url;
+	this.timeout = timeout;
+}
+
+FetchTimeoutError.prototype.toString = function() {
+	return this.name + ': "' + this.message + '"';
+};
+
+/**
+ * Thrown (or used as rejection value) when the request was aborted by the caller.
+ * @constructor
+ */
+function FetchAbortError(url) {
+	this.message = "Loading " + url + " was aborted.";
+	this.name = "Fetch Abort Error";
+	this.url = url;
+}
+
+FetchAbortError.prototype.toString = function() {
+	return this.name + ': "' + this.message + '"';
+};
+
 /**
  * This class implements the methods needed to access the content of the binary file.
  */
@@ -23,8 +82,12 @@ function BinaryFile(strData) {
 
 /**
  * @return {byte} an 8 bit unsigned integerr
+ * @throws {RangeError} if iOffset is past the end of the data.
  */
 BinaryFile.prototype.getByteAt = function(iOffset) {
+	if ((iOffset < 0) || (iOffset >= this.data.length)) {
+		throw new RangeError("Offset (" + iOffset + ") out of range [0-" + this.data.length + ").");
+	}
 	return this.data.charCodeAt(iOffset) & 0xFF;
 };
 
@@ -78,7 +141,7 @@ BinaryFile.prototype.getShortAt = function(iOffset) {
 BinaryFile.prototype.getSShortAt = function(iOffset) {
 	var iUShort = this.getShortAt(iOffset);
 	if (iUShort > 32767)
-		return iUShort - 2<<15;
+		return iUShort - 65536;
 	else
 		return iUShort;
 };
@@ -124,15 +187,16 @@ BinaryFile.prototype.getStringAt = function(iOffset, iLength) {
  */
 BinaryFile.prototype.getCStringAt = function(iOffset, iMaxLength) {
 	var aStr = [];
+	var iEnd = Math.min(iOffset + iMaxLength, this.data.length);
 	for (var i = iOffset, j = 0;
-			(i < iOffset + iMaxLength) && (this.getByteAt(i) > 0); i++, j++) {
+			(i < iEnd) && (this.getByteAt(i) > 0); i++, j++) {
 		aStr[j] = String.fromCharCode(this.getByteAt(i));
 	}
 	return aStr.join("");
 };
 
 /**
- * @return {double} a double float (64 bit little endian) from offset idx. returns undefined if the value is not a float or is infinity. 
+ * @return {double} a double float (64 bit little endian) from offset idx. returns undefined if the value is NaN (unknown); infinities and denormals are preserved.
  */
 BinaryFile.prototype.getDoubleAt = function(iOffset) {
 	var iByte1 = this.getEndianByteAt(iOffset, 8, 0),
@@ -147,9 +211,17 @@ BinaryFile.prototype.getDoubleAt = function(iOffset) {
 	var iExpRaw = ((iByte8 & 0x7F) << 4) + (iByte7 >> 4);
 	var iMantHi = ((((((iByte7 & 0x0F) << 8) + iByte6) << 8) + iByte5) << 8) + iByte4;
 	var iMantLo = ((((iByte3) << 8) + iByte2) << 8) + iByte1;
+	var iMantZero = (iMantHi === 0) && (iMantLo === 0);
 
-	if (iExpRaw === 0) return 0.0;
-	if (iExpRaw == 0x7ff) return undefined;
+	if (iExpRaw == 0x7ff) {
+		if (!iMantZero) return undefined;
+		return (iSign == 1) ? -Infinity : Infinity;
+	}
+	if (iExpRaw === 0) {
+		// zero or denormal, without the implicit leading 1
+		if (iMantZero) return 0.0;
+		return ((iSign == 1) ? -1 : 1) * Math.pow(2, -1022) * (iMantLo * this.doubleMantExpLo + iMantHi * this.doubleMantExpHi);
+	}
 
 	var iExp = (iExpRaw & 0x7FF) - 1023;
 
@@ -158,7 +230,7 @@ BinaryFile.prototype.getDoubleAt = function(iOffset) {
 };
 
 /**
- * @return {} Return a low resolution (20 bit mantissa) double flat obtained from the high 32 bits of the original little endian double float from offset idx. Return undefined if the value is not a float or is infinity.
+ * @return {} Return a low resolution (20 bit mantissa) double flat obtained from the high 32 bits of the original little endian double float from offset idx. Return undefined if the value is NaN (unknown), like getDoubleAt.
  */
 BinaryFile.prototype.getFastDoubleAt = function(iOffset) {
 	var iByte5 = this.getEndianByteAt(iOffset, 8, 4),
@@ -169,8 +241,15 @@ BinaryFile.prototype.getFastDoubleAt = function(iOffset) {
 	var iExpRaw = ((iByte8 & 0x7F) << 4) + (iByte7 >> 4);
 	var iMant = ((((iByte7 & 0x0F) << 8) + iByte6) << 8) + iByte5;
 
-	if (iExpRaw === 0) return 0.0;
-	if (iExpRaw == 0x7ff) return undefined;
+	if (iExpRaw == 0x7ff) {
+		// the low 32 bits are needed to tell NaN from infinity
+		return this.getDoubleAt(iOffset);
+	}
+	if (iExpRaw === 0) {
+		// zero or (low resolution) denormal
+		if (iMant === 0) return 0.0;
+		return ((iSign == 1) ? -1 : 1) * Math.pow(2, -1022) * iMant * this.doubleMantExpFast;
+	}
 
 	var iExp = (iExpRaw & 0x7FF) - 1023;
 
@@ -178,6 +257,21 @@ BinaryFile.prototype.getFastDoubleAt = function(iOffset) {
 	return dDouble;
 };
 
+/**
+ * @param {Number} iOffset offset of the first double
+ * @param {Number} count number of doubles to read
+ * @param {Number} stride distance in bytes between two consecutive doubles
+ * @return {Float64Array} the doubles, NaN where getDoubleAt would return undefined.
+ */
+BinaryFile.prototype.getDoubleArray = function(iOffset, count, stride) {
+	var out = new Float64Array(count);
+	for (var i = 0; i < count; i++) {
+		var dDouble = this.getDoubleAt(iOffset + i * stride);
+		out[i] = (dDouble === undefined) ? NaN : dDouble;
+	}
+	return out;
+};
+
 /**
  * @return {} Get a character from offset idx. 
  */
@@ -185,6 +279,148 @@ BinaryFile.prototype.getCharAt = function(iOffset) {
 	return String.fromCharCode(this.getByteAt(iOffset));
 };
 
+/**
+ * This class implements the same interface as BinaryFile, but is backed by an ArrayBuffer.
+ * All reads go through a DataView, so doubles (including NaN and Infinity) are decoded by the platform.
+ * @constructor
+ * @param {ArrayBuffer} buffer the raw content of the binary file.
+ */
+function DataViewBinaryFile(buffer) {
+	this.buffer = buffer;
+	this.view = new DataView(buffer);
+	this.switch_endian = false;
+}
+
+/**
+ * @return {byte} an 8 bit unsigned integer
+ */
+DataViewBinaryFile.prototype.getByteAt = function(iOffset) {
+	return this.view.getUint8(iOffset);
+};
+
+/**
+ * @return {ArrayBuffer} the buffer holding the file content.
+ */
+DataViewBinaryFile.prototype.getRawData = function() {
+	return this.buffer;
+};
+
+/**
+ * @return {byte} the delta-th byte of a width bytes long field, honoring switch_endian.
+ */
+DataViewBinaryFile.prototype.getEndianByteAt = function(iOffset, width, delta) {
+	if (this.switch_endian)
+		return this.getByteAt(iOffset + width - delta - 1);
+	else
+		return this.getByteAt(iOffset + delta);
+};
+
+/**
+ * @return {Number} the number of bytes held by the object.
+ */
+DataViewBinaryFile.prototype.getLength = function() {
+	return this.view.byteLength;
+};
+
+/**
+ * @return {SByte} an 8 bit signed integer from offset
+ */
+DataViewBinaryFile.prototype.getSByteAt = function(iOffset) {
+	return this.view.getInt8(iOffset);
+};
+
+/**
+ * @return {Short} a 16 bit little endian unsigned integer from offset idx.
+ */
+DataViewBinaryFile.prototype.getShortAt = function(iOffset) {
+	return this.view.getUint16(iOffset, !this.switch_endian);
+};
+
+/**
+ * @return {} a 16 bit little endian signed integer from offset idx
+ */
+DataViewBinaryFile.prototype.getSShortAt = function(iOffset) {
+	return this.view.getInt16(iOffset, !this.switch_endian);
+};
+
+/**
+ * @return {int} a 32 bit little endian unsigned integer from offset idx.
+ */
+DataViewBinaryFile.prototype.getLongAt = function(iOffset) {
+	return this.view.getUint32(iOffset, !this.switch_endian);
+};
+
+/**
+ * @return {int} a 32 bit little endian signed integer from offset idx
+ */
+DataViewBinaryFile.prototype.getSLongAt = function(iOffset) {
+	return this.view.getInt32(iOffset, !this.switch_endian);
+};
+
+/**
+ * @return {string} a fixed length string from offset idx
+ */
+DataViewBinaryFile.prototype.getStringAt = function(iOffset, iLength) {
+	var aStr = [];
+	for (var i = iOffset, j = 0; i < iOffset + iLength; i++, j++) {
+		aStr[j] = String.fromCharCode(this.view.getUint8(i));
+	}
+	return aStr.join("");
+};
+
+/**
+ * @return {string} Get a zero terminated string of limited size from offset idx.
+ */
+DataViewBinaryFile.prototype.getCStringAt = function(iOffset, iMaxLength) {
+	var aStr = [];
+	var iEnd = Math.min(iOffset + iMaxLength, this.view.byteLength);
+	for (var i = iOffset, j = 0; i < iEnd; i++, j++) {
+		var iByte = this.view.getUint8(i);
+		if (iByte === 0) break;
+		aStr[j] = String.fromCharCode(iByte);
+	}
+	return aStr.join("");
+};
+
+/**
+ * @return {double} a double float (64 bit little endian) from offset idx. returns undefined if the value is NaN (unknown); infinities and denormals are preserved.
+ */
+DataViewBinaryFile.prototype.getDoubleAt = function(iOffset) {
+	var dDouble = this.view.getFloat64(iOffset, !this.switch_endian);
+	if (isNaN(dDouble)) return undefined;
+	return dDouble;
+};
+
+/**
+ * Reading through a DataView is already fast, so this returns the full precision value.
+ * @return {double} same as getDoubleAt.
+ */
+DataViewBinaryFile.prototype.getFastDoubleAt = function(iOffset) {
+	return this.getDoubleAt(iOffset);
+};
+
+/**
+ * @param {Number} iOffset offset of the first double
+ * @param {Number} count number of doubles to read
+ * @param {Number} stride distance in bytes between two consecutive doubles
+ * @return {Float64Array} the doubles, NaN where getDoubleAt would return undefined.
+ */
+DataViewBinaryFile.prototype.getDoubleArray = function(iOffset, count, stride) {
+	var out = new Float64Array(count);
+	var little_endian = !this.switch_endian;
+	for (var i = 0; i < count; i++) {
+		out[i] = this.view.getFloat64(iOffset + i * stride, little_endian);
+	}
+	return out;
+};
+
+/**
+ * @return {} Get a character from offset idx.
+ */
+DataViewBinaryFile.prototype.getCharAt = function(iOffset) {
+	return String.fromCharCode(this.view.getUint8(iOffset));
+};
+
 /**
  * @param {string} url URL from where to load the binary file.
  * @return {BinaryFile} An object of type BinaryFile.
@@ -201,14 +437,15 @@ function FetchBinaryURL(url) {
 /**
  * @param {string} url URL from where to load the binary file.
  * @param {function} Pointer to the function that will be called when the binary file has been loaded. 
- * The function will be given one or two arguments; the first one is an object of type BinaryFile. The second one is the argument described below, if available.
+ * The function will be given one or two arguments; the first one is an object of type DataViewBinaryFile. The second one is the argument described below, if available.
  * @param {object} callback_arg If present, it will be given as argument to the callback function.
  * @return A reference to the XMLHttpRequest object. It may be used to verify the status of the load or to implement timeouts. The callback function will receive the loaded binary file.
  */
 function FetchBinaryURLAsync(url, callback, callback_arg) {
 	var callback_wrapper = function() {
 		if (this.readyState == 4) {
-			var bf = new BinaryFile(this.responseText);
+			// a failed request has no response, hand out an empty file
+			var bf = new DataViewBinaryFile(this.response !== null ? this.response : new ArrayBuffer(0));
 			if (callback_arg !== null) {
 				callback(bf, callback_arg);
 			} else {
@@ -220,8 +457,438 @@ function FetchBinaryURLAsync(url, callback, callback_arg) {
 	var request = new XMLHttpRequest();
 	request.onreadystatechange = callback_wrapper;
 	request.open("GET", url, true);
-	request.overrideMimeType('text/plain; charset=x-user-defined');
+	request.responseType = "arraybuffer";
 	request.send(null);
 	return request;
 }
 
+// Internal, sends an asynchronous GET request for url, adding the given request headers
+// Resolves to the XMLHttpRequest once it succeeded, rejects with a Fetch*Error otherwise
+function binaryXHRPromise(url, options, headers) {
+	if (options === undefined || options === null) {
+		options = {};
+	}
+
+	return new Promise(function(resolve, reject) {
+		var signal = options.signal;
+		if (signal && signal.aborted) {
+			reject(new FetchAbortError(url));
+			return;
+		}
+
+		var request = new XMLHttpRequest();
+		var abort_listener = function() {
+			request.abort();
+		};
+		var cleanup = function() {
+			if (signal) signal.removeEventListener("abort", abort_listener);
+		};
+
+		request.onload = function() {
+			cleanup();
+			// local files (file:// URLs) report status 0 on success
+			if ((this.status >= 200 && this.status < 300) || (this.status === 0 && this.response !== null)) {
+				resolve(this);
+			} else {
+				reject(new FetchStatusError(url, this.status, this.statusText));
+			}
+		};
+		request.onerror = function() {
+			cleanup();
+			reject(new FetchNetworkError(url));
+		};
+		request.ontimeout = function() {
+			cleanup();
+			reject(new FetchTimeoutError(url, options.timeout));
+		};
+		request.onabort = function() {
+			cleanup();
+			reject(new FetchAbortError(url));
+		};
+
+		if (signal) signal.addEventListener("abort", abort_listener);
+		request.open("GET", url, true);
+		request.responseType = "arraybuffer";
+		for (var name in headers) {
+			request.setRequestHeader(name, headers[name]);
+		}
+		if (options.timeout) request.timeout = options.timeout;
+		request.send(null);
+	});
+}
+
+/**
+ * @param {string} url URL from where to load the binary file.
+ * @param {object} options If present, it can contain any of the following:
+ * timeout - Number of milliseconds after which the request is given up.
+ * signal - An AbortSignal that can be used to abort the request.
+ * @return {Promise} A promise that resolves to an object of type DataViewBinaryFile.
+ * It is rejected with a FetchNetworkError, FetchStatusError, FetchTimeoutError or FetchAbortError.
+ */
+function FetchBinaryURLPromise(url, options) {
+	return binaryXHRPromise(url, options, {}).then(function(request) {
+		return new DataViewBinaryFile(request.response);
+	});
+}
+
+// ============================================================
+// Lazy loading, using HTTP Range requests
+
+/**
+ * Synchronously load a range of bytes of a file, using an HTTP Range request.
+ * Servers ignoring the Range header are supported too, by cutting the range out of the whole file.
+ * @param {string} url URL from where to load the bytes.
+ * @param {Number} start offset of the first byte
+ * @param {Number} end offset after the last byte
+ * @return {ArrayBuffer} the requested bytes.
+ * @throws {FetchNetworkError} or {FetchStatusError} if the request failed.
+ */
+function FetchBinaryRange(url, start, end) {
+	var request = new XMLHttpRequest();
+	request.open("GET", url, false);
+	// synchronous requests cannot ask for an arraybuffer from a window
+	request.overrideMimeType('text/plain; charset=x-user-defined');
+	request.setRequestHeader("Range", "bytes=" + start + "-" + (end - 1));
+	try {
+		request.send(null);
+	} catch (err) {
+		throw new FetchNetworkError(url);
+	}
+	var str = request.responseText;
+	if (request.status == 206) {
+		start = 0;
+	} else if ((request.status < 200 || request.status >= 300) && (request.status !== 0 || !str)) {
+		throw new FetchStatusError(url, request.status, request.statusText);
+	}
+	var bytes = new Uint8Array(Math.min(end, start + str.length) - start);
+	for (var i = 0; i < bytes.length; i++) {
+		bytes[i] = str.charCodeAt(start + i) & 0xFF;
+	}
+	return bytes.buffer;
+}
+
+/**
+ * Same as FetchBinaryRange, but asynchronous.
+ * @param {object} options Same as for FetchBinaryURLPromise.
+ * @return {Promise} A promise that resolves to an ArrayBuffer with the requested bytes.
+ */
+function FetchBinaryRangePromise(url, start, end, options) {
+	return binaryXHRPromise(url, options, {
+		Range: "bytes=" + start + "-" + (end - 1)
+	}).then(function(request) {
+		if (request.status == 206) return request.response;
+		return request.response.slice(start, end);
+	});
+}
+
+/**
+ * This class implements the same interface as BinaryFile, but only holds the blocks of the file that have been read.
+ * The missing blocks are loaded on demand, with HTTP Range requests; consecutive missing blocks are loaded by a single request.
+ * Use load() to fetch a region in advance, without blocking.
+ * @constructor
+ * @param {string} url URL of the binary file.
+ * @param {Number} file_size the size of the whole file, in bytes.
+ * @param {object} options If present, it can contain any of the following:
+ * block_size - Size in bytes of the cached blocks (default 65536).
+ * timeout, signal - Used by the asynchronous requests, see FetchBinaryURLPromise.
+ * fetch_range - function(url, start, end, options) returning a Promise of an ArrayBuffer (default FetchBinaryRangePromise).
+ * fetch_range_sync - function(url, start, end) returning an ArrayBuffer (default FetchBinaryRange).
+ */
+function RangeBinaryFile(url, file_size, options) {
+	if (options === undefined || options === null) {
+		options = {};
+	}
+	this.url = url;
+	this.file_size = file_size;
+	this.options = options;
+	this.block_size = options.block_size || 65536;
+	this.fetch_range = options.fetch_range || FetchBinaryRangePromise;
+	this.fetch_range_sync = options.fetch_range_sync || FetchBinaryRange;
+	this.blocks = {}; // block idx -> DataView
+	this.switch_endian = false;
+}
+
+// Internal, returns [start, end) of the runs of missing blocks between two offsets
+RangeBinaryFile.prototype.missingRanges = function(from, to) {
+	var runs = [];
+	var last_block = Math.floor((Math.min(to, this.file_size) - 1) / this.block_size);
+	for (var b = Math.floor(Math.max(from, 0) / this.block_size); b <= last_block; b++) {
+		if (this.blocks[b] !== undefined) continue;
+		var start = b * this.block_size;
+		if ((runs.length > 0) && (runs[runs.length - 1][1] == start)) {
+			runs[runs.length - 1][1] = Math.min(start + this.block_size, this.file_size);
+		} else {
+			runs.push([start, Math.min(start + this.block_size, this.file_size)]);
+		}
+	}
+	return runs;
+};
+
+// Internal, splits the bytes loaded from start in blocks
+RangeBinaryFile.prototype.storeRange = function(start, buffer) {
+	for (var offset = 0; offset < buffer.byteLength; offset += this.block_size) {
+		var size = Math.min(this.block_size, buffer.byteLength - offset);
+		this.blocks[(start + offset) / this.block_size] = new DataView(buffer, offset, size);
+	}
+};
+
+// Internal, synchronously loads whatever is missing between two offsets
+RangeBinaryFile.prototype.ensureRange = function(from, to) {
+	var runs = this.missingRanges(from, to);
+	for (var i = 0; i < runs.length; i++) {
+		this.storeRange(runs[i][0], this.fetch_range_sync(this.url, runs[i][0], runs[i][1]));
+	}
+};
+
+// Internal, returns a DataView and the offset in it of the width bytes at iOffset
+RangeBinaryFile.prototype.getView = function(iOffset, width) {
+	if ((iOffset < 0) || (iOffset + width > this.file_size)) {
+		throw new RangeError("Offset (" + iOffset + ") out of range [0-" + this.file_size + ").");
+	}
+	this.ensureRange(iOffset, iOffset + width);
+	var block = Math.floor(iOffset / this.block_size);
+	var offset = iOffset - block * this.block_size;
+	var view = this.blocks[block];
+	if (offset + width <= view.byteLength) {
+		return [view, offset];
+	}
+	if (view.byteLength < Math.min(this.block_size, this.file_size - block * this.block_size)) {
+		// the server sent fewer bytes than asked for, e.g. the file shrank meanwhile
+		throw new RangeError("Offset (" + iOffset + ") out of range [0-" + (block * this.block_size + view.byteLength) + ").");
+	}
+	// crosses a block boundary, copy the bytes
+	var bytes = new Uint8Array(width);
+	for (var i = 0; i < width; i++) {
+		bytes[i] = this.getByteAt(iOffset + i);
+	}
+	return [new DataView(bytes.buffer), 0];
+};
+
+/**
+ * Asynchronously load all the missing blocks between two offsets.
+ * @param {Number} from offset of the first byte (default 0)
+ * @param {Number} to offset after the last byte (default the file size)
+ * @return {Promise} A promise that resolves to this object, once the bytes can be read without further requests.
+ */
+RangeBinaryFile.prototype.load = function(from, to) {
+	if (from === undefined) from = 0;
+	if (to === undefined) to = this.file_size;
+	var obj = this;
+	var runs = this.missingRanges(from, to);
+	var promises = [];
+	for (var i = 0; i < runs.length; i++) {
+		promises.push(this.loadRun(runs[i][0], runs[i][1]));
+	}
+	return Promise.all(promises).then(function() {
+		return obj;
+	});
+};
+
+// Internal, used by load
+RangeBinaryFile.prototype.loadRun = function(start, end) {
+	var obj = this;
+	return this.fetch_range(this.url, start, end, this.options).then(function(buffer) {
+		obj.storeRange(start, buffer);
+	});
+};
+
+/**
+ * @return {Number} the number of bytes actually loaded.
+ */
+RangeBinaryFile.prototype.getLoadedLength = function() {
+	var len = 0;
+	for (var b in this.blocks) {
+		len += this.blocks[b].byteLength;
+	}
+	return len;
+};
+
+/**
+ * @return {byte} an 8 bit unsigned integer
+ */
+RangeBinaryFile.prototype.getByteAt = function(iOffset) {
+	var v = this.getView(iOffset, 1);
+	return v[0].getUint8(v[1]);
+};
+
+/**
+ * The file is not held as a whole.
+ * @return {undefined}
+ */
+RangeBinaryFile.prototype.getRawData = function() {
+	return undefined;
+};
+
+/**
+ * @return {byte} the delta-th byte of a width bytes long field, honoring switch_endian.
+ */
+RangeBinaryFile.prototype.getEndianByteAt = function(iOffset, width, delta) {
+	if (this.switch_endian)
+		return this.getByteAt(iOffset + width - delta - 1);
+	else
+		return this.getByteAt(iOffset + delta);
+};
+
+/**
+ * @return {Number} the size of the whole file, loaded or not.
+ */
+RangeBinaryFile.prototype.getLength = function() {
+	return this.file_size;
+};
+
+/**
+ * @return {SByte} an 8 bit signed integer from offset
+ */
+RangeBinaryFile.prototype.getSByteAt = function(iOffset) {
+	var v = this.getView(iOffset, 1);
+	return v[0].getInt8(v[1]);
+};
+
+/**
+ * @return {Short} a 16 bit little endian unsigned integer from offset idx.
+ */
+RangeBinaryFile.prototype.getShortAt = function(iOffset) {
+	var v = this.getView(iOffset, 2);
+	return v[0].getUint16(v[1], !this.switch_endian);
+};
+
+/**
+ * @return {} a 16 bit little endian signed integer from offset idx
+ */
+RangeBinaryFile.prototype.getSShortAt = function(iOffset) {
+	var v = this.getView(iOffset, 2);
+	return v[0].getInt16(v[1], !this.switch_endian);
+};
+
+/**
+ * @return {int} a 32 bit little endian unsigned integer from offset idx.
+ */
+RangeBinaryFile.prototype.getLongAt = function(iOffset) {
+	var v = this.getView(iOffset, 4);
+	return v[0].getUint32(v[1], !this.switch_endian);
+};
+
+/**
+ * @return {int} a 32 bit little endian signed integer from offset idx
+ */
+RangeBinaryFile.prototype.getSLongAt = function(iOffset) {
+	var v = this.getView(iOffset, 4);
+	return v[0].getInt32(v[1], !this.switch_endian);
+};
+
+/**
+ * @return {string} a fixed length string from offset idx
+ */
+RangeBinaryFile.prototype.getStringAt = function(iOffset, iLength) {
+	var aStr = [];
+	for (var i = iOffset, j = 0; i < iOffset + iLength; i++, j++) {
+		aStr[j] = String.fromCharCode(this.getByteAt(i));
+	}
+	return aStr.join("");
+};
+
+/**
+ * @return {string} Get a zero terminated string of limited size from offset idx.
+ */
+RangeBinaryFile.prototype.getCStringAt = function(iOffset, iMaxLength) {
+	var aStr = [];
+	var iEnd = Math.min(iOffset + iMaxLength, this.file_size);
+	for (var i = iOffset, j = 0; i < iEnd; i++, j++) {
+		var iByte = this.getByteAt(i);
+		if (iByte === 0) break;
+		aStr[j] = String.fromCharCode(iByte);
+	}
+	return aStr.join("");
+};
+
+/**
+ * @return {double} a double float (64 bit little endian) from offset idx. returns undefined if the value is NaN (unknown); infinities and denormals are preserved.
+ */
+RangeBinaryFile.prototype.getDoubleAt = function(iOffset) {
+	var v = this.getView(iOffset, 8);
+	var dDouble = v[0].getFloat64(v[1], !this.switch_endian);
+	if (isNaN(dDouble)) return undefined;
+	return dDouble;
+};
+
+/**
+ * @return {double} same as getDoubleAt.
+ */
+RangeBinaryFile.prototype.getFastDoubleAt = function(iOffset) {
+	return this.getDoubleAt(iOffset);
+};
+
+/**
+ * All the missing blocks are loaded by a single request.
+ * @param {Number} iOffset offset of the first double
+ * @param {Number} count number of doubles to read
+ * @param {Number} stride distance in bytes between two consecutive doubles
+ * @return {Float64Array} the doubles, NaN where getDoubleAt would return undefined.
+ */
+RangeBinaryFile.prototype.getDoubleArray = function(iOffset, count, stride) {
+	var out = new Float64Array(count);
+	if (count < 1) return out;
+	this.ensureRange(iOffset, iOffset + (count - 1) * stride + 8);
+	var little_endian = !this.switch_endian;
+	for (var i = 0; i < count; i++) {
+		var v = this.getView(iOffset + i * stride, 8);
+		out[i] = v[0].getFloat64(v[1], little_endian);
+	}
+	return out;
+};
+
+/**
+ * @return {} Get a character from offset idx.
+ */
+RangeBinaryFile.prototype.getCharAt = function(iOffset) {
+	return String.fromCharCode(this.getByteAt(iOffset));
+};
+
+/**
+ * Load only the first block of the file, using an HTTP Range request; the rest is loaded on demand.
+ * If the server does not support Range requests, the whole file is loaded instead.
+ * For cross-origin URLs, the server must expose the Content-Range header.
+ * @param {string} url URL from where to load the binary file.
+ * @param {object} options Same as for RangeBinaryFile; block_size should be big enough to hold the RRD header.
+ * @return {Promise} A promise that resolves to an object of type RangeBinaryFile, or DataViewBinaryFile if the whole file was sent.
+ * It is rejected with a FetchNetworkError, FetchStatusError, FetchTimeoutError or FetchAbortError.
+ */
+function FetchBinaryURLRange(url, options) {
+	if (options === undefined || options === null) {
+		options = {};
+	}
+	var block_size = options.block_size || 65536;
+	return binaryXHRPromise(url, options, {
+		Range: "bytes=0-" + (block_size - 1)
+	}).then(function(request) {
+		// Content-Range: bytes 0-65535/1234567
+		var content_range = (request.status == 206) ? request.getResponseHeader("Content-Range") : null;
+		var match = (content_range !== null) ? /\/(\d+)\s*$/.exec(content_range) : null;
+		if (match === null) {
+			return new DataViewBinaryFile(request.response);
+		}
+		var bf = new RangeBinaryFile(url, parseInt(match[1], 10), options);
+		bf.storeRange(0, request.response);
+		return bf;
+	});
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		InvalidBinaryFile: InvalidBinaryFile,
+		FetchNetworkError: FetchNetworkError,
+		FetchStatusError: FetchStatusError,
+		FetchTimeoutError: FetchTimeoutError,
+		FetchAbortError: FetchAbortError,
+		BinaryFile: BinaryFile,
+		DataViewBinaryFile: DataViewBinaryFile,
+		FetchBinaryURL: FetchBinaryURL,
+		FetchBinaryURLAsync: FetchBinaryURLAsync,
+		FetchBinaryURLPromise: FetchBinaryURLPromise,
+		FetchBinaryRange: FetchBinaryRange,
+		FetchBinaryRangePromise: FetchBinaryRangePromise,
+		RangeBinaryFile: RangeBinaryFile,
+		FetchBinaryURLRange: FetchBinaryURLRange
+	};
+}
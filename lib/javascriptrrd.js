@@ -0,0 +1,33 @@
+/*
+ * Entry point for Node.js and bundlers
+ * Collects the exports of all the non-graphical javascriptRRD modules.
+ * Browsers without a bundler should use javascriptrrd.wlibs.js instead.
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+var modules = [
+	require("./binaryXHR.js"),
+	require("./binaryFS.js"),
+	require("./rrdFile.js"),
+	require("./rrdFileXML.js"),
+	require("./rrdFileTable.js"),
+	require("./rrdMemFile.js"),
+	require("./rrdFilter.js"),
+	require("./rrdMultiFile.js"),
+	require("./rrdExport.js"),
+	require("./rrdWriter.js"),
+	require("./rrdWorker.js"),
+	require("./rrdFlotSupport.js")
+];
+
+for (var i = 0; i < modules.length; i++) {
+	for (var name in modules[i]) {
+		if (modules[i].hasOwnProperty(name)) {
+			module.exports[name] = modules[i][name];
+		}
+	}
+}
@@ -0,0 +1,92 @@
+/*
+ * ES module entry point, for import and the bundlers preferring ES modules
+ * Re-exports the CommonJS entry point javascriptrrd.js, see there for the list of modules.
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+import javascriptrrd from "./javascriptrrd.js";
+
+export default javascriptrrd;
+export const {
+	InvalidBinaryFile,
+	FetchNetworkError,
+	FetchStatusError,
+	FetchTimeoutError,
+	FetchAbortError,
+	BinaryFile,
+	DataViewBinaryFile,
+	FetchBinaryURL,
+	FetchBinaryURLAsync,
+	FetchBinaryURLPromise,
+	FetchBinaryRange,
+	FetchBinaryRangePromise,
+	RangeBinaryFile,
+	FetchBinaryURLRange,
+	BinaryFileFromBuffer,
+	FetchBinaryFile,
+	FetchBinaryFilePromise,
+	InvalidRRD,
+	RRDDS,
+	RRDRRAInfo,
+	RRDRRA,
+	RRDFile,
+	loadRRD,
+	rrdFetch,
+	rrdRowTimestamp,
+	rrdRowForTime,
+	rrdElAt,
+	rrdRowIterator,
+	rrdRowRange,
+	rrdIsUnknown,
+	rrdApplyUnknown,
+	rrdParseDouble,
+	rrdGetColumn,
+	rrdGetRows,
+	rrdRPNOps,
+	rrdRPNMaxNodes,
+	RRDFileFromXML,
+	RRDTableFile,
+	rrdParseXport,
+	rrdParseFetch,
+	RRDMemFile,
+	RRDFilterDS,
+	RRDFltOpIdent,
+	RRDFltOpIdentId,
+	RRDFilterOp,
+	RRAFilterShift,
+	RRDRRAFltAvgOpNewStep,
+	RRDRRAFilterAvg,
+	RRDFilterStitch,
+	RRDRRASum,
+	RRDFileSum,
+	rrdExportCSV,
+	rrdExportJSON,
+	rrdExportXML,
+	rrdWriteBinary,
+	RRDWorkerError,
+	rrdWorkerSerialize,
+	rrdWorkerFlotSeries,
+	rrdWorkerFlotObj,
+	rrdWorkerLoad,
+	rrdWorkerListen,
+	RRDPreparedFile,
+	RRDWorkerClient,
+	rrdWorkerCanPost,
+	rrdDS2FlotSeries,
+	rrdRRA2FlotObj,
+	rrdRRAStackFlotObj,
+	rrdAutoRRAStackFlotObj,
+	rrdRRAMultiStackFlotObj,
+	rrdHWFlotObj,
+	rrdFlotSelection,
+	rrdFlotSyncGroup,
+	rrdFlotListeners,
+	rrdFlotStateToHash,
+	rrdFlotStateFromHash,
+	populateGraphOptions,
+	rfs_format_time
+} = javascriptrrd;
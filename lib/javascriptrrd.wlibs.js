@@ -19,13 +19,20 @@ includeJS([
 	"../node_modules/flot/jquery.js",
 	"binaryXHR.js",
 	"rrdFile.js",
+	"rrdFileXML.js",
+	"rrdFileTable.js",
+	"rrdMemFile.js",
 	"rrdFlotSupport.js",
 	"rrdFlot.js",
 	"rrdFlotMatrix.js",
 	"rrdFilter.js",
 	"rrdMultiFile.js",
+	"rrdExport.js",
+	"rrdWriter.js",
+	"rrdWorker.js",
 	"rrdFlotAsync.js",
 	"../node_modules/flot/jquery.flot.js",
 	"../node_modules/flot/jquery.flot.time.js",
-	"../node_modules/flot/jquery.flot.selection.js"
+	"../node_modules/flot/jquery.flot.selection.js",
+	"../node_modules/flot/jquery.flot.crosshair.js"
 ]);
\ No newline at end of file
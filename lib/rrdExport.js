@@ -0,0 +1,285 @@
+/*
+ * Export the content of a RRA to CSV, JSON or rrdtool dump XML
+ * Works on any object implementing the RRDFile interface,
+ * including the filters
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ * Common parameters of all the export functions:
+ *   rrd_file - any object implementing the RRDFile interface
+ *   rra_idx  - the RRA to export
+ *   ds_list  - list of DS names or indexes, undefined for all DSs
+ *   options  - optional, an object with
+ *     start: only export rows with a timestamp >= start (in seconds)
+ *     end:   only export rows with a timestamp <= end (in seconds)
+ *
+ * Timestamps are in seconds, in UTC, and mark the end of each row's interval,
+ * as in rrdtool fetch.
+ * RRAs whose rows are not evenly spaced (i.e. implementing getRowStep, like the ones of RRDFilterStitch)
+ * are exported with the timestamp of each row; step is then the finest one.
+ */
+
+// Internal, collect the values to export
+function rrdExportRows(rrd_file, rra_idx, ds_list, options) {
+	if (options === undefined) options = {};
+	if (ds_list === undefined) {
+		ds_list = [];
+		for (var d = 0; d < rrd_file.getNrDSs(); d++) ds_list.push(d);
+	}
+
+	var rra = rrd_file.getRRA(rra_idx);
+	var rra_rows = rra.getNrRows();
+	var step = rra.getStep();
+	var last_update = rrd_file.getLastUpdate();
+	var last_row = last_update - (last_update % step);
+	var first_row = last_row - (rra_rows - 1) * step;
+
+	var out = {
+		step: step,
+		cf: rra.getCFName(),
+		dss: [],
+		ds_names: [],
+		timestamps: [],
+		steps: [], // the step of each row
+		rows: [] // one array of values per row, undefined if unknown
+	};
+	var ds_ids = [];
+	for (var i = 0; i < ds_list.length; i++) {
+		var ds = rrd_file.getDS(ds_list[i]);
+		out.dss.push(ds);
+		out.ds_names.push(ds.getName());
+		ds_ids.push(ds.getIdx());
+	}
+
+	var uneven = (rra.getRowStep !== undefined);
+	for (var row = 0; row < rra_rows; row++) {
+		var timestamp = uneven ? rra.getTimestamp(row) : first_row + row * step;
+		if ((options.start !== undefined) && (timestamp < options.start)) continue;
+		if ((options.end !== undefined) && (timestamp > options.end)) continue;
+		var vals = [];
+		for (var j = 0; j < ds_ids.length; j++) {
+			vals.push(rra.getEl(row, ds_ids[j]));
+		}
+		out.timestamps.push(timestamp);
+		out.steps.push(uneven ? rra.getRowStep(row) : step);
+		out.rows.push(vals);
+	}
+	return out;
+}
+
+// Internal, quote a CSV field if needed
+function rrdExportCSVField(str, separator) {
+	if ((str.indexOf(separator) >= 0) || (str.indexOf("\"") >= 0) || (str.indexOf("\n") >= 0)) {
+		return "\"" + str.replace(/"/g, "\"\"") + "\"";
+	}
+	return str;
+}
+
+/**
+ * options can also contain
+ *   separator: the field separator (default ",")
+ *   unknown:   the string used for unknown values (default "")
+ * @return {string} The values in CSV format, one row per line, the first column being the timestamp.
+ */
+function rrdExportCSV(rrd_file, rra_idx, ds_list, options) {
+	if (options === undefined) options = {};
+	var separator = (options.separator !== undefined) ? options.separator : ",";
+	var unknown = (options.unknown !== undefined) ? options.unknown : "";
+	var data = rrdExportRows(rrd_file, rra_idx, ds_list, options);
+
+	var header = ["timestamp"];
+	for (var i = 0; i < data.ds_names.length; i++) {
+		header.push(rrdExportCSVField(data.ds_names[i], separator));
+	}
+	var lines = [header.join(separator)];
+	for (var r = 0; r < data.rows.length; r++) {
+		var fields = [String(data.timestamps[r])];
+		for (var j = 0; j < data.rows[r].length; j++) {
+			var el = data.rows[r][j];
+			fields.push((el === undefined) ? unknown : String(el));
+		}
+		lines.push(fields.join(separator));
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * The layout follows rrdtool xport --json --showtime,
+ * so the result can be read back with rrdParseXport.
+ * @return {string} The values in JSON format, unknown values being null.
+ * JSON has no infinities, so they are written as the strings "Inf" and "-Inf".
+ */
+function rrdExportJSON(rrd_file, rra_idx, ds_list, options) {
+	var data = rrdExportRows(rrd_file, rra_idx, ds_list, options);
+	var rows = [];
+	for (var r = 0; r < data.rows.length; r++) {
+		var row = [data.timestamps[r]];
+		for (var j = 0; j < data.rows[r].length; j++) {
+			var el = data.rows[r][j];
+			if (el === undefined) {
+				row.push(null);
+			} else if (!isFinite(el)) {
+				row.push((el > 0) ? "Inf" : "-Inf");
+			} else {
+				row.push(el);
+			}
+		}
+		rows.push(row);
+	}
+	var nr_rows = data.timestamps.length;
+	return JSON.stringify({
+		meta: {
+			start: (nr_rows > 0) ? data.timestamps[0] : null,
+			end: (nr_rows > 0) ? data.timestamps[nr_rows - 1] : null,
+			step: data.step,
+			cf: data.cf,
+			rows: nr_rows,
+			columns: data.ds_names.length,
+			legend: data.ds_names
+		},
+		data: rows
+	});
+}
+
+// Internal, format a number the way rrdtool dump does
+function rrdExportXMLNumber(val) {
+	if ((val === undefined) || (val === null) || isNaN(val)) return "NaN";
+	if (!isFinite(val)) return (val > 0) ? "Inf" : "-Inf";
+	// rrdtool uses %0.10e, which has at least two exponent digits
+	return val.toExponential(10).replace(/e([+-])(\d)$/, "e$10$2");
+}
+
+// Internal, escape the XML special characters
+function rrdExportXMLEscape(str) {
+	return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * The result is a dump of a RRD containing only the exported RRA and DSs,
+ * which can be loaded with rrdtool restore or RRDFileFromXML.
+ * Rows outside the start/end range are kept, but with unknown values,
+ * so that the row timestamps still match lastupdate.
+ * Rows that are not evenly spaced are exported as one RRA per step, each one padded with unknown values
+ * up to lastupdate.
+ * DS types other than the rrdtool ones (e.g. computed by the filters) are exported as GAUGE,
+ * and RRAs using other CFs than AVERAGE, MIN, MAX and LAST as AVERAGE.
+ * @return {string} The RRA in rrdtool dump XML format.
+ */
+function rrdExportXML(rrd_file, rra_idx, ds_list, options) {
+	if (options === undefined) options = {};
+	var data = rrdExportRows(rrd_file, rra_idx, ds_list, {});
+	var min_step = rrd_file.getMinStep();
+	var last_update = rrd_file.getLastUpdate();
+	var ds_types = ["GAUGE", "COUNTER", "DERIVE", "ABSOLUTE", "DCOUNTER", "DDERIVE"];
+	var cfs = ["AVERAGE", "MIN", "MAX", "LAST"];
+
+	var out = [];
+	out.push("<?xml version=\"1.0\" encoding=\"utf-8\"?>");
+	out.push("<!DOCTYPE rrd SYSTEM \"http://oss.oetiker.ch/rrdtool/rrdtool.dtd\">");
+	out.push("<!-- Round Robin Database Dump -->");
+	out.push("<rrd>");
+	out.push("\t<version>0003</version>");
+	out.push("\t<step>" + min_step + "</step> <!-- Seconds -->");
+	out.push("\t<lastupdate>" + last_update + "</lastupdate>");
+	out.push("");
+
+	var i, ds;
+	for (i = 0; i < data.dss.length; i++) {
+		ds = data.dss[i];
+		var type = ds.getType();
+		if (ds_types.indexOf(type) < 0) type = "GAUGE";
+		var heartbeat = (ds.getHeartbeat !== undefined) ? ds.getHeartbeat() : undefined;
+		if (heartbeat === undefined) heartbeat = 2 * min_step;
+		var last_ds = (ds.getLastDS !== undefined) ? ds.getLastDS() : "U";
+		var pdp_value = (ds.getPDPValue !== undefined) ? ds.getPDPValue() : 0;
+		var unknown_sec = (ds.getUnknownSec !== undefined) ? ds.getUnknownSec() : last_update % min_step;
+		out.push("\t<ds>");
+		out.push("\t\t<name> " + rrdExportXMLEscape(ds.getName()) + " </name>");
+		out.push("\t\t<type> " + type + " </type>");
+		out.push("\t\t<minimal_heartbeat>" + heartbeat + "</minimal_heartbeat>");
+		out.push("\t\t<min>" + rrdExportXMLNumber(ds.getMin()) + "</min>");
+		out.push("\t\t<max>" + rrdExportXMLNumber(ds.getMax()) + "</max>");
+		out.push("");
+		out.push("\t\t<!-- PDP Status -->");
+		out.push("\t\t<last_ds>" + rrdExportXMLEscape(last_ds) + "</last_ds>");
+		out.push("\t\t<value>" + rrdExportXMLNumber(pdp_value) + "</value>");
+		out.push("\t\t<unknown_sec> " + unknown_sec + " </unknown_sec>");
+		out.push("\t</ds>");
+		out.push("");
+	}
+
+	var cf = data.cf;
+	if (cfs.indexOf(cf) < 0) cf = "AVERAGE";
+	var xff = 0.5;
+	var rra_info = rrd_file.getRRAInfo !== undefined ? rrd_file.getRRAInfo(rra_idx) : undefined;
+	if ((rra_info !== undefined) && (rra_info.getXFF !== undefined)) xff = rra_info.getXFF();
+
+	// one RRA per step, from the finest
+	var steps = [];
+	var r;
+	for (r = 0; r < data.steps.length; r++) {
+		if (steps.indexOf(data.steps[r]) < 0) steps.push(data.steps[r]);
+	}
+	steps.sort(function(a, b) {
+		return a - b;
+	});
+
+	out.push("\t<!-- Round Robin Archives -->");
+	for (var s = 0; s < steps.length; s++) {
+		var step = steps[s];
+		var row_for_time = {};
+		var first_ts = null;
+		for (r = 0; r < data.rows.length; r++) {
+			if (data.steps[r] != step) continue;
+			row_for_time[data.timestamps[r]] = data.rows[r];
+			if (first_ts === null) first_ts = data.timestamps[r];
+		}
+		var last_ts = last_update - (last_update % step);
+		var pdp_per_row = Math.max(1, Math.round(step / min_step));
+
+		out.push("\t<rra>");
+		out.push("\t\t<cf>" + cf + "</cf>");
+		out.push("\t\t<pdp_per_row>" + pdp_per_row + "</pdp_per_row> <!-- " + step + " seconds -->");
+		out.push("");
+		out.push("\t\t<params>");
+		out.push("\t\t<xff>" + rrdExportXMLNumber(xff) + "</xff>");
+		out.push("\t\t</params>");
+		out.push("\t\t<cdp_prep>");
+		for (i = 0; i < data.dss.length; i++) {
+			out.push("\t\t\t<ds>");
+			out.push("\t\t\t<primary_value>NaN</primary_value>");
+			out.push("\t\t\t<secondary_value>NaN</secondary_value>");
+			out.push("\t\t\t<value>NaN</value>");
+			out.push("\t\t\t<unknown_datapoints>0</unknown_datapoints>");
+			out.push("\t\t\t</ds>");
+		}
+		out.push("\t\t</cdp_prep>");
+		out.push("\t\t<database>");
+		for (var timestamp = first_ts; timestamp <= last_ts; timestamp += step) {
+			var vals = row_for_time[timestamp];
+			var in_range = (vals !== undefined) && !(((options.start !== undefined) && (timestamp < options.start)) ||
+				((options.end !== undefined) && (timestamp > options.end)));
+			var row = "\t\t\t<!-- " + new Date(timestamp * 1000).toISOString().replace("T", " ").substr(0, 19) +
+				" UTC / " + timestamp + " --> <row>";
+			for (var j = 0; j < data.dss.length; j++) {
+				row += "<v>" + rrdExportXMLNumber(in_range ? vals[j] : undefined) + "</v>";
+			}
+			out.push(row + "</row>");
+		}
+		out.push("\t\t</database>");
+		out.push("\t</rra>");
+	}
+	out.push("</rrd>");
+	return out.join("\n") + "\n";
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		rrdExportCSV: rrdExportCSV,
+		rrdExportJSON: rrdExportJSON,
+		rrdExportXML: rrdExportXML
+	};
+}
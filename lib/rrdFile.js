@@ -1,10 +1,28 @@
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var FetchBinaryURLPromise = require("./binaryXHR.js").FetchBinaryURLPromise;
+}
+
 /**
  * This is a helper exception class that can be thrown while interpreting the binary file object.
  * @constructor
+ * @param {string} msg Human readable description of the problem.
+ * @param {object} details If present, it can contain any of the following, which are then available as attributes of the exception:
+ * field - Name of the offending field (e.g. "magic_float" or "rra[3]").
+ * offset - Offset in bytes of the offending field.
+ * expected_size - Number of bytes the file was expected to have.
+ * actual_size - Number of bytes the file really has.
  */
-function InvalidRRD(msg) {
+function InvalidRRD(msg, details) {
+	if (details === undefined || details === null) {
+		details = {};
+	}
 	this.message = msg;
 	this.name = "Invalid RRD";
+	this.field = details.field;
+	this.offset = details.offset;
+	this.expected_size = details.expected_size;
+	this.actual_size = details.actual_size;
 }
 
 /**
@@ -15,14 +33,31 @@ InvalidRRD.prototype.toString = function() {
 };
 
 
+// Internal, read an unsigned long, either stored as such or in a unival
+// On big endian 64 bit platforms the low 32 bits are in the second half
+function rrdGetULongAt(rrd_data, idx, int_width) {
+	if (rrd_data.switch_endian && (int_width == 8)) {
+		return rrd_data.getLongAt(idx + 4);
+	} else {
+		return rrd_data.getLongAt(idx);
+	}
+}
+
 /**
  * This class implements the methods needed to access the information about a RRD Data Source.
  * @constructor
  */
-function RRDDS(rrd_data, rrd_data_idx, my_idx) {
+function RRDDS(rrd_data, rrd_data_idx, my_idx, int_width, pdp_prep_idx) {
 	this.rrd_data = rrd_data;
 	this.rrd_data_idx = rrd_data_idx;
 	this.my_idx = my_idx;
+	this.int_width = int_width;
+	this.pdp_prep_idx = pdp_prep_idx;
+
+	// char ds_nam[20], char dst[20], unival par[10]
+	this.par_idx = rrd_data_idx + 40;
+	// char last_ds[30], unival scratch[10]
+	this.pdp_scratch_idx = pdp_prep_idx + 32;
 }
 
 /**
@@ -47,35 +82,310 @@ RRDDS.prototype.getType = function() {
 };
 
 /**
- * @return {Number} the minimum value the data source can contain.
+ * @return {Number} the minimum value the data source can contain, undefined for COMPUTE data sources.
  */
 RRDDS.prototype.getMin = function() {
-	return this.rrd_data.getDoubleAt(this.rrd_data_idx + 48);
+	// COMPUTE data sources store the RPN program in par[] instead
+	if (this.getType() == "COMPUTE") return undefined;
+	return this.rrd_data.getDoubleAt(this.par_idx + 8);
 };
 
 /**
- * @return {Number} the maximum value the data source can contain.
+ * @return {Number} the maximum value the data source can contain, undefined for COMPUTE data sources.
  */
 RRDDS.prototype.getMax = function() {
-	return this.rrd_data.getDoubleAt(this.rrd_data_idx + 56);
+	if (this.getType() == "COMPUTE") return undefined;
+	return this.rrd_data.getDoubleAt(this.par_idx + 16);
+};
+
+/**
+ * @return {Number} the minimal heartbeat (mrhb), i.e. the maximum number of seconds between two updates before the data source becomes unknown.
+ * undefined for COMPUTE data sources.
+ */
+RRDDS.prototype.getHeartbeat = function() {
+	if (this.getType() == "COMPUTE") return undefined;
+	return rrdGetULongAt(this.rrd_data, this.par_idx, this.int_width);
+};
+
+/**
+ * @return {string} the last value fed to the data source, as it was passed to rrdtool update.
+ */
+RRDDS.prototype.getLastDS = function() {
+	return this.rrd_data.getCStringAt(this.pdp_prep_idx, 30);
+};
+
+/**
+ * @return {Number} the number of seconds of the current PDP for which the value is unknown.
+ */
+RRDDS.prototype.getUnknownSec = function() {
+	return rrdGetULongAt(this.rrd_data, this.pdp_scratch_idx, this.int_width);
 };
 
+/**
+ * @return {Number} the value accumulated so far in the current PDP.
+ */
+RRDDS.prototype.getPDPValue = function() {
+	return this.rrd_data.getDoubleAt(this.pdp_scratch_idx + 8);
+};
+
+/**
+ * @return {Array} the RPN program of a COMPUTE data source, as a list of {op, val} tokens, or null for any other type.
+ * op is the operator name (e.g. "+" or "MAX"), val is the number pushed by "NUMBER" tokens and the DS index read by "VARIABLE" ones.
+ */
+RRDDS.prototype.getRPN = function() {
+	if (this.getType() != "COMPUTE") return null;
+
+	// rpn_cdefds_t { char op; short val; } nodes, packed starting at par[DS_cdef], DS_cdef == 0
+	var rpn_idx = this.par_idx;
+	var tokens = [];
+	for (var i = 0; i < rrdRPNMaxNodes; i++) {
+		var node_idx = rpn_idx + i * 4;
+		var op = this.rrd_data.getByteAt(node_idx);
+		if (rrdRPNOps[op] === undefined) {
+			throw new InvalidRRD("Unknown RPN operator " + op + ".", {
+				field: "ds_def[" + this.my_idx + "].par",
+				offset: node_idx
+			});
+		}
+		if (rrdRPNOps[op] == "END") break;
+		tokens.push({
+			op: rrdRPNOps[op],
+			val: this.rrd_data.getSShortAt(node_idx + 2)
+		});
+	}
+	return tokens;
+};
+
+/**
+ * @param {Array} ds_names If present, the names used for the DSs referenced by the expression, else they are shown as ds0, ds1, ...
+ * @return {string} the RPN expression of a COMPUTE data source, as it would be given to rrdtool create, or null for any other type.
+ */
+RRDDS.prototype.getRPNExpression = function(ds_names) {
+	var tokens = this.getRPN();
+	if (tokens === null) return null;
+
+	var out = [];
+	for (var i = 0; i < tokens.length; i++) {
+		if (tokens[i].op == "NUMBER") {
+			out.push(String(tokens[i].val));
+		} else if (tokens[i].op == "VARIABLE") {
+			out.push((ds_names !== undefined) ? ds_names[tokens[i].val] : "ds" + tokens[i].val);
+		} else {
+			out.push(tokens[i].op);
+		}
+	}
+	return out.join(",");
+};
+
+
+// ============================================================
+// RPN support for COMPUTE data sources
+
+// Internal, operator codes as defined in rrd_rpn.h (enum op_en)
+var rrdRPNOps = ["NUMBER", "VARIABLE", "INF", "PREV", "NEGINF",
+	"UNKN", "NOW", "TIME", "+", "%", "-", "*",
+	"/", "SIN", "DUP", "EXC", "POP",
+	"COS", "LOG", "EXP", "LT", "LE", "GT", "GE", "EQ", "IF",
+	"MIN", "MAX", "LIMIT", "FLOOR", "CEIL",
+	"UN", "END", "LTIME", "NE", "ISINF", "PREV_OTHER", "COUNT",
+	"ATAN", "SQRT", "SORT", "REV", "TREND", "TRENDNAN",
+	"ATAN2", "RAD2DEG", "DEG2RAD",
+	"PREDICT", "PREDICTSIGMA",
+	"AVG", "ABS", "ADDNAN"
+];
+
+// Internal, DS_CDEF_MAX_RPN_NODES, i.e. sizeof(unival) * 10 / sizeof(rpn_cdefds_t)
+var rrdRPNMaxNodes = 20;
+
+// Internal, evaluate a list of RPN tokens (as returned by RRDDS.getRPN)
+// get_var(ds_idx) must return the value of the referenced DS, timestamp is used by TIME, NOW and LTIME
+// and prev is the value PREV refers to
+// Unknown values are handled as NaN, and an unknown result is returned as undefined
+function rrdRPNCalc(tokens, get_var, timestamp, prev) {
+	var stack = [];
+	var a, b, c, n, i, vals;
+
+	var pop = function() {
+		if (stack.length === 0) throw new RangeError("RPN stack underflow.");
+		return stack.pop();
+	};
+	var cmp = function(a, b, res) {
+		if (isNaN(a)) return a;
+		if (isNaN(b)) return b;
+		return res ? 1.0 : 0.0;
+	};
+
+	for (var t = 0; t < tokens.length; t++) {
+		var op = tokens[t].op;
+		switch (op) {
+			case "NUMBER":
+				stack.push(tokens[t].val);
+				break;
+			case "VARIABLE":
+				a = get_var(tokens[t].val);
+				stack.push((a === undefined) ? NaN : a);
+				break;
+			case "INF":
+				stack.push(Infinity);
+				break;
+			case "NEGINF":
+				stack.push(-Infinity);
+				break;
+			case "UNKN":
+				stack.push(NaN);
+				break;
+			case "PREV":
+				stack.push((prev === undefined) ? NaN : prev);
+				break;
+			case "NOW":
+				stack.push(Math.floor(new Date().getTime() / 1000));
+				break;
+			case "TIME":
+				stack.push(timestamp);
+				break;
+			case "LTIME":
+				stack.push(timestamp - new Date(timestamp * 1000).getTimezoneOffset() * 60);
+				break;
+			case "DUP":
+				a = pop();
+				stack.push(a, a);
+				break;
+			case "EXC":
+				b = pop();
+				a = pop();
+				stack.push(b, a);
+				break;
+			case "POP":
+				pop();
+				break;
+			case "SIN":
+			case "COS":
+			case "LOG":
+			case "EXP":
+			case "ATAN":
+			case "SQRT":
+			case "FLOOR":
+			case "CEIL":
+			case "ABS":
+				a = pop();
+				stack.push(Math[op.toLowerCase()](a));
+				break;
+			case "RAD2DEG":
+				stack.push(pop() * 180.0 / Math.PI);
+				break;
+			case "DEG2RAD":
+				stack.push(pop() * Math.PI / 180.0);
+				break;
+			case "UN":
+				stack.push(isNaN(pop()) ? 1.0 : 0.0);
+				break;
+			case "ISINF":
+				a = pop();
+				stack.push(((a === Infinity) || (a === -Infinity)) ? 1.0 : 0.0);
+				break;
+			case "+":
+			case "-":
+			case "*":
+			case "/":
+			case "%":
+			case "ADDNAN":
+			case "ATAN2":
+			case "LT":
+			case "LE":
+			case "GT":
+			case "GE":
+			case "EQ":
+			case "NE":
+			case "MIN":
+			case "MAX":
+				b = pop();
+				a = pop();
+				if (op == "+") stack.push(a + b);
+				else if (op == "-") stack.push(a - b);
+				else if (op == "*") stack.push(a * b);
+				else if (op == "/") stack.push(a / b);
+				else if (op == "%") stack.push(a % b);
+				else if (op == "ADDNAN") stack.push(isNaN(a) ? b : (isNaN(b) ? a : a + b));
+				else if (op == "ATAN2") stack.push(Math.atan2(a, b));
+				else if (op == "LT") stack.push(cmp(a, b, a < b));
+				else if (op == "LE") stack.push(cmp(a, b, a <= b));
+				else if (op == "GT") stack.push(cmp(a, b, a > b));
+				else if (op == "GE") stack.push(cmp(a, b, a >= b));
+				else if (op == "EQ") stack.push(cmp(a, b, a == b));
+				else if (op == "NE") stack.push(cmp(a, b, a != b));
+				else if (op == "MIN") stack.push((isNaN(a) || isNaN(b)) ? NaN : Math.min(a, b));
+				else stack.push((isNaN(a) || isNaN(b)) ? NaN : Math.max(a, b));
+				break;
+			case "IF":
+				c = pop();
+				b = pop();
+				a = pop();
+				// an unknown condition takes the else branch
+				stack.push((isNaN(a) || (a === 0.0)) ? c : b);
+				break;
+			case "LIMIT":
+				c = pop();
+				b = pop();
+				a = pop();
+				if (isNaN(a) || isNaN(b) || isNaN(c)) stack.push(NaN);
+				else stack.push(((a < b) || (a > c)) ? NaN : a);
+				break;
+			case "SORT":
+			case "REV":
+			case "AVG":
+				n = pop();
+				vals = [];
+				for (i = 0; i < n; i++) vals.unshift(pop());
+				if (op == "SORT") {
+					vals.sort(function(x, y) {
+						return x - y;
+					});
+					for (i = 0; i < n; i++) stack.push(vals[i]);
+				} else if (op == "REV") {
+					for (i = n - 1; i >= 0; i--) stack.push(vals[i]);
+				} else {
+					a = 0.0;
+					c = 0;
+					for (i = 0; i < n; i++) {
+						if (!isNaN(vals[i])) {
+							a += vals[i];
+							c++;
+						}
+					}
+					stack.push((c > 0) ? a / c : NaN);
+				}
+				break;
+			default:
+				throw new RangeError("RPN operator " + op + " is not supported.");
+		}
+	}
+
+	var res = pop();
+	if (isNaN(res)) return undefined;
+	return res;
+}
+
 
 /**
  * This class implements the methods needed to access the information about a Round Robin Archive.
  * @constructor
  */
 function RRDRRAInfo(rrd_data, rra_def_idx,
-	int_align, row_cnt, pdp_step, my_idx) {
+	int_align, row_cnt, pdp_step, my_idx,
+	unival_align, cdp_prep_idx, ds_cnt) {
 	this.rrd_data = rrd_data;
 	this.rra_def_idx = rra_def_idx;
 	this.int_align = int_align;
 	this.row_cnt = row_cnt;
 	this.pdp_step = pdp_step;
 	this.my_idx = my_idx;
+	this.cdp_prep_idx = cdp_prep_idx;
+	this.ds_cnt = ds_cnt;
 
 	// char nam[20], uint row_cnt, uint pdp_cnt
 	this.rra_pdp_cnt_idx = rra_def_idx + Math.ceil(20 / int_align) * int_align + int_align;
+	// followed by unival par[10]
+	this.rra_par_idx = rra_def_idx + Math.ceil((Math.ceil(20 / int_align) * int_align + 2 * int_align) / unival_align) * unival_align;
 }
 
 /**
@@ -96,7 +406,7 @@ RRDRRAInfo.prototype.getNrRows = function() {
  * @return {Number} number of slots used for consolidation.
  */
 RRDRRAInfo.prototype.getPdpPerRow = function() {
-	return this.rrd_data.getLongAt(this.rra_pdp_cnt_idx);
+	return rrdGetULongAt(this.rrd_data, this.rra_pdp_cnt_idx, this.int_align);
 };
 
 /**
@@ -113,6 +423,137 @@ RRDRRAInfo.prototype.getCFName = function() {
 	return this.rrd_data.getCStringAt(this.rra_def_idx, 20);
 };
 
+/**
+ * @return {Number} the xfiles factor, i.e. the fraction of unknown PDPs allowed in a consolidated row.
+ */
+RRDRRAInfo.prototype.getXFF = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx);
+};
+
+/**
+ * @return {boolean} true if the RRA is one of the Holt-Winters (aberrant behavior detection) RRAs.
+ */
+RRDRRAInfo.prototype.isHoltWinters = function() {
+	var cf = this.getCFName();
+	return (cf == "HWPREDICT") || (cf == "MHWPREDICT") || (cf == "SEASONAL") || (cf == "DEVSEASONAL") ||
+		(cf == "DEVPREDICT") || (cf == "FAILURES");
+};
+
+/**
+ * Only valid for HWPREDICT and MHWPREDICT RRAs.
+ * @return {Number} the smoothing parameter of the intercept.
+ */
+RRDRRAInfo.prototype.getHWAlpha = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 1 * 8);
+};
+
+/**
+ * Only valid for HWPREDICT and MHWPREDICT RRAs.
+ * @return {Number} the smoothing parameter of the slope.
+ */
+RRDRRAInfo.prototype.getHWBeta = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 2 * 8);
+};
+
+/**
+ * Only valid for SEASONAL and DEVSEASONAL RRAs.
+ * @return {Number} the smoothing parameter of the seasonal coefficients.
+ */
+RRDRRAInfo.prototype.getSeasonalGamma = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 1 * 8);
+};
+
+/**
+ * Only valid for SEASONAL and DEVSEASONAL RRAs.
+ * @return {Number} the fraction of the season used to smooth the seasonal coefficients.
+ */
+RRDRRAInfo.prototype.getSeasonalSmoothingWindow = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 2 * 8);
+};
+
+/**
+ * Only valid for Holt-Winters RRAs.
+ * HWPREDICT depends on SEASONAL, SEASONAL and DEVSEASONAL on HWPREDICT, DEVPREDICT and FAILURES on DEVSEASONAL.
+ * @return {Number} the index of the RRA this one depends on.
+ */
+RRDRRAInfo.prototype.getDependentRRAIdx = function() {
+	return rrdGetULongAt(this.rrd_data, this.rra_par_idx + 3 * 8, this.int_align);
+};
+
+/**
+ * Only valid for FAILURES RRAs.
+ * @return {Number} the scaling of the deviation used for the upper bound of the confidence band.
+ */
+RRDRRAInfo.prototype.getDeltaPos = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 1 * 8);
+};
+
+/**
+ * Only valid for FAILURES RRAs.
+ * @return {Number} the scaling of the deviation used for the lower bound of the confidence band.
+ */
+RRDRRAInfo.prototype.getDeltaNeg = function() {
+	return this.rrd_data.getDoubleAt(this.rra_par_idx + 2 * 8);
+};
+
+/**
+ * Only valid for FAILURES RRAs.
+ * @return {Number} the number of violations of the confidence band, within the window, that make a failure.
+ */
+RRDRRAInfo.prototype.getFailureThreshold = function() {
+	return rrdGetULongAt(this.rrd_data, this.rra_par_idx + 5 * 8, this.int_align);
+};
+
+/**
+ * Only valid for FAILURES RRAs.
+ * @return {Number} the number of rows considered when looking for failures.
+ */
+RRDRRAInfo.prototype.getWindowLength = function() {
+	return rrdGetULongAt(this.rrd_data, this.rra_par_idx + 4 * 8, this.int_align);
+};
+
+// Internal, index of the CDP scratch area of a DS
+RRDRRAInfo.prototype.calc_cdp_idx = function(ds_idx) {
+	if ((ds_idx >= 0) && (ds_idx < this.ds_cnt)) {
+		// unival scratch[10]
+		return this.cdp_prep_idx + ds_idx * 80;
+	} else {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+};
+
+/**
+ * @param {number} ds_idx ds
+ * @return {Number} the value consolidated so far in the current row, for the d-th DS.
+ */
+RRDRRAInfo.prototype.getCDPValue = function(ds_idx) {
+	return this.rrd_data.getDoubleAt(this.calc_cdp_idx(ds_idx));
+};
+
+/**
+ * @param {number} ds_idx ds
+ * @return {Number} the number of unknown PDPs in the current row, for the d-th DS.
+ */
+RRDRRAInfo.prototype.getCDPUnknownPdps = function(ds_idx) {
+	return rrdGetULongAt(this.rrd_data, this.calc_cdp_idx(ds_idx) + 8, this.int_align);
+};
+
+/**
+ * @param {number} ds_idx ds
+ * @return {Number} the primary value of the last consolidated row, for the d-th DS.
+ */
+RRDRRAInfo.prototype.getCDPPrimaryValue = function(ds_idx) {
+	return this.rrd_data.getDoubleAt(this.calc_cdp_idx(ds_idx) + 8 * 8);
+};
+
+/**
+ * @param {number} ds_idx ds
+ * @return {Number} the secondary value of the last consolidated row, for the d-th DS.
+ */
+RRDRRAInfo.prototype.getCDPSecondaryValue = function(ds_idx) {
+	return this.rrd_data.getDoubleAt(this.calc_cdp_idx(ds_idx) + 9 * 8);
+};
+
 
 /**
  * This class implements the methods needed to access the content of a Round Robin Archive.
@@ -120,18 +561,22 @@ RRDRRAInfo.prototype.getCFName = function() {
  */
 function RRDRRA(rrd_data, rra_ptr_idx,
 	rra_info,
-	header_size, prev_row_cnts, ds_cnt) {
+	header_size, prev_row_cnts, ds_cnt,
+	compute_rpns, last_update) {
 	this.rrd_data = rrd_data;
 	this.rra_info = rra_info;
 	this.row_cnt = rra_info.row_cnt;
 	this.ds_cnt = ds_cnt;
+	// if present, a list of RPN programs (or null) indexed by DS, see RRDFile
+	this.compute_rpns = compute_rpns;
+	this.last_update = last_update;
 
 	var row_size = ds_cnt * 8;
 
 	this.base_rrd_db_idx = header_size + prev_row_cnts * row_size;
 
 	// get imediately, since it will be needed often
-	this.cur_row = rrd_data.getLongAt(rra_ptr_idx);
+	this.cur_row = rrdGetULongAt(rrd_data, rra_ptr_idx, rra_info.int_align);
 
 	// calculate idx relative to base_rrd_db_idx
 	// mostly used internally
@@ -181,8 +626,9 @@ RRDRRA.prototype.getStep = function() {
 };
 
 /**
- * The current implementation only supports AVERAGE,MAXIMUM,MINIMUM and LAST.
- * Access to elements of any other CF is currently undefined.
+ * Besides AVERAGE, MIN, MAX and LAST, the Holt-Winters CFs are supported:
+ * HWPREDICT and MHWPREDICT rows hold the predictions, SEASONAL and DEVSEASONAL the seasonal coefficients and deviations,
+ * DEVPREDICT the deviations of the predictions and FAILURES a 1 for every row where a failure was detected.
  *
  * @return {string} the Consolidation Function used by the RRA.
  */
@@ -196,6 +642,9 @@ RRDRRA.prototype.getCFName = function() {
  * @return {Number} the value for the d-th DS in the r-th row.
  */
 RRDRRA.prototype.getEl = function(row_idx, ds_idx) {
+	if ((this.compute_rpns !== undefined) && (this.compute_rpns[ds_idx])) {
+		return this.computeEl(row_idx, ds_idx);
+	}
 	return this.rrd_data.getDoubleAt(this.base_rrd_db_idx + this.calc_idx(row_idx, ds_idx));
 };
 
@@ -205,9 +654,285 @@ RRDRRA.prototype.getEl = function(row_idx, ds_idx) {
  * @return {Number} the low-precision value for the d-th DS in the r-th row. 
  */
 RRDRRA.prototype.getElFast = function(row_idx, ds_idx) {
+	if ((this.compute_rpns !== undefined) && (this.compute_rpns[ds_idx])) {
+		return this.computeEl(row_idx, ds_idx);
+	}
 	return this.rrd_data.getFastDoubleAt(this.base_rrd_db_idx + this.calc_idx(row_idx, ds_idx));
 };
 
+/**
+ * Only valid for FAILURES RRAs.
+ * @param {number} row_idx row
+ * @param {number} ds_idx ds
+ * @return {boolean} true if a failure was detected for the d-th DS in the r-th row, undefined if unknown.
+ */
+RRDRRA.prototype.isFailure = function(row_idx, ds_idx) {
+	var el = this.getEl(row_idx, ds_idx);
+	if (el === undefined) return undefined;
+	return el > 0;
+};
+
+/**
+ * Evaluate the RPN program of a COMPUTE DS over the values of the other DSs in the same row.
+ * PREV refers to the value stored in the previous row.
+ *
+ * @param {number} row_idx row
+ * @param {number} ds_idx ds
+ * @return {Number} the computed value for the d-th DS in the r-th row.
+ */
+RRDRRA.prototype.computeEl = function(row_idx, ds_idx) {
+	var rra = this;
+	var timestamp = this.getTimestamp(row_idx);
+	var prev;
+	if (row_idx > 0) {
+		prev = this.rrd_data.getDoubleAt(this.base_rrd_db_idx + this.calc_idx(row_idx - 1, ds_idx));
+	}
+	return rrdRPNCalc(this.compute_rpns[ds_idx], function(var_idx) {
+		return rra.getEl(row_idx, var_idx);
+	}, timestamp, prev);
+};
+
+/**
+ * @param {number} row_idx row
+ * @return {Number} the time (in seconds) at the end of the interval covered by the r-th row.
+ */
+RRDRRA.prototype.getTimestamp = function(row_idx) {
+	return rrdRowTimestamp(this, row_idx, this.last_update);
+};
+
+/**
+ * @param {Number} timestamp time in seconds
+ * @return {Number} the row covering timestamp, or -1 if it is outside of the RRA.
+ */
+RRDRRA.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+
+/**
+ * @param {Number} timestamp time in seconds
+ * @param {number} ds_idx ds
+ * @return {Number} the value for the d-th DS in the row covering timestamp, undefined if unknown or outside of the RRA.
+ */
+RRDRRA.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+
+/**
+ * @param {number} from_row first row (default 0)
+ * @param {number} to_row row after the last one (default the number of rows)
+ * @return {Object} an iterator over the rows, whose values are {timestamp, values}.
+ */
+RRDRRA.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+/**
+ * @param {number} ds_idx ds
+ * @param {number} from_row first row (default 0)
+ * @param {number} to_row row after the last one (default the number of rows)
+ * @return {Float64Array} the values of the d-th DS in the requested rows, NaN where unknown.
+ */
+RRDRRA.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	var range = rrdRowRange(this, from_row, to_row);
+	if ((this.rrd_data.getDoubleArray === undefined) ||
+		((this.compute_rpns !== undefined) && (this.compute_rpns[ds_idx]))) {
+		return rrdGetColumn(this, ds_idx, range[0], range[1]);
+	}
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+
+	// read the rows in at most two chunks, split where the round robin wraps around
+	var row_size = this.ds_cnt * 8;
+	var cnt = range[1] - range[0];
+	var out = new Float64Array(cnt);
+	var real_row_idx = (range[0] + this.cur_row + 1) % this.row_cnt;
+	var first_cnt = Math.min(cnt, this.row_cnt - real_row_idx);
+	out.set(this.rrd_data.getDoubleArray(this.base_rrd_db_idx + row_size * real_row_idx + ds_idx * 8, first_cnt, row_size));
+	if (first_cnt < cnt) {
+		out.set(this.rrd_data.getDoubleArray(this.base_rrd_db_idx + ds_idx * 8, cnt - first_cnt, row_size), first_cnt);
+	}
+	return out;
+};
+
+/**
+ * @param {number} from_row first row (default 0)
+ * @param {number} to_row row after the last one (default the number of rows)
+ * @return {Array} one Float64Array per row, with the values of all the DSs, NaN where unknown.
+ */
+RRDRRA.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+// ============================================================
+// Unknown values, shared by all the RRA implementations, filters and sums
+//
+// rrdtool stores UNKNOWN as NaN. getEl() and getElFast() return undefined for it,
+// while getColumn() and getRows() keep NaN. +Inf, -Inf and denormals are valid values,
+// returned as they are.
+// Filters and sums combining several values take an "unknown" option:
+//   "propagate" - any unknown input makes the result unknown
+//   "zero"      - unknown inputs count as 0
+//   "skip"      - unknown inputs are ignored, the result is unknown only if all of them are
+
+// Internal, true for the values representing UNKNOWN (undefined, null or NaN)
+function rrdIsUnknown(val) {
+	return (val === undefined) || (val === null) || (typeof val == "number" && isNaN(val));
+}
+
+// Internal, apply an unknown policy to a list of values
+// Return the list of values to combine, or null if the result is unknown
+function rrdApplyUnknown(val_list, policy) {
+	var out = [];
+	for (var i = 0; i < val_list.length; i++) {
+		if (!rrdIsUnknown(val_list[i])) {
+			out.push(val_list[i]);
+		} else if (policy == "zero") {
+			out.push(0);
+		} else if (policy == "skip") {
+			continue;
+		} else if (policy == "propagate") {
+			return null;
+		} else {
+			throw RangeError("Unknown value policy (" + policy + ") not in [propagate, zero, skip].");
+		}
+	}
+	if (out.length === 0) return null;
+	return out;
+}
+
+// Internal, parse a number as printed by rrdtool, NaN if unknown
+// rrdtool prints the infinities as inf, Inf or Infinity
+function rrdParseDouble(str) {
+	if ((str === undefined) || (str === null)) return NaN;
+	var val = parseFloat(str);
+	if (isNaN(val) && /^\s*[+-]?inf/i.test(str)) {
+		val = (String(str).indexOf("-") >= 0) ? -Infinity : Infinity;
+	}
+	return val;
+}
+
+// ============================================================
+// Bulk access, shared by all the RRA implementations
+
+// Internal, validate a [from_row, to_row) range, returned as [from_row, to_row] with the defaults applied
+function rrdRowRange(rra, from_row, to_row) {
+	var row_cnt = rra.getNrRows();
+	if (from_row === undefined) from_row = 0;
+	if (to_row === undefined) to_row = row_cnt;
+	if ((from_row < 0) || (from_row > to_row) || (to_row > row_cnt)) {
+		throw RangeError("Row range [" + from_row + "-" + to_row + ") out of range [0-" + row_cnt + ").");
+	}
+	return [from_row, to_row];
+}
+
+// Internal, column built one element at a time, for the RRAs with no faster access
+function rrdGetColumn(rra, ds_idx, from_row, to_row) {
+	var range = rrdRowRange(rra, from_row, to_row);
+	var out = new Float64Array(range[1] - range[0]);
+	for (var i = range[0]; i < range[1]; i++) {
+		var el = rra.getEl(i, ds_idx);
+		out[i - range[0]] = (el === undefined) ? NaN : el;
+	}
+	return out;
+}
+
+// Internal, row matrix built from the columns
+function rrdGetRows(rra, from_row, to_row) {
+	var range = rrdRowRange(rra, from_row, to_row);
+	var ds_cnt = rra.getNrDSs();
+	var rows = [];
+	for (var i = range[0]; i < range[1]; i++) {
+		rows.push(new Float64Array(ds_cnt));
+	}
+	for (var d = 0; d < ds_cnt; d++) {
+		var column = rra.getColumn(d, range[0], range[1]);
+		for (var r = 0; r < column.length; r++) {
+			rows[r][d] = column[r];
+		}
+	}
+	return rows;
+}
+
+// ============================================================
+// Time based access, shared by all the RRA implementations
+// They only rely on getNrRows(), getNrDSs(), getStep(), getEl() and getTimestamp()
+
+// Internal, timestamp of a row, the last one ending at last_update rounded to the step (as in rrdtool fetch)
+function rrdRowTimestamp(rra, row_idx, last_update) {
+	var row_cnt = rra.getNrRows();
+	if ((row_idx < 0) || (row_idx >= row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + row_cnt + ").");
+	}
+	var step = rra.getStep();
+	return last_update - (last_update % step) - (row_cnt - 1 - row_idx) * step;
+}
+
+// Internal, find the row whose interval (timestamp - step, timestamp] contains timestamp, -1 if none does
+// Works also when rows are not evenly spaced, if the RRA implements getRowStep(row_idx)
+function rrdRowForTime(rra, timestamp) {
+	var row_cnt = rra.getNrRows();
+	// first row ending at or after timestamp
+	var lo = 0,
+		hi = row_cnt;
+	while (lo < hi) {
+		var mid = Math.floor((lo + hi) / 2);
+		if (rra.getTimestamp(mid) < timestamp) {
+			lo = mid + 1;
+		} else {
+			hi = mid;
+		}
+	}
+	if (lo >= row_cnt) return -1;
+	var step = (rra.getRowStep !== undefined) ? rra.getRowStep(lo) : rra.getStep();
+	if (timestamp <= rra.getTimestamp(lo) - step) return -1;
+	return lo;
+}
+
+// Internal, value at a given time, undefined if outside of the RRA
+function rrdElAt(rra, timestamp, ds_idx) {
+	var row_idx = rra.getRowForTime(timestamp);
+	if (row_idx < 0) return undefined;
+	return rra.getEl(row_idx, ds_idx);
+}
+
+// Internal, iterator over the rows between from_row (included) and to_row (excluded)
+// It follows the ES2015 iterator protocol, so it can also be used with for...of
+function rrdRowIterator(rra, from_row, to_row) {
+	var row_idx = (from_row !== undefined) ? from_row : 0;
+	var end_row = (to_row !== undefined) ? to_row : rra.getNrRows();
+	var ds_cnt = rra.getNrDSs();
+	var iterator = {
+		next: function() {
+			if (row_idx >= end_row) {
+				return {
+					done: true,
+					value: undefined
+				};
+			}
+			var values = [];
+			for (var d = 0; d < ds_cnt; d++) {
+				values.push(rra.getEl(row_idx, d));
+			}
+			var row = {
+				timestamp: rra.getTimestamp(row_idx),
+				values: values
+			};
+			row_idx++;
+			return {
+				done: false,
+				value: row
+			};
+		}
+	};
+	if (typeof Symbol !== "undefined") {
+		iterator[Symbol.iterator] = function() {
+			return this;
+		};
+	}
+	return iterator;
+}
+
 // ============================================================
 // RRD Header handling class
 function RRDHeader(rrd_data) {
@@ -216,28 +941,53 @@ function RRDHeader(rrd_data) {
 	this.calc_idxs();
 }
 
+// Internal, throws an InvalidRRD if the file is shorter than size bytes
+// field and offset identify what was being looked for
+RRDHeader.prototype.check_size = function(size, field, offset) {
+	var file_size = this.rrd_data.getLength();
+	if (file_size < size) {
+		throw new InvalidRRD("File truncated in " + field + " (expected at least " + size + " bytes, got " + file_size + ").", {
+			field: field,
+			offset: offset,
+			expected_size: size,
+			actual_size: file_size
+		});
+	}
+};
+
 // Internal, used for initialization
 RRDHeader.prototype.validate_rrd = function() {
-	if (this.rrd_data.getLength() < 1) throw new InvalidRRD("Empty file.");
-	if (this.rrd_data.getLength() < 16) throw new InvalidRRD("File too short.");
-	if (this.rrd_data.getCStringAt(0, 4) !== "RRD") throw new InvalidRRD("Wrong magic id.");
+	if (this.rrd_data.getLength() < 1) throw new InvalidRRD("Empty file.", {
+		expected_size: 16,
+		actual_size: 0
+	});
+	this.check_size(16, "header", 0);
+	if (this.rrd_data.getCStringAt(0, 4) !== "RRD") throw new InvalidRRD("Wrong magic id.", {
+		field: "cookie",
+		offset: 0
+	});
 
 	this.rrd_version = this.rrd_data.getCStringAt(4, 5);
 	if ((this.rrd_version !== "0003") && (this.rrd_version !== "0004") && (this.rrd_version !== "0001")) {
-		throw new InvalidRRD("Unsupported RRD version " + this.rrd_version + ".");
+		throw new InvalidRRD("Unsupported RRD version " + this.rrd_version + ".", {
+			field: "version",
+			offset: 4
+		});
 	}
 
 	this.float_width = 8;
 	if (this.rrd_data.getLongAt(12) === 0) {
 		// not a double here... likely 64 bit
 		this.float_align = 8;
+		this.check_size(32, "float_cookie", 16);
 		if (this.rrd_data.getDoubleAt(16) != 8.642135e+130) {
 			// uhm... wrong endian?
 			this.rrd_data.switch_endian = true;
 		}
 		if (this.rrd_data.getDoubleAt(16) == 8.642135e+130) {
 			// now, is it all 64bit or only float 64 bit?
-			if (this.rrd_data.getLongAt(28) === 0) {
+			// check the high 32 bits of ds_cnt, on big endian they come first
+			if (this.rrd_data.getLongAt(this.rrd_data.switch_endian ? 24 : 28) === 0) {
 				// true 64 bit align
 				this.int_align = 8;
 				this.int_width = 8;
@@ -247,10 +997,14 @@ RRDHeader.prototype.validate_rrd = function() {
 				this.int_width = 4;
 			}
 		} else {
-			throw new InvalidRRD("Magic float not found at 16.");
+			throw new InvalidRRD("Magic float not found at 16.", {
+				field: "float_cookie",
+				offset: 16
+			});
 		}
 	} else {
 		/// should be 32 bit alignment
+		this.check_size(20, "float_cookie", 12);
 		if (this.rrd_data.getDoubleAt(12) != 8.642135e+130) {
 			// uhm... wrong endian?
 			this.rrd_data.switch_endian = true;
@@ -260,7 +1014,10 @@ RRDHeader.prototype.validate_rrd = function() {
 			this.int_align = 4;
 			this.int_width = 4;
 		} else {
-			throw new InvalidRRD("Magic float not found at 12.");
+			throw new InvalidRRD("Magic float not found at 12.", {
+				field: "float_cookie",
+				offset: 12
+			});
 		}
 	}
 	this.unival_width = this.float_width;
@@ -274,28 +1031,42 @@ RRDHeader.prototype.validate_rrd = function() {
 	this.ds_cnt_idx = Math.ceil((4 + 5) / this.float_align) * this.float_align + this.float_width;
 	this.rra_cnt_idx = this.ds_cnt_idx + this.int_width;
 	this.pdp_step_idx = this.rra_cnt_idx + this.int_width;
+	this.check_size(this.pdp_step_idx + this.int_width, "pdp_step", this.pdp_step_idx);
 
 	//always get only the low 32 bits, the high 32 on 64 bit archs should always be 0
-	this.ds_cnt = this.rrd_data.getLongAt(this.ds_cnt_idx);
+	this.ds_cnt = rrdGetULongAt(this.rrd_data, this.ds_cnt_idx, this.int_width);
 	if (this.ds_cnt < 1) {
-		throw new InvalidRRD("ds count less than 1.");
+		throw new InvalidRRD("ds count less than 1.", {
+			field: "ds_cnt",
+			offset: this.ds_cnt_idx
+		});
 	}
 
-	this.rra_cnt = this.rrd_data.getLongAt(this.rra_cnt_idx);
-	if (this.ds_cnt < 1) {
-		throw new InvalidRRD("rra count less than 1.");
+	this.rra_cnt = rrdGetULongAt(this.rrd_data, this.rra_cnt_idx, this.int_width);
+	if (this.rra_cnt < 1) {
+		throw new InvalidRRD("rra count less than 1.", {
+			field: "rra_cnt",
+			offset: this.rra_cnt_idx
+		});
 	}
 
-	this.pdp_step = this.rrd_data.getLongAt(this.pdp_step_idx);
+	this.pdp_step = rrdGetULongAt(this.rrd_data, this.pdp_step_idx, this.int_width);
 	if (this.pdp_step < 1) {
-		throw new InvalidRRD("pdp step less than 1.");
+		throw new InvalidRRD("pdp step less than 1.", {
+			field: "pdp_step",
+			offset: this.pdp_step_idx
+		});
 	}
 
 	// best guess, assuming no weird align problems
 	this.top_header_size = Math.ceil((this.pdp_step_idx + this.int_width) / this.unival_align) * this.unival_align + 10 * this.unival_width;
+	this.check_size(this.top_header_size + 4, "ds_def[0]", this.top_header_size);
 	var t = this.rrd_data.getLongAt(this.top_header_size);
 	if (t === 0) {
-		throw new InvalidRRD("Could not find first DS name.");
+		throw new InvalidRRD("Could not find first DS name.", {
+			field: "ds_def[0]",
+			offset: this.top_header_size
+		});
 	}
 };
 
@@ -327,6 +1098,36 @@ RRDHeader.prototype.calc_idxs = function() {
 	this.rra_ptr_el_size = 1 * this.int_width;
 
 	this.header_size = this.rra_ptr_idx + this.rra_ptr_el_size * this.rra_cnt;
+
+	// make sure the whole header is there, section by section
+	this.check_size(this.rra_def_idx, "ds_def", this.ds_def_idx);
+	this.check_size(this.live_head_idx, "rra_def", this.rra_def_idx);
+	this.check_size(this.pdp_prep_idx, "live_head", this.live_head_idx);
+	this.check_size(this.cdp_prep_idx, "pdp_prep", this.pdp_prep_idx);
+	this.check_size(this.rra_ptr_idx, "cdp_prep", this.cdp_prep_idx);
+	this.check_size(this.header_size, "rra_ptr", this.rra_ptr_idx);
+
+	// and that all the RRA rows follow it
+	var row_size = this.ds_cnt * 8;
+	var rra_end_idxs = [];
+	var rra_end_idx = this.header_size;
+	for (var i = 0; i < this.rra_cnt; i++) {
+		rra_end_idx += rrdGetULongAt(this.rrd_data, this.rra_def_idx + i * this.rra_def_el_size + this.row_cnt_idx, this.int_width) * row_size;
+		rra_end_idxs.push(rra_end_idx);
+	}
+	var file_size = this.rrd_data.getLength();
+	if (rra_end_idx > file_size) {
+		for (i = 0; i < this.rra_cnt; i++) {
+			if (rra_end_idxs[i] > file_size) break;
+		}
+		var rra_start_idx = (i === 0) ? this.header_size : rra_end_idxs[i - 1];
+		throw new InvalidRRD("File truncated at RRA " + i + " (expected " + rra_end_idx + " bytes, got " + file_size + ").", {
+			field: "rra[" + i + "]",
+			offset: rra_start_idx,
+			expected_size: rra_end_idx,
+			actual_size: file_size
+		});
+	}
 };
 
 // Optional initialization
@@ -335,7 +1136,7 @@ RRDHeader.prototype.load_row_cnts = function() {
 	this.rra_def_row_cnts = [];
 	this.rra_def_row_cnt_sums = []; // how many rows before me
 	for (var i = 0; i < this.rra_cnt; i++) {
-		this.rra_def_row_cnts[i] = this.rrd_data.getLongAt(this.rra_def_idx + i * this.rra_def_el_size + this.row_cnt_idx, false);
+		this.rra_def_row_cnts[i] = rrdGetULongAt(this.rrd_data, this.rra_def_idx + i * this.rra_def_el_size + this.row_cnt_idx, this.int_width);
 		if (i === 0) {
 			this.rra_def_row_cnt_sums[i] = 0;
 		} else {
@@ -351,7 +1152,7 @@ RRDHeader.prototype.getMinStep = function() {
 	return this.pdp_step;
 };
 RRDHeader.prototype.getLastUpdate = function() {
-	return this.rrd_data.getLongAt(this.live_head_idx, false);
+	return rrdGetULongAt(this.rrd_data, this.live_head_idx, this.int_width);
 };
 
 RRDHeader.prototype.getNrDSs = function() {
@@ -368,7 +1169,8 @@ RRDHeader.prototype.getDSNames = function() {
 };
 RRDHeader.prototype.getDSbyIdx = function(idx) {
 	if ((idx >= 0) && (idx < this.ds_cnt)) {
-		return new RRDDS(this.rrd_data, this.ds_def_idx + this.ds_el_size * idx, idx);
+		return new RRDDS(this.rrd_data, this.ds_def_idx + this.ds_el_size * idx, idx,
+			this.int_width, this.pdp_prep_idx + this.pdp_prep_el_size * idx);
 	} else {
 		throw RangeError("DS idx (" + idx + ") out of range [0-" + this.ds_cnt + ").");
 	}
@@ -391,52 +1193,38 @@ RRDHeader.prototype.getRRAInfo = function(idx) {
 		return new RRDRRAInfo(this.rrd_data,
 			this.rra_def_idx + idx * this.rra_def_el_size,
 			this.int_align, this.rra_def_row_cnts[idx], this.pdp_step,
-			idx);
+			idx,
+			this.unival_align, this.cdp_prep_idx + idx * this.ds_cnt * this.cdp_prep_el_size, this.ds_cnt);
 	} else {
 		throw RangeError("RRA idx (" + idx + ") out of range [0-" + this.rra_cnt + ").");
 	}
 };
 
-function merge(target, source) {
-	console.error("😡😡😡this abomination must be removed, if i ever catch you using it i will hunt you down!");
-	/* Merges two (or more) objects,
-	   giving the last one precedence */
-
-	if ( typeof target !== 'object' ) {
-		target = {};
-	}
-
-	for (var property in source) {
-		if ( source.hasOwnProperty(property) ) {
-			var sourceProperty = source[ property ];
-			if ( typeof sourceProperty === 'object' ) {
-				target[ property ] = merge( target[ property ], sourceProperty );
-				continue;
-			}
-			target[ property ] = sourceProperty;
-		}
-	}
-
-	for (var a = 2, l = arguments.length; a < l; a++) {
-		merge(target, arguments[a]);
-	}
-
-	return target;
-};
-
 /**
  * This is the main class of the package. It is also the only class the user ever needs to explicitly instantiate. Given a BinaryFile, gives access to the RRD archive fields
  * 
  * @constructor
  * @param {BinaryFile} bf must be an object compatible with the BinaryFile interface
+ * @param {object} file_options If present, it can contain any of the following:
+ * evaluate_compute_ds - If true, the values of COMPUTE data sources are calculated row by row from their RPN expression,
+ * instead of using the values rrdtool stored at update time.
  */
-function RRDFile(bf) {
+function RRDFile(bf, file_options) {
+	if (file_options === undefined || file_options === null) {
+		file_options = {};
+	}
 	this.bf = bf;
-	// FIXME use dataview
-	// FIXME this is fucked up, specialized classes should inherit from more general classes. code injection in general classes should not be done like this.
-	merge(this, bf); // makes me cry 😢;
+	this.file_options = file_options;
 	this.rrd_header = new RRDHeader(bf); // FIXME and don't pass the crap around
 	this.rrd_header.load_row_cnts();
+
+	this.compute_rpns = undefined;
+	if (this.file_options.evaluate_compute_ds) {
+		this.compute_rpns = [];
+		for (var i = 0; i < this.rrd_header.ds_cnt; i++) {
+			this.compute_rpns.push(this.rrd_header.getDSbyIdx(i).getRPN());
+		}
+	}
 }
 
 /**
@@ -495,11 +1283,243 @@ RRDFile.prototype.getRRAInfo = function(idx) {
  * @return {Number} an object of type RRDRRA that can be used to access the values stored in the n-th Round Robin Archive. 
  */
 RRDFile.prototype.getRRA = function(idx) {
-	rra_info = this.rrd_header.getRRAInfo(idx);
+	var rra_info = this.rrd_header.getRRAInfo(idx);
 	return new RRDRRA(this.bf,
 		this.rrd_header.rra_ptr_idx + idx * this.rrd_header.rra_ptr_el_size,
 		rra_info,
 		this.rrd_header.header_size,
 		this.rrd_header.rra_def_row_cnt_sums[idx],
-		this.rrd_header.ds_cnt);
+		this.rrd_header.ds_cnt,
+		this.compute_rpns, this.getLastUpdate());
+};
+
+/**
+ * If the binary file is loaded lazily (e.g. a RangeBinaryFile), fetch all the rows of the n-th RRA without blocking.
+ * @return {Promise} A promise that resolves to this object, once the RRA can be read without further requests.
+ */
+RRDFile.prototype.prefetchRRA = function(idx) {
+	var obj = this;
+	if (typeof this.bf.load != "function") {
+		return Promise.resolve(this);
+	}
+	var rra_info = this.getRRAInfo(idx);
+	var row_size = this.rrd_header.ds_cnt * 8;
+	var start = this.rrd_header.header_size + this.rrd_header.rra_def_row_cnt_sums[idx] * row_size;
+	return this.bf.load(start, start + rra_info.getNrRows() * row_size).then(function() {
+		return obj;
+	});
+};
+
+/**
+ * @return {Number} the length of the season (in rows) used by a Holt-Winters RRA, or undefined for any other RRA.
+ */
+RRDFile.prototype.getSeasonalPeriod = function(idx) {
+	var rra_info = this.getRRAInfo(idx);
+	var cf = rra_info.getCFName();
+	if ((cf == "SEASONAL") || (cf == "DEVSEASONAL")) {
+		return rra_info.getNrRows();
+	} else if (rra_info.isHoltWinters()) {
+		// all the other HW RRAs depend directly on a seasonal one
+		return this.getRRAInfo(rra_info.getDependentRRAIdx()).getNrRows();
+	} else {
+		return undefined;
+	}
+};
+
+/**
+ * @return {Object} the header information, using the same keys as rrdtool info.
+ * E.g. "step", "ds[name].minimal_heartbeat", "rra[0].xff" or "rra[0].cdp_prep[0].value".
+ */
+RRDFile.prototype.getInfo = function() {
+	var info = {
+		rrd_version: this.rrd_header.rrd_version,
+		step: this.getMinStep(),
+		last_update: this.getLastUpdate()
+	};
+
+	var nrDSs = this.getNrDSs();
+	for (var i = 0; i < nrDSs; i++) {
+		var ds = this.getDS(i);
+		var ds_key = "ds[" + ds.getName() + "].";
+		info[ds_key + "index"] = i;
+		info[ds_key + "type"] = ds.getType();
+		if (ds.getType() == "COMPUTE") {
+			info[ds_key + "cdef"] = ds.getRPNExpression(this.getDSNames());
+		} else {
+			info[ds_key + "minimal_heartbeat"] = ds.getHeartbeat();
+			info[ds_key + "min"] = ds.getMin();
+			info[ds_key + "max"] = ds.getMax();
+		}
+		info[ds_key + "last_ds"] = ds.getLastDS();
+		info[ds_key + "value"] = ds.getPDPValue();
+		info[ds_key + "unknown_sec"] = ds.getUnknownSec();
+	}
+
+	var nrRRAs = this.getNrRRAs();
+	for (var j = 0; j < nrRRAs; j++) {
+		var rra_info = this.getRRAInfo(j);
+		var rra_key = "rra[" + j + "].";
+		info[rra_key + "cf"] = rra_info.getCFName();
+		info[rra_key + "rows"] = rra_info.getNrRows();
+		info[rra_key + "cur_row"] = this.getRRA(j).cur_row;
+		info[rra_key + "pdp_per_row"] = rra_info.getPdpPerRow();
+		info[rra_key + "xff"] = rra_info.getXFF();
+		var cf = rra_info.getCFName();
+		if ((cf == "HWPREDICT") || (cf == "MHWPREDICT")) {
+			info[rra_key + "alpha"] = rra_info.getHWAlpha();
+			info[rra_key + "beta"] = rra_info.getHWBeta();
+		} else if ((cf == "SEASONAL") || (cf == "DEVSEASONAL")) {
+			info[rra_key + "gamma"] = rra_info.getSeasonalGamma();
+			info[rra_key + "smoothing_window"] = rra_info.getSeasonalSmoothingWindow();
+		} else if (cf == "FAILURES") {
+			info[rra_key + "delta_pos"] = rra_info.getDeltaPos();
+			info[rra_key + "delta_neg"] = rra_info.getDeltaNeg();
+			info[rra_key + "failure_threshold"] = rra_info.getFailureThreshold();
+			info[rra_key + "window_length"] = rra_info.getWindowLength();
+		}
+		if (rra_info.isHoltWinters()) {
+			info[rra_key + "dependent_rra_idx"] = rra_info.getDependentRRAIdx();
+		}
+		for (i = 0; i < nrDSs; i++) {
+			var cdp_key = rra_key + "cdp_prep[" + i + "].";
+			info[cdp_key + "primary_value"] = rra_info.getCDPPrimaryValue(i);
+			info[cdp_key + "secondary_value"] = rra_info.getCDPSecondaryValue(i);
+			info[cdp_key + "value"] = rra_info.getCDPValue(i);
+			info[cdp_key + "unknown_datapoints"] = rra_info.getCDPUnknownPdps(i);
+		}
+	}
+	return info;
 };
+
+/**
+ * Fetch the values of all the DSs, choosing the RRA the same way rrdtool fetch does:
+ * among the RRAs using cf, the one covering start with the step closest to resolution,
+ * else the one covering most of the requested interval.
+ * start and end are aligned to the step of the chosen RRA, and, as in rrdtool fetch,
+ * the first row is the one ending at start+step and the last the one ending at end.
+ *
+ * Works on any object implementing the RRDFile interface, including the filters.
+ *
+ * @param {Object} rrd_file Any object implementing the RRDFile interface.
+ * @param {string} cf The consolidation function, e.g. "AVERAGE".
+ * @param {Number} start Start time in seconds (default end - 1 day).
+ * @param {Number} end End time in seconds (default the last update).
+ * @param {Number} resolution The desired step in seconds (default the finest available).
+ * @return {Object} {start, end, step, rra_idx, ds_names, rows}, each row being an array
+ * with the timestamp followed by the value of each DS, undefined if unknown.
+ */
+function rrdFetch(rrd_file, cf, start, end, resolution) {
+	var last_update = rrd_file.getLastUpdate();
+	if (end === undefined) end = last_update;
+	if (start === undefined) start = end - 86400;
+	if (resolution === undefined) resolution = rrd_file.getMinStep();
+	if (start >= end) {
+		throw RangeError("Start (" + start + ") should be less than end (" + end + ").");
+	}
+
+	var best_full_idx = -1,
+		best_full_step_diff = 0;
+	var best_part_idx = -1,
+		best_part_step_diff = 0,
+		best_match = 0;
+	var i, rra;
+	for (i = 0; i < rrd_file.getNrRRAs(); i++) {
+		rra = rrd_file.getRRA(i);
+		if (rra.getCFName() != cf) continue;
+		var rra_step = rra.getStep();
+		var cal_end = last_update - last_update % rra_step;
+		var cal_start = cal_end - rra_step * rra.getNrRows();
+		var step_diff = Math.abs(resolution - rra_step);
+		if (cal_start <= start) {
+			if ((best_full_idx < 0) || (step_diff < best_full_step_diff)) {
+				best_full_idx = i;
+				best_full_step_diff = step_diff;
+			}
+		} else {
+			var match = (end - start) - (cal_start - start);
+			if ((best_part_idx < 0) || (best_match < match) ||
+				((best_match == match) && (step_diff < best_part_step_diff))) {
+				best_part_idx = i;
+				best_part_step_diff = step_diff;
+				best_match = match;
+			}
+		}
+	}
+	var rra_idx = (best_full_idx >= 0) ? best_full_idx : best_part_idx;
+	if (rra_idx < 0) {
+		throw RangeError("The RRD does not contain an RRA matching the chosen CF " + cf + ".");
+	}
+
+	rra = rrd_file.getRRA(rra_idx);
+	var step = rra.getStep();
+	start -= start % step;
+	end += step - end % step;
+
+	var row_cnt = rra.getNrRows();
+	var ds_cnt = rrd_file.getNrDSs();
+	var first_row_ts = last_update - last_update % step - (row_cnt - 1) * step;
+	var rows = [];
+	for (var ts = start + step; ts <= end; ts += step) {
+		var row_idx = (ts - first_row_ts) / step;
+		var row = [ts];
+		for (var d = 0; d < ds_cnt; d++) {
+			row.push(((row_idx >= 0) && (row_idx < row_cnt)) ? rra.getEl(row_idx, d) : undefined);
+		}
+		rows.push(row);
+	}
+
+	return {
+		start: start,
+		end: end,
+		step: step,
+		rra_idx: rra_idx,
+		ds_names: rrd_file.getDSNames(),
+		rows: rows
+	};
+}
+
+/**
+ * @return {Object} the values of all the DSs between start and end, see rrdFetch.
+ */
+RRDFile.prototype.fetch = function(cf, start, end, resolution) {
+	return rrdFetch(this, cf, start, end, resolution);
+};
+
+/**
+ * Load a RRD file from a URL and parse it.
+ *
+ * @param {string} url URL from where to load the RRD file.
+ * @param {object} options Passed to FetchBinaryURLPromise (timeout, signal).
+ * @return {Promise} A promise that resolves to an object of type RRDFile.
+ * It is rejected with one of the errors of FetchBinaryURLPromise, or with InvalidRRD if the content is not a valid RRD.
+ */
+function loadRRD(url, options) {
+	return FetchBinaryURLPromise(url, options).then(function(bf) {
+		return new RRDFile(bf);
+	});
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		InvalidRRD: InvalidRRD,
+		RRDDS: RRDDS,
+		RRDRRAInfo: RRDRRAInfo,
+		RRDRRA: RRDRRA,
+		RRDFile: RRDFile,
+		loadRRD: loadRRD,
+		rrdFetch: rrdFetch,
+		rrdRowTimestamp: rrdRowTimestamp,
+		rrdRowForTime: rrdRowForTime,
+		rrdElAt: rrdElAt,
+		rrdRowIterator: rrdRowIterator,
+		rrdRowRange: rrdRowRange,
+		rrdIsUnknown: rrdIsUnknown,
+		rrdApplyUnknown: rrdApplyUnknown,
+		rrdParseDouble: rrdParseDouble,
+		rrdGetColumn: rrdGetColumn,
+		rrdGetRows: rrdGetRows,
+		rrdRPNOps: rrdRPNOps,
+		rrdRPNMaxNodes: rrdRPNMaxNodes
+	};
+}
@@ -0,0 +1,390 @@
+/*
+ * Access to already consolidated data, as returned by
+ * rrdtool xport --json and rrdtool fetch
+ * The result implements the same interface as RRDFile, with a single RRA,
+ * so it can be used with all the filters and graphs
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var InvalidRRD = require("./rrdFile.js").InvalidRRD;
+	var rrdFetch = require("./rrdFile.js").rrdFetch;
+	var rrdRowTimestamp = require("./rrdFile.js").rrdRowTimestamp;
+	var rrdRowForTime = require("./rrdFile.js").rrdRowForTime;
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdGetColumn = require("./rrdFile.js").rrdGetColumn;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+	var rrdParseDouble = require("./rrdFile.js").rrdParseDouble;
+}
+
+/**
+ * This class implements the same interface as RRDDS.
+ * Values are already consolidated, so the type is always GAUGE.
+ * @constructor
+ */
+function RRDTableDS(name, my_idx) {
+	this.name = name;
+	this.my_idx = my_idx;
+}
+RRDTableDS.prototype.getIdx = function() {
+	return this.my_idx;
+};
+RRDTableDS.prototype.getName = function() {
+	return this.name;
+};
+RRDTableDS.prototype.getType = function() {
+	return "GAUGE";
+};
+RRDTableDS.prototype.getMin = function() {
+	return undefined;
+};
+RRDTableDS.prototype.getMax = function() {
+	return undefined;
+};
+
+/**
+ * This class implements the same interface as RRDRRAInfo.
+ * @constructor
+ */
+function RRDTableRRAInfo(step, row_cnt, cf) {
+	this.step = step;
+	this.row_cnt = row_cnt;
+	this.cf = cf;
+}
+RRDTableRRAInfo.prototype.getIdx = function() {
+	return 0;
+};
+RRDTableRRAInfo.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDTableRRAInfo.prototype.getPdpPerRow = function() {
+	return 1;
+};
+RRDTableRRAInfo.prototype.getStep = function() {
+	return this.step;
+};
+RRDTableRRAInfo.prototype.getCFName = function() {
+	return this.cf;
+};
+
+/**
+ * This class implements the same interface as RRDRRA.
+ * @constructor
+ */
+function RRDTableRRA(rra_info, values, ds_cnt, last_update) {
+	this.rra_info = rra_info;
+	this.last_update = last_update;
+	this.values = values; // Float64Array, row after row, NaN if unknown
+	this.row_cnt = rra_info.getNrRows();
+	this.ds_cnt = ds_cnt;
+}
+RRDTableRRA.prototype.getIdx = function() {
+	return 0;
+};
+RRDTableRRA.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDTableRRA.prototype.getNrDSs = function() {
+	return this.ds_cnt;
+};
+RRDTableRRA.prototype.getStep = function() {
+	return this.rra_info.getStep();
+};
+RRDTableRRA.prototype.getCFName = function() {
+	return this.rra_info.getCFName();
+};
+
+/**
+ * @param {number} row_idx row
+ * @param {number} ds_idx ds
+ * @return {Number} the value for the d-th DS in the r-th row.
+ */
+RRDTableRRA.prototype.getEl = function(row_idx, ds_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+	var val = this.values[row_idx * this.ds_cnt + ds_idx];
+	if (isNaN(val)) return undefined;
+	return val;
+};
+RRDTableRRA.prototype.getElFast = function(row_idx, ds_idx) {
+	return this.getEl(row_idx, ds_idx);
+};
+
+// time based access, as in RRDRRA
+RRDTableRRA.prototype.getTimestamp = function(row_idx) {
+	return rrdRowTimestamp(this, row_idx, this.last_update);
+};
+RRDTableRRA.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRDTableRRA.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDTableRRA.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+// bulk access, as in RRDRRA
+RRDTableRRA.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	return rrdGetColumn(this, ds_idx, from_row, to_row);
+};
+RRDTableRRA.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+/**
+ * This class implements the same interface as RRDFile, for a table of consolidated values.
+ * Use rrdParseXport or rrdParseFetch to build it.
+ *
+ * @constructor
+ * @param {Array} ds_names The name of each column.
+ * @param {Number} last_row_ts The timestamp of the last row.
+ * @param {Number} step The number of seconds between rows.
+ * @param {Float64Array} values The values, row after row, NaN if unknown.
+ * @param {string} cf The consolidation function used to compute the values.
+ */
+function RRDTableFile(ds_names, last_row_ts, step, values, cf) {
+	this.ds_list = [];
+	for (var i = 0; i < ds_names.length; i++) {
+		this.ds_list.push(new RRDTableDS(ds_names[i], i));
+	}
+	this.last_update = last_row_ts;
+	this.step = step;
+	var rra_info = new RRDTableRRAInfo(step, values.length / ds_names.length, cf);
+	this.rra = new RRDTableRRA(rra_info, values, ds_names.length, last_row_ts);
+}
+RRDTableFile.prototype.getMinStep = function() {
+	return this.step;
+};
+RRDTableFile.prototype.getLastUpdate = function() {
+	return this.last_update;
+};
+RRDTableFile.prototype.getNrDSs = function() {
+	return this.ds_list.length;
+};
+RRDTableFile.prototype.getDSNames = function() {
+	var ds_names = [];
+	for (var i = 0; i < this.ds_list.length; i++) {
+		ds_names.push(this.ds_list[i].getName());
+	}
+	return ds_names;
+};
+RRDTableFile.prototype.getDS = function(id) {
+	if (typeof id == "number") {
+		if ((id >= 0) && (id < this.ds_list.length)) {
+			return this.ds_list[id];
+		} else {
+			throw RangeError("DS idx (" + id + ") out of range [0-" + this.ds_list.length + ").");
+		}
+	} else {
+		for (var i = 0; i < this.ds_list.length; i++) {
+			if (this.ds_list[i].getName() == id) return this.ds_list[i];
+		}
+		throw RangeError("DS name " + id + " unknown.");
+	}
+};
+RRDTableFile.prototype.getNrRRAs = function() {
+	return 1;
+};
+RRDTableFile.prototype.getRRAInfo = function(idx) {
+	return this.getRRA(idx).rra_info;
+};
+RRDTableFile.prototype.getRRA = function(idx) {
+	if (idx === 0) {
+		return this.rra;
+	} else {
+		throw RangeError("RRA idx (" + idx + ") out of range [0-1).");
+	}
+};
+RRDTableFile.prototype.fetch = function(cf, start, end, resolution) {
+	return rrdFetch(this, cf, start, end, resolution);
+};
+
+// Internal, convert a value as printed by rrdtool, unknown values become NaN
+function rrdTableNumber(val) {
+	return rrdParseDouble(val);
+}
+
+// Internal, quote the bare keys of a piece of relaxed JSON outside of any string
+function rrdTableQuoteKeys(text) {
+	return text.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, "$1\"$2\":");
+}
+
+// Internal, turn the relaxed JSON printed by older rrdtool versions into JSON:
+// single quoted strings become double quoted and the bare keys are quoted,
+// leaving the content of the strings (e.g. apostrophes in legends) alone
+function rrdTableFixJSON(text) {
+	var out = "";
+	var plain_start = 0;
+	var quote = null;
+	for (var i = 0; i < text.length; i++) {
+		var ch = text.charAt(i);
+		if (quote === null) {
+			if ((ch == "\"") || (ch == "'")) {
+				out += rrdTableQuoteKeys(text.substring(plain_start, i)) + "\"";
+				quote = ch;
+			}
+		} else if (ch == "\\") {
+			// \' is not valid JSON, the other escapes are kept
+			i++;
+			out += (text.charAt(i) == "'") ? "'" : ch + text.charAt(i);
+		} else if (ch == quote) {
+			out += "\"";
+			quote = null;
+			plain_start = i + 1;
+		} else {
+			out += (ch == "\"") ? "\\\"" : ch;
+		}
+	}
+	if (quote === null) out += rrdTableQuoteKeys(text.substring(plain_start));
+	return out;
+}
+
+/**
+ * Older rrdtool versions print unquoted keys and single quoted strings,
+ * which are accepted as well.
+ *
+ * @param {Object|string} xport The output of rrdtool xport --json, parsed or as text.
+ * @param {Object} options Optional, cf is the consolidation function to report (default "AVERAGE").
+ * @return {RRDTableFile} An object implementing the RRDFile interface.
+ */
+function rrdParseXport(xport, options) {
+	if (options === undefined) options = {};
+	if (typeof xport == "string") {
+		try {
+			xport = JSON.parse(xport);
+		} catch (e) {
+			try {
+				xport = JSON.parse(rrdTableFixJSON(xport));
+			} catch (e2) {
+				throw new InvalidRRD("Not a rrdtool xport JSON output.", {
+					field: "json"
+				});
+			}
+		}
+	}
+
+	var meta = xport.meta;
+	if ((meta === undefined) || (meta.legend === undefined) || (xport.data === undefined)) {
+		throw new InvalidRRD("Missing meta or data in xport output.", {
+			field: (meta === undefined) ? "meta" : ((meta.legend === undefined) ? "legend" : "data")
+		});
+	}
+
+	var ds_cnt = meta.legend.length;
+	var rows = xport.data;
+	var step = Number(meta.step);
+	var first_ts = Number(meta.start);
+	var values = new Float64Array(rows.length * ds_cnt);
+	for (var r = 0; r < rows.length; r++) {
+		var row = rows[r];
+		var offset = 0;
+		if (row.length == ds_cnt + 1) {
+			// --showtime adds the timestamp as first column
+			if (r === 0) first_ts = Number(row[0]);
+			offset = 1;
+		} else if (row.length != ds_cnt) {
+			throw new InvalidRRD("Row " + r + " has " + row.length + " values, expected " + ds_cnt + ".", {
+				field: "data"
+			});
+		}
+		for (var d = 0; d < ds_cnt; d++) {
+			values[r * ds_cnt + d] = rrdTableNumber(row[d + offset]);
+		}
+	}
+
+	var cf = (options.cf !== undefined) ? options.cf : "AVERAGE";
+	return new RRDTableFile(meta.legend, first_ts + (rows.length - 1) * step, step, values, cf);
+}
+
+/**
+ * The step is taken from the timestamps, so at least two rows are needed,
+ * unless options.step is given.
+ *
+ * @param {string} text The output of rrdtool fetch.
+ * @param {Object} options Optional, cf is the consolidation function to report (default "AVERAGE"),
+ * step the number of seconds between rows.
+ * @return {RRDTableFile} An object implementing the RRDFile interface.
+ */
+function rrdParseFetch(text, options) {
+	if (options === undefined) options = {};
+	var lines = text.split("\n");
+	var ds_names = null;
+	var timestamps = [];
+	var rows = [];
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line.length === 0) continue;
+		if (ds_names === null) {
+			// the first line lists the DS names
+			ds_names = line.split(/\s+/);
+			continue;
+		}
+		var m = /^(\d+):\s*(.*)$/.exec(line);
+		if (m === null) {
+			throw new InvalidRRD("Line " + (i + 1) + " is not a rrdtool fetch row.", {
+				field: "row"
+			});
+		}
+		var vals = m[2].split(/\s+/);
+		if (vals.length != ds_names.length) {
+			throw new InvalidRRD("Line " + (i + 1) + " has " + vals.length + " values, expected " + ds_names.length + ".", {
+				field: "row"
+			});
+		}
+		timestamps.push(parseInt(m[1], 10));
+		rows.push(vals);
+	}
+	if ((ds_names === null) || (rows.length === 0)) {
+		throw new InvalidRRD("No rows in rrdtool fetch output.", {
+			field: "row"
+		});
+	}
+
+	var step = options.step;
+	if (step === undefined) {
+		if (rows.length < 2) {
+			throw new InvalidRRD("Cannot find the step from a single row.", {
+				field: "step"
+			});
+		}
+		step = timestamps[1] - timestamps[0];
+	}
+	for (var t = 1; t < timestamps.length; t++) {
+		if (timestamps[t] - timestamps[t - 1] != step) {
+			throw new InvalidRRD("Rows are not " + step + " seconds apart at " + timestamps[t] + ".", {
+				field: "step"
+			});
+		}
+	}
+
+	var ds_cnt = ds_names.length;
+	var values = new Float64Array(rows.length * ds_cnt);
+	for (var r = 0; r < rows.length; r++) {
+		for (var d = 0; d < ds_cnt; d++) {
+			values[r * ds_cnt + d] = rrdTableNumber(rows[r][d]);
+		}
+	}
+
+	var cf = (options.cf !== undefined) ? options.cf : "AVERAGE";
+	return new RRDTableFile(ds_names, timestamps[timestamps.length - 1], step, values, cf);
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDTableFile: RRDTableFile,
+		rrdParseXport: rrdParseXport,
+		rrdParseFetch: rrdParseFetch
+	};
+}
@@ -0,0 +1,512 @@
+/*
+ * Access to the content of rrdtool dump XML files
+ * It implements the same interface as RRDFile, so it can be used
+ * with all the filters and graphs
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var InvalidRRD = require("./rrdFile.js").InvalidRRD;
+	var rrdFetch = require("./rrdFile.js").rrdFetch;
+	var rrdRowTimestamp = require("./rrdFile.js").rrdRowTimestamp;
+	var rrdRowForTime = require("./rrdFile.js").rrdRowForTime;
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdGetColumn = require("./rrdFile.js").rrdGetColumn;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+	var rrdParseDouble = require("./rrdFile.js").rrdParseDouble;
+}
+
+// Internal, return the trimmed content of the first <tag> element in text, or undefined
+function rrdXMLTag(text, tag) {
+	var m = new RegExp("<" + tag + ">([\\s\\S]*?)</" + tag + ">").exec(text);
+	if (m === null) return undefined;
+	return m[1].trim();
+}
+
+// Internal, return the content of all the <tag> elements in text
+function rrdXMLTags(text, tag) {
+	var re = new RegExp("<" + tag + ">([\\s\\S]*?)</" + tag + ">", "g");
+	var out = [];
+	var m;
+	while ((m = re.exec(text)) !== null) {
+		out.push(m[1]);
+	}
+	return out;
+}
+
+// Internal, convert a dumped number, unknown values become undefined
+function rrdXMLNumber(str) {
+	if (str === undefined) return undefined;
+	var val = rrdParseDouble(str);
+	if (isNaN(val)) return undefined;
+	return val;
+}
+
+/**
+ * This class implements the same interface as RRDDS, for a DS read from a XML dump.
+ * @constructor
+ */
+function RRDXMLDS(ds_text, my_idx) {
+	this.my_idx = my_idx;
+	this.name = rrdXMLTag(ds_text, "name");
+	this.type = rrdXMLTag(ds_text, "type");
+	this.heartbeat = rrdXMLNumber(rrdXMLTag(ds_text, "minimal_heartbeat"));
+	this.min = rrdXMLNumber(rrdXMLTag(ds_text, "min"));
+	this.max = rrdXMLNumber(rrdXMLTag(ds_text, "max"));
+	this.cdef = rrdXMLTag(ds_text, "cdef");
+	this.last_ds = rrdXMLTag(ds_text, "last_ds");
+	this.pdp_value = rrdXMLNumber(rrdXMLTag(ds_text, "value"));
+	this.unknown_sec = rrdXMLNumber(rrdXMLTag(ds_text, "unknown_sec"));
+}
+
+/**
+ * @return {Number} which DS it is in the RRD file.
+ */
+RRDXMLDS.prototype.getIdx = function() {
+	return this.my_idx;
+};
+
+/**
+ * @return {string} the name of the data source.
+ */
+RRDXMLDS.prototype.getName = function() {
+	return this.name;
+};
+
+/**
+ * @return {string} the type of the data source.
+ */
+RRDXMLDS.prototype.getType = function() {
+	return this.type;
+};
+
+/**
+ * @return {Number} the minimum value the data source can contain.
+ */
+RRDXMLDS.prototype.getMin = function() {
+	return this.min;
+};
+
+/**
+ * @return {Number} the maximum value the data source can contain.
+ */
+RRDXMLDS.prototype.getMax = function() {
+	return this.max;
+};
+
+/**
+ * @return {Number} the minimal heartbeat (mrhb) of the data source.
+ */
+RRDXMLDS.prototype.getHeartbeat = function() {
+	return this.heartbeat;
+};
+
+/**
+ * @return {string} the last value fed to the data source.
+ */
+RRDXMLDS.prototype.getLastDS = function() {
+	return this.last_ds;
+};
+
+/**
+ * @return {Number} the number of seconds of the current PDP for which the value is unknown.
+ */
+RRDXMLDS.prototype.getUnknownSec = function() {
+	return this.unknown_sec;
+};
+
+/**
+ * @return {Number} the value accumulated so far in the current PDP.
+ */
+RRDXMLDS.prototype.getPDPValue = function() {
+	return this.pdp_value;
+};
+
+/**
+ * The dump already contains the DS names, so ds_names is ignored.
+ * @return {string} the RPN expression of a COMPUTE data source, or null for any other type.
+ */
+RRDXMLDS.prototype.getRPNExpression = function(ds_names) {
+	if (this.cdef === undefined) return null;
+	return this.cdef;
+};
+
+
+/**
+ * This class implements the same interface as RRDRRAInfo, for a RRA read from a XML dump.
+ * @constructor
+ */
+function RRDXMLRRAInfo(rra_text, pdp_step, my_idx) {
+	this.pdp_step = pdp_step;
+	this.my_idx = my_idx;
+	this.cf = rrdXMLTag(rra_text, "cf");
+	this.pdp_per_row = rrdXMLNumber(rrdXMLTag(rra_text, "pdp_per_row"));
+
+	var params = rrdXMLTag(rra_text, "params");
+	if (params === undefined) params = "";
+	this.params = {};
+	var param_names = ["xff", "hw_alpha", "hw_beta", "seasonal_gamma", "smoothing_window",
+		"dependent_rra_idx", "delta_pos", "delta_neg", "failure_threshold", "window_len"
+	];
+	for (var i = 0; i < param_names.length; i++) {
+		this.params[param_names[i]] = rrdXMLNumber(rrdXMLTag(params, param_names[i]));
+	}
+
+	// one element per DS
+	this.cdp_prep = [];
+	var cdp_prep = rrdXMLTag(rra_text, "cdp_prep");
+	var cdp_dss = (cdp_prep === undefined) ? [] : rrdXMLTags(cdp_prep, "ds");
+	for (var j = 0; j < cdp_dss.length; j++) {
+		this.cdp_prep.push({
+			value: rrdXMLNumber(rrdXMLTag(cdp_dss[j], "value")),
+			unknown_datapoints: rrdXMLNumber(rrdXMLTag(cdp_dss[j], "unknown_datapoints")),
+			primary_value: rrdXMLNumber(rrdXMLTag(cdp_dss[j], "primary_value")),
+			secondary_value: rrdXMLNumber(rrdXMLTag(cdp_dss[j], "secondary_value"))
+		});
+	}
+}
+
+/**
+ * @return {Number} which RRA it is in the RRD file.
+ */
+RRDXMLRRAInfo.prototype.getIdx = function() {
+	return this.my_idx;
+};
+
+/**
+ * @return {Number} the number of rows in the RRA.
+ */
+RRDXMLRRAInfo.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+
+/**
+ * @return {Number} number of slots used for consolidation.
+ */
+RRDXMLRRAInfo.prototype.getPdpPerRow = function() {
+	return this.pdp_per_row;
+};
+
+/**
+ * @return {Number} the number of seconds between rows.
+ */
+RRDXMLRRAInfo.prototype.getStep = function() {
+	return this.pdp_step * this.pdp_per_row;
+};
+
+/**
+ * @return {string} the Consolidation Function used by the RRA.
+ */
+RRDXMLRRAInfo.prototype.getCFName = function() {
+	return this.cf;
+};
+
+/**
+ * @return {Number} the xfiles factor.
+ */
+RRDXMLRRAInfo.prototype.getXFF = function() {
+	return this.params.xff;
+};
+
+/**
+ * @return {boolean} true if the RRA is one of the Holt-Winters RRAs.
+ */
+RRDXMLRRAInfo.prototype.isHoltWinters = function() {
+	return (this.cf == "HWPREDICT") || (this.cf == "MHWPREDICT") || (this.cf == "SEASONAL") ||
+		(this.cf == "DEVSEASONAL") || (this.cf == "DEVPREDICT") || (this.cf == "FAILURES");
+};
+
+RRDXMLRRAInfo.prototype.getHWAlpha = function() {
+	return this.params.hw_alpha;
+};
+RRDXMLRRAInfo.prototype.getHWBeta = function() {
+	return this.params.hw_beta;
+};
+RRDXMLRRAInfo.prototype.getSeasonalGamma = function() {
+	return this.params.seasonal_gamma;
+};
+RRDXMLRRAInfo.prototype.getSeasonalSmoothingWindow = function() {
+	return this.params.smoothing_window;
+};
+RRDXMLRRAInfo.prototype.getDependentRRAIdx = function() {
+	return this.params.dependent_rra_idx;
+};
+RRDXMLRRAInfo.prototype.getDeltaPos = function() {
+	return this.params.delta_pos;
+};
+RRDXMLRRAInfo.prototype.getDeltaNeg = function() {
+	return this.params.delta_neg;
+};
+RRDXMLRRAInfo.prototype.getFailureThreshold = function() {
+	return this.params.failure_threshold;
+};
+RRDXMLRRAInfo.prototype.getWindowLength = function() {
+	return this.params.window_len;
+};
+
+// Internal, CDP scratch of a DS
+RRDXMLRRAInfo.prototype.get_cdp_prep = function(ds_idx) {
+	if ((ds_idx >= 0) && (ds_idx < this.cdp_prep.length)) {
+		return this.cdp_prep[ds_idx];
+	} else {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.cdp_prep.length + ").");
+	}
+};
+
+RRDXMLRRAInfo.prototype.getCDPValue = function(ds_idx) {
+	return this.get_cdp_prep(ds_idx).value;
+};
+RRDXMLRRAInfo.prototype.getCDPUnknownPdps = function(ds_idx) {
+	return this.get_cdp_prep(ds_idx).unknown_datapoints;
+};
+RRDXMLRRAInfo.prototype.getCDPPrimaryValue = function(ds_idx) {
+	return this.get_cdp_prep(ds_idx).primary_value;
+};
+RRDXMLRRAInfo.prototype.getCDPSecondaryValue = function(ds_idx) {
+	return this.get_cdp_prep(ds_idx).secondary_value;
+};
+
+
+/**
+ * This class implements the same interface as RRDRRA, for a RRA read from a XML dump.
+ * The dump lists the rows from the oldest to the newest, so no round robin logic is needed.
+ * @constructor
+ */
+function RRDXMLRRA(rra_info, values, ds_cnt, last_update) {
+	this.rra_info = rra_info;
+	this.last_update = last_update;
+	this.values = values; // Float64Array, row after row, NaN if unknown
+	this.row_cnt = rra_info.getNrRows();
+	this.ds_cnt = ds_cnt;
+}
+
+RRDXMLRRA.prototype.getIdx = function() {
+	return this.rra_info.getIdx();
+};
+RRDXMLRRA.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDXMLRRA.prototype.getNrDSs = function() {
+	return this.ds_cnt;
+};
+RRDXMLRRA.prototype.getStep = function() {
+	return this.rra_info.getStep();
+};
+RRDXMLRRA.prototype.getCFName = function() {
+	return this.rra_info.getCFName();
+};
+
+/**
+ * @param {number} row_idx row
+ * @param {number} ds_idx ds
+ * @return {Number} the value for the d-th DS in the r-th row.
+ */
+RRDXMLRRA.prototype.getEl = function(row_idx, ds_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+	var val = this.values[row_idx * this.ds_cnt + ds_idx];
+	if (isNaN(val)) return undefined;
+	return val;
+};
+
+/**
+ * Values are already decoded, so this is the same as getEl.
+ */
+RRDXMLRRA.prototype.getElFast = function(row_idx, ds_idx) {
+	return this.getEl(row_idx, ds_idx);
+};
+
+// time based access, as in RRDRRA
+RRDXMLRRA.prototype.getTimestamp = function(row_idx) {
+	return rrdRowTimestamp(this, row_idx, this.last_update);
+};
+RRDXMLRRA.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRDXMLRRA.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDXMLRRA.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+// bulk access, as in RRDRRA
+RRDXMLRRA.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	return rrdGetColumn(this, ds_idx, from_row, to_row);
+};
+RRDXMLRRA.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+/**
+ * Only valid for FAILURES RRAs.
+ * @return {boolean} true if a failure was detected for the d-th DS in the r-th row, undefined if unknown.
+ */
+RRDXMLRRA.prototype.isFailure = function(row_idx, ds_idx) {
+	var el = this.getEl(row_idx, ds_idx);
+	if (el === undefined) return undefined;
+	return el > 0;
+};
+
+
+/**
+ * This class implements the same interface as RRDFile, but reads the output of rrdtool dump.
+ * Unlike the binary format, the XML dump does not depend on the architecture that created the RRD.
+ *
+ * @constructor
+ * @param {string} xml_text The content of the XML dump.
+ */
+function RRDFileFromXML(xml_text) {
+	// the row timestamps are only in comments, and not needed
+	var text = xml_text.replace(/<!--[\s\S]*?-->/g, "");
+	if (text.indexOf("<rrd>") < 0) {
+		throw new InvalidRRD("Not a rrdtool XML dump.", {
+			field: "rrd"
+		});
+	}
+
+	// RRAs contain DS elements as well, so take them out first
+	var rra_texts = rrdXMLTags(text, "rra");
+	var header_text = text.replace(/<rra>[\s\S]*?<\/rra>/g, "");
+	var ds_texts = rrdXMLTags(header_text, "ds");
+
+	this.version = rrdXMLTag(header_text, "version");
+	this.step = rrdXMLNumber(rrdXMLTag(header_text, "step"));
+	this.last_update = rrdXMLNumber(rrdXMLTag(header_text, "lastupdate"));
+	if ((this.step === undefined) || (this.last_update === undefined)) {
+		throw new InvalidRRD("Missing step or lastupdate.", {
+			field: (this.step === undefined) ? "step" : "lastupdate"
+		});
+	}
+	if (ds_texts.length < 1) {
+		throw new InvalidRRD("ds count less than 1.", {
+			field: "ds"
+		});
+	}
+
+	this.ds_list = [];
+	for (var i = 0; i < ds_texts.length; i++) {
+		this.ds_list.push(new RRDXMLDS(ds_texts[i], i));
+	}
+
+	var ds_cnt = this.ds_list.length;
+	this.rra_list = [];
+	for (var j = 0; j < rra_texts.length; j++) {
+		var rra_info = new RRDXMLRRAInfo(rra_texts[j], this.step, j);
+		var database = rrdXMLTag(rra_texts[j], "database");
+		var rows = (database === undefined) ? [] : rrdXMLTags(database, "row");
+		var values = new Float64Array(rows.length * ds_cnt);
+		for (var r = 0; r < rows.length; r++) {
+			var vs = rrdXMLTags(rows[r], "v");
+			if (vs.length != ds_cnt) {
+				throw new InvalidRRD("RRA " + j + " row " + r + " has " + vs.length + " values, expected " + ds_cnt + ".", {
+					field: "rra[" + j + "]"
+				});
+			}
+			for (var d = 0; d < ds_cnt; d++) {
+				values[r * ds_cnt + d] = rrdParseDouble(vs[d]);
+			}
+		}
+		rra_info.row_cnt = rows.length;
+		this.rra_list.push(new RRDXMLRRA(rra_info, values, ds_cnt, this.last_update));
+	}
+}
+
+/**
+ * @return {Number} the base interval in seconds that was used to feed the RRD file.
+ */
+RRDFileFromXML.prototype.getMinStep = function() {
+	return this.step;
+};
+
+/**
+ * @return {Number} the timestamp of the last update.
+ */
+RRDFileFromXML.prototype.getLastUpdate = function() {
+	return this.last_update;
+};
+
+/**
+ * @return {Number} the number of Data Sources present in the RRD file.
+ */
+RRDFileFromXML.prototype.getNrDSs = function() {
+	return this.ds_list.length;
+};
+
+/**
+ * @return {Array} the names of the Data Sources present in the RRD file.
+ */
+RRDFileFromXML.prototype.getDSNames = function() {
+	var ds_names = [];
+	for (var i = 0; i < this.ds_list.length; i++) {
+		ds_names.push(this.ds_list[i].getName());
+	}
+	return ds_names;
+};
+
+/**
+ * @return {RRDXMLDS} If id is a number, the id-th Data Source, else the Data Source with the requested name.
+ */
+RRDFileFromXML.prototype.getDS = function(id) {
+	if (typeof id == "number") {
+		if ((id >= 0) && (id < this.ds_list.length)) {
+			return this.ds_list[id];
+		} else {
+			throw RangeError("DS idx (" + id + ") out of range [0-" + this.ds_list.length + ").");
+		}
+	} else {
+		for (var i = 0; i < this.ds_list.length; i++) {
+			if (this.ds_list[i].getName() == id) return this.ds_list[i];
+		}
+		throw RangeError("DS name " + id + " unknown.");
+	}
+};
+
+/**
+ * @return {Number} the number of Round Robin Archives present in the RRD file.
+ */
+RRDFileFromXML.prototype.getNrRRAs = function() {
+	return this.rra_list.length;
+};
+
+/**
+ * @return {RRDXMLRRAInfo} the information about the n-th Round Robin Archive.
+ */
+RRDFileFromXML.prototype.getRRAInfo = function(idx) {
+	return this.getRRA(idx).rra_info;
+};
+
+/**
+ * @return {RRDXMLRRA} an object that can be used to access the values stored in the n-th Round Robin Archive.
+ */
+RRDFileFromXML.prototype.getRRA = function(idx) {
+	if ((idx >= 0) && (idx < this.rra_list.length)) {
+		return this.rra_list[idx];
+	} else {
+		throw RangeError("RRA idx (" + idx + ") out of range [0-" + this.rra_list.length + ").");
+	}
+};
+
+/**
+ * @return {Object} the values of all the DSs between start and end, see rrdFetch.
+ */
+RRDFileFromXML.prototype.fetch = function(cf, start, end, resolution) {
+	return rrdFetch(this, cf, start, end, resolution);
+};
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDFileFromXML: RRDFileFromXML
+	};
+}
@@ -27,17 +27,53 @@
  *     getCFName()
  *     getEl(row_idx)
  *     getElFast(row_idx)
+ *     getTimestamp(row_idx)
+ *     getRowForTime(timestamp)
+ *     getElAt(timestamp, ds_idx)
+ *     getRowIterator(from_row, to_row)
+ *     getColumn(ds_idx, from_row, to_row)
+ *     getRows(from_row, to_row)
+ *
+ * The filtered RRAs need only getNrRows(), getNrDSs(), getStep(), getCFName(), getEl() and getElFast();
+ * if they lack the time based or bulk access, it is computed from those and the last update of the file.
  *
  */
 
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var rrdRowTimestamp = require("./rrdFile.js").rrdRowTimestamp;
+	var rrdRowForTime = require("./rrdFile.js").rrdRowForTime;
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdRowRange = require("./rrdFile.js").rrdRowRange;
+	var rrdGetColumn = require("./rrdFile.js").rrdGetColumn;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+	var rrdIsUnknown = require("./rrdFile.js").rrdIsUnknown;
+	var rrdApplyUnknown = require("./rrdFile.js").rrdApplyUnknown;
+}
+
+
+// Internal, timestamp of a row of a filtered RRA, computed from the last update of rrd_file if the RRA has no getTimestamp
+function rrdFilterTimestamp(rrd_rra, row_idx, rrd_file) {
+	if (rrd_rra.getTimestamp !== undefined) return rrd_rra.getTimestamp(row_idx);
+	return rrdRowTimestamp(rrd_rra, row_idx, rrd_file.getLastUpdate());
+}
+
+// Internal, column of a filtered RRA, read one element at a time if the RRA has no getColumn
+function rrdFilterColumn(rrd_rra, ds_idx, from_row, to_row) {
+	if (rrd_rra.getColumn !== undefined) return rrd_rra.getColumn(ds_idx, from_row, to_row);
+	return rrdGetColumn(rrd_rra, ds_idx, from_row, to_row);
+}
+
 
 // ================================================================
 // Filter out a subset of DSs (identified either by idx or by name)
 
 // Internal
-function RRDRRAFilterDS(rrd_rra, ds_list) {
+function RRDRRAFilterDS(rrd_rra, ds_list, rrd_file) {
 	this.rrd_rra = rrd_rra;
 	this.ds_list = ds_list;
+	this.rrd_file = rrd_file;
 }
 RRDRRAFilterDS.prototype.getIdx = function() {
 	return this.rrd_rra.getIdx();
@@ -70,6 +106,29 @@ RRDRRAFilterDS.prototype.getElFast = function(row_idx, ds_idx) {
 		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_list.length + ").");
 	}
 };
+RRDRRAFilterDS.prototype.getTimestamp = function(row_idx) {
+	return rrdFilterTimestamp(this.rrd_rra, row_idx, this.rrd_file);
+};
+RRDRRAFilterDS.prototype.getRowForTime = function(timestamp) {
+	if (this.rrd_rra.getRowForTime === undefined) return rrdRowForTime(this, timestamp);
+	return this.rrd_rra.getRowForTime(timestamp);
+};
+RRDRRAFilterDS.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDRRAFilterDS.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+RRDRRAFilterDS.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	if ((ds_idx >= 0) && (ds_idx < this.ds_list.length)) {
+		return rrdFilterColumn(this.rrd_rra, this.ds_list[ds_idx].real_ds_idx, from_row, to_row);
+	} else {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_list.length + ").");
+	}
+};
+RRDRRAFilterDS.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
 
 // --------------------------------------------------
 // Public
@@ -80,7 +139,12 @@ function RRDFilterDS(rrd_file, ds_id_list) {
 	for (var i = 0; i < ds_id_list.length; i++) {
 		var org_ds = rrd_file.getDS(ds_id_list[i]);
 		// must create a new copy, as the index has changed
-		var new_ds = new RRDDS(org_ds.rrd_data, org_ds.rrd_data_idx, i);
+		// copy the object itself, so it works with any DS implementation (binary or XML)
+		var new_ds = Object.create(Object.getPrototypeOf(org_ds));
+		for (var key in org_ds) {
+			if (org_ds.hasOwnProperty(key)) new_ds[key] = org_ds[key];
+		}
+		new_ds.my_idx = i;
 		// then extend it to include the real RRD index
 		new_ds.real_ds_idx = org_ds.my_idx;
 
@@ -100,7 +164,7 @@ RRDFilterDS.prototype.getNrDSs = function() {
 RRDFilterDS.prototype.getDSNames = function() {
 	var ds_names = [];
 	for (var i = 0; i < this.ds_list.length; i++) {
-		ds_names.push(ds_list[i].getName());
+		ds_names.push(this.ds_list[i].getName());
 	}
 	return ds_names;
 };
@@ -139,7 +203,7 @@ RRDFilterDS.prototype.getRRAInfo = function(idx) {
 	return this.rrd_file.getRRAInfo(idx);
 };
 RRDFilterDS.prototype.getRRA = function(idx) {
-	return new RRDRRAFilterDS(this.rrd_file.getRRA(idx), this.ds_list);
+	return new RRDRRAFilterDS(this.rrd_file.getRRA(idx), this.ds_list, this.rrd_file);
 };
 
 // ================================================================
@@ -171,6 +235,11 @@ RRDFilterDS.prototype.getRRA = function(idx) {
 //
 // You get the same resoult with
 // rrd_data = new RRDFilterOp(rrd_data, [ds0_name,1,new sumDS(ds0_name, ds1_name)]);
+//
+// Unknown values are passed to computeResult as undefined, and it can return undefined (or NaN) for an unknown result
+// To handle them the same way for all the ops, set the unknown option (see rrdApplyUnknown in rrdFile.js):
+// rrd_data = new RRDFilterOp(rrd_data, [new sumDS(ds0_name, ds1_name)], {unknown: "zero"});
+// With "skip", val_list only contains the known values
 ////////////////////////////////////////////////////////////////////
 
 // this implements the conceptual NoNothing above
@@ -243,9 +312,11 @@ RRDDSFilterOp.prototype.computeResult = function(val_list) {
 
 // ------ --------------------------------------------
 //Private
-function RRDRRAFilterOp(rrd_rra, ds_list) {
+function RRDRRAFilterOp(rrd_rra, ds_list, unknown, rrd_file) {
 	this.rrd_rra = rrd_rra;
 	this.ds_list = ds_list;
+	this.unknown = unknown;
+	this.rrd_file = rrd_file;
 }
 RRDRRAFilterOp.prototype.getIdx = function() {
 	return this.rrd_rra.getIdx();
@@ -262,6 +333,16 @@ RRDRRAFilterOp.prototype.getStep = function() {
 RRDRRAFilterOp.prototype.getCFName = function() {
 	return this.rrd_rra.getCFName();
 };
+// INTERNAL: Do not call directly
+// apply the unknown policy, if any, then the op; return undefined if the result is unknown
+RRDRRAFilterOp.prototype.computeEl = function(ds_idx, val_list) {
+	if (this.unknown !== undefined) {
+		val_list = rrdApplyUnknown(val_list, this.unknown);
+		if (val_list === null) return undefined;
+	}
+	var val = this.ds_list[ds_idx].computeResult(val_list);
+	return rrdIsUnknown(val) ? undefined : val;
+};
 RRDRRAFilterOp.prototype.getEl = function(row_idx, ds_idx) {
 	if ((ds_idx >= 0) && (ds_idx < this.ds_list.length)) {
 		var ds_idx_list = this.ds_list[ds_idx].getRealDSList();
@@ -269,7 +350,7 @@ RRDRRAFilterOp.prototype.getEl = function(row_idx, ds_idx) {
 		for (var i = 0; i < ds_idx_list.length; i++) {
 			val_list.push(this.rrd_rra.getEl(row_idx, ds_idx_list[i]));
 		}
-		return this.ds_list[ds_idx].computeResult(val_list);
+		return this.computeEl(ds_idx, val_list);
 	} else {
 		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_list.length + ").");
 	}
@@ -281,16 +362,57 @@ RRDRRAFilterOp.prototype.getElFast = function(row_idx, ds_idx) {
 		for (var i = 0; i < ds_idx_list.length; i++) {
 			val_list.push(this.rrd_rra.getEl(row_idx, ds_idx_list[i]));
 		}
-		return this.ds_list[ds_idx].computeResult(val_list);
+		return this.computeEl(ds_idx, val_list);
 	} else {
 		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_list.length + ").");
 	}
 };
+RRDRRAFilterOp.prototype.getTimestamp = function(row_idx) {
+	return rrdFilterTimestamp(this.rrd_rra, row_idx, this.rrd_file);
+};
+RRDRRAFilterOp.prototype.getRowForTime = function(timestamp) {
+	if (this.rrd_rra.getRowForTime === undefined) return rrdRowForTime(this, timestamp);
+	return this.rrd_rra.getRowForTime(timestamp);
+};
+RRDRRAFilterOp.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDRRAFilterOp.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+// reads each input column once, then computes the result row by row
+RRDRRAFilterOp.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	if ((ds_idx < 0) || (ds_idx >= this.ds_list.length)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_list.length + ").");
+	}
+	var range = rrdRowRange(this, from_row, to_row);
+	var ds_idx_list = this.ds_list[ds_idx].getRealDSList();
+	var columns = [];
+	var i;
+	for (i = 0; i < ds_idx_list.length; i++) {
+		columns.push(rrdFilterColumn(this.rrd_rra, ds_idx_list[i], range[0], range[1]));
+	}
+	var out = new Float64Array(range[1] - range[0]);
+	for (var r = 0; r < out.length; r++) {
+		// the ops expect undefined for unknown values
+		var val_list = [];
+		for (i = 0; i < columns.length; i++) {
+			val_list.push(isNaN(columns[i][r]) ? undefined : columns[i][r]);
+		}
+		var val = this.computeEl(ds_idx, val_list);
+		out[r] = (val === undefined) ? NaN : val;
+	}
+	return out;
+};
+RRDRRAFilterOp.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
 
 // --------------------------------------------------
 //Public
-function RRDFilterOp(rrd_file, op_obj_list) {
+function RRDFilterOp(rrd_file, op_obj_list, options) {
 	this.rrd_file = rrd_file;
+	this.unknown = (options !== undefined) ? options.unknown : undefined;
 	this.ds_list = [];
 	for (var i in op_obj_list) {
 		var el = op_obj_list[i];
@@ -317,7 +439,7 @@ RRDFilterOp.prototype.getNrDSs = function() {
 RRDFilterOp.prototype.getDSNames = function() {
 	var ds_names = [];
 	for (var i = 0; i < this.ds_list.length; i++) {
-		ds_names.push(ds_list[i].getName());
+		ds_names.push(this.ds_list[i].getName());
 	}
 	return ds_names;
 };
@@ -356,7 +478,7 @@ RRDFilterOp.prototype.getRRAInfo = function(idx) {
 	return this.rrd_file.getRRAInfo(idx);
 };
 RRDFilterOp.prototype.getRRA = function(idx) {
-	return new RRDRRAFilterOp(this.rrd_file.getRRA(idx), this.ds_list);
+	return new RRDRRAFilterOp(this.rrd_file.getRRA(idx), this.ds_list, this.unknown, this.rrd_file);
 };
 
 // ================================================================
@@ -367,6 +489,54 @@ RRDFilterOp.prototype.getRRA = function(idx) {
 // Example: To shift the first three 3 RRAs in the file by one hour, 
 //         rrd_data = new RRAFilterShift(rra_data, 3600, [0,1,2]);
 
+//Private, shifts the row timestamps too
+function RRDRRAFilterShift(rrd_rra, shift_in_seconds, rrd_file) {
+	this.rrd_rra = rrd_rra;
+	this.shift_in_seconds = shift_in_seconds;
+	this.rrd_file = rrd_file;
+}
+RRDRRAFilterShift.prototype.getIdx = function() {
+	return this.rrd_rra.getIdx();
+};
+RRDRRAFilterShift.prototype.getNrRows = function() {
+	return this.rrd_rra.getNrRows();
+};
+RRDRRAFilterShift.prototype.getNrDSs = function() {
+	return this.rrd_rra.getNrDSs();
+};
+RRDRRAFilterShift.prototype.getStep = function() {
+	return this.rrd_rra.getStep();
+};
+RRDRRAFilterShift.prototype.getCFName = function() {
+	return this.rrd_rra.getCFName();
+};
+RRDRRAFilterShift.prototype.getEl = function(row_idx, ds_idx) {
+	return this.rrd_rra.getEl(row_idx, ds_idx);
+};
+RRDRRAFilterShift.prototype.getElFast = function(row_idx, ds_idx) {
+	return this.rrd_rra.getElFast(row_idx, ds_idx);
+};
+RRDRRAFilterShift.prototype.getTimestamp = function(row_idx) {
+	return rrdFilterTimestamp(this.rrd_rra, row_idx, this.rrd_file) + this.shift_in_seconds;
+};
+RRDRRAFilterShift.prototype.getRowForTime = function(timestamp) {
+	if (this.rrd_rra.getRowForTime === undefined) return rrdRowForTime(this, timestamp);
+	return this.rrd_rra.getRowForTime(timestamp - this.shift_in_seconds);
+};
+RRDRRAFilterShift.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDRRAFilterShift.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+RRDRRAFilterShift.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	return rrdFilterColumn(this.rrd_rra, ds_idx, from_row, to_row);
+};
+RRDRRAFilterShift.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+//Public
 function RRAFilterShift(rrd_file, shift_int, rra_list) {
 	this.rrd_file = rrd_file;
 	this.shift_int = shift_int;
@@ -395,7 +565,7 @@ RRAFilterShift.prototype.getRRAInfo = function(idx) {
 	return this.rrd_file.getRRAInfo(idx);
 };
 RRAFilterShift.prototype.getRRA = function(idx) {
-	return this.rrd_file.getRRA(idx);
+	return new RRDRRAFilterShift(this.rrd_file.getRRA(idx), this.shift_in_seconds, this.rrd_file);
 };
 
 // ================================================================
@@ -429,6 +599,10 @@ RRAFilterShift.prototype.getRRA = function(idx) {
  *      //For example, if you have two RRAs, one with a 5 second step,
  *      //and another with a 60 second step, and you'd like a 30 second step,
  *      //rrd_data = new RRDRRAFilterAvg(rrd_data,[new RRADoNothing(0), new RRDDoNothing(1),new RRA_Avg(1,30)];)
+ *
+ *      //By default, a row is unknown if any of the averaged rows is
+ *      //(the unknown option, see rrdApplyUnknown in rrdFile.js), to average only the known ones:
+ *      //rrd_data = new RRDRRAFilterAvg(rrd_data,[[1,30]],{unknown: "skip"});
  */
 
 // Users can use this one directly for simple use cases
@@ -477,9 +651,10 @@ RRAInfoFilterAvg.prototype.getPdpPerRow = function() {
 
 //---------------------------------------------------------------------------
 //Private Function
-function RRAFilterAvg(rrd_file, op_obj) {
+function RRAFilterAvg(rrd_file, op_obj, unknown) {
 	this.rrd_file = rrd_file;
 	this.op_obj = op_obj;
+	this.unknown = (unknown !== undefined) ? unknown : "propagate";
 	this.base_rra = rrd_file.getRRA(op_obj.getIdx());
 	var scaler = 1;
 	if (op_obj.getStep() !== null) {
@@ -507,25 +682,66 @@ RRAFilterAvg.prototype.getStep = function() {
 		return this.base_rra.getStep();
 	}
 };
-RRAFilterAvg.prototype.getEl = function(row, ds) {
+// INTERNAL: Do not call directly
+// average following the unknown policy, undefined if unknown
+RRAFilterAvg.prototype.average = function(val_list) {
+	val_list = rrdApplyUnknown(val_list, this.unknown);
+	if (val_list === null) return undefined;
 	var sum = 0;
+	for (var i = 0; i < val_list.length; i++) {
+		sum += val_list[i];
+	}
+	return sum / val_list.length;
+};
+RRAFilterAvg.prototype.getEl = function(row, ds) {
+	var val_list = [];
 	for (var i = 0; i < this.scaler; i++) {
-		sum += this.base_rra.getEl((this.scaler * row) + i, ds);
+		val_list.push(this.base_rra.getEl((this.scaler * row) + i, ds));
 	}
-	return sum / this.scaler;
+	return this.average(val_list);
 };
 RRAFilterAvg.prototype.getElFast = function(row, ds) {
-	var sum = 0;
+	var val_list = [];
 	for (var i = 0; i < this.scaler; i++) {
-		sum += this.base_rra.getElFast((this.scaler * row) + i, ds);
+		val_list.push(this.base_rra.getElFast((this.scaler * row) + i, ds));
+	}
+	return this.average(val_list);
+};
+// each row ends with the last of the rows it averages
+RRAFilterAvg.prototype.getTimestamp = function(row) {
+	if ((row < 0) || (row >= this.getNrRows())) {
+		throw RangeError("Row idx (" + row + ") out of range [0-" + this.getNrRows() + ").");
 	}
-	return sum / this.scaler;
+	return rrdFilterTimestamp(this.base_rra, (this.scaler * row) + this.scaler - 1, this.rrd_file);
+};
+RRAFilterAvg.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRAFilterAvg.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRAFilterAvg.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+RRAFilterAvg.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	var range = rrdRowRange(this, from_row, to_row);
+	var base = rrdFilterColumn(this.base_rra, ds_idx, this.scaler * range[0], this.scaler * range[1]);
+	var out = new Float64Array(range[1] - range[0]);
+	for (var r = 0; r < out.length; r++) {
+		var val = this.average(Array.prototype.slice.call(base, this.scaler * r, this.scaler * (r + 1)));
+		out[r] = (val === undefined) ? NaN : val;
+	}
+	return out;
+};
+RRAFilterAvg.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
 };
 
 //----------------------------------------------------------------------------
 //Public function - use this one for RRA averaging
-function RRDRRAFilterAvg(rrd_file, op_obj_list) {
+function RRDRRAFilterAvg(rrd_file, op_obj_list, options) {
 	this.rrd_file = rrd_file;
+	var unknown = (options !== undefined) ? options.unknown : undefined;
 	this.op_obj_list = [];
 	this.rra_list = [];
 	for (var i in op_obj_list) {
@@ -539,7 +755,7 @@ function RRDRRAFilterAvg(rrd_file, op_obj_list) {
 			outel = el;
 		}
 		this.op_obj_list.push(outel);
-		this.rra_list.push(new RRAFilterAvg(rrd_file, outel));
+		this.rra_list.push(new RRAFilterAvg(rrd_file, outel, unknown));
 	}
 }
 RRDRRAFilterAvg.prototype.getMinStep = function() {
@@ -571,4 +787,189 @@ RRDRRAFilterAvg.prototype.getRRA = function(idx) {
 	if ((idx >= 0) && (idx < this.rra_list.length)) {
 		return this.rra_list[idx];
 	}
-};
\ No newline at end of file
+};
+
+// ================================================================
+// Stitch all the RRAs using the same CF into a single RRA with variable resolution
+// Each period is taken from the finest RRA covering it, so recent data keeps the full detail
+// while older data comes from the coarser RRAs
+// Rows are not evenly spaced: getTimestamp(row_idx) returns the time (in seconds) of a row,
+// and getRowStep(row_idx) its step; getStep() returns the finest step
+// cf_list is the list of CFs to use, one RRA each; if undefined, all the CFs in the RRD are used
+// Example: a single RRA with all the AVERAGE data, to plot the last year
+//         rrd_data = new RRDFilterStitch(rrd_data, ["AVERAGE"]);
+
+//Private
+function RRDRRAFilterStitch(rrd_file, cf_name, idx) {
+	this.cf_name = cf_name;
+	this.idx = idx;
+	this.ds_cnt = rrd_file.getNrDSs();
+	this.min_step = rrd_file.getMinStep();
+
+	var last_update = rrd_file.getLastUpdate();
+	var rras = [];
+	var i;
+	for (i = 0; i < rrd_file.getNrRRAs(); i++) {
+		var rra = rrd_file.getRRA(i);
+		if (rra.getCFName() != cf_name) continue;
+		var step = rra.getStep();
+		var rows = rra.getNrRows();
+		rras.push({
+			rra: rra,
+			step: step,
+			first_ts: last_update - (last_update % step) - (rows - 1) * step,
+			nr_rows: rows
+		});
+	}
+	if (rras.length === 0) {
+		throw RangeError("No RRA uses the " + cf_name + " CF.");
+	}
+	rras.sort(function(a, b) {
+		return a.step - b.step;
+	});
+
+	// from the finest to the coarsest, keep only the rows older than the ones already covered
+	this.segments = [];
+	var to = Infinity;
+	for (i = 0; i < rras.length; i++) {
+		var seg = rras[i];
+		if (seg.first_ts >= to) continue;
+		if (to != Infinity) seg.nr_rows = Math.min(seg.nr_rows, Math.ceil((to - seg.first_ts) / seg.step));
+		this.segments.unshift(seg);
+		to = seg.first_ts;
+	}
+	this.row_cnt = 0;
+	for (i = 0; i < this.segments.length; i++) {
+		this.segments[i].row_offset = this.row_cnt;
+		this.row_cnt += this.segments[i].nr_rows;
+	}
+}
+RRDRRAFilterStitch.prototype.getIdx = function() {
+	return this.idx;
+};
+RRDRRAFilterStitch.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDRRAFilterStitch.prototype.getNrDSs = function() {
+	return this.ds_cnt;
+};
+RRDRRAFilterStitch.prototype.getStep = function() {
+	return this.segments[this.segments.length - 1].step;
+};
+RRDRRAFilterStitch.prototype.getPdpPerRow = function() {
+	return this.getStep() / this.min_step;
+};
+RRDRRAFilterStitch.prototype.getCFName = function() {
+	return this.cf_name;
+};
+// INTERNAL: Do not call directly
+RRDRRAFilterStitch.prototype.getSegment = function(row_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	for (var i = this.segments.length - 1; i > 0; i--) {
+		if (row_idx >= this.segments[i].row_offset) return this.segments[i];
+	}
+	return this.segments[0];
+};
+RRDRRAFilterStitch.prototype.getTimestamp = function(row_idx) {
+	var seg = this.getSegment(row_idx);
+	return seg.first_ts + (row_idx - seg.row_offset) * seg.step;
+};
+RRDRRAFilterStitch.prototype.getRowStep = function(row_idx) {
+	return this.getSegment(row_idx).step;
+};
+RRDRRAFilterStitch.prototype.getEl = function(row_idx, ds_idx) {
+	var seg = this.getSegment(row_idx);
+	return seg.rra.getEl(row_idx - seg.row_offset, ds_idx);
+};
+RRDRRAFilterStitch.prototype.getElFast = function(row_idx, ds_idx) {
+	var seg = this.getSegment(row_idx);
+	return seg.rra.getElFast(row_idx - seg.row_offset, ds_idx);
+};
+RRDRRAFilterStitch.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRDRRAFilterStitch.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDRRAFilterStitch.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+RRDRRAFilterStitch.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	var range = rrdRowRange(this, from_row, to_row);
+	var out = new Float64Array(range[1] - range[0]);
+	for (var i = 0; i < this.segments.length; i++) {
+		var seg = this.segments[i];
+		var from = Math.max(range[0], seg.row_offset);
+		var to = Math.min(range[1], seg.row_offset + seg.nr_rows);
+		if (from < to) {
+			out.set(rrdFilterColumn(seg.rra, ds_idx, from - seg.row_offset, to - seg.row_offset), from - range[0]);
+		}
+	}
+	return out;
+};
+RRDRRAFilterStitch.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+// --------------------------------------------------
+//Public
+function RRDFilterStitch(rrd_file, cf_list) {
+	this.rrd_file = rrd_file;
+	var i;
+	if (cf_list === undefined) {
+		cf_list = [];
+		for (i = 0; i < rrd_file.getNrRRAs(); i++) {
+			var cf_name = rrd_file.getRRA(i).getCFName();
+			if (cf_list.indexOf(cf_name) < 0) cf_list.push(cf_name);
+		}
+	}
+	this.rra_list = [];
+	for (i = 0; i < cf_list.length; i++) {
+		this.rra_list.push(new RRDRRAFilterStitch(rrd_file, cf_list[i], i));
+	}
+}
+RRDFilterStitch.prototype.getMinStep = function() {
+	return this.rrd_file.getMinStep();
+};
+RRDFilterStitch.prototype.getLastUpdate = function() {
+	return this.rrd_file.getLastUpdate();
+};
+RRDFilterStitch.prototype.getNrDSs = function() {
+	return this.rrd_file.getNrDSs();
+};
+RRDFilterStitch.prototype.getDSNames = function() {
+	return this.rrd_file.getDSNames();
+};
+RRDFilterStitch.prototype.getDS = function(id) {
+	return this.rrd_file.getDS(id);
+};
+RRDFilterStitch.prototype.getNrRRAs = function() {
+	return this.rra_list.length;
+};
+// the stitched RRA provides the RRA info too
+RRDFilterStitch.prototype.getRRAInfo = function(idx) {
+	return this.getRRA(idx);
+};
+RRDFilterStitch.prototype.getRRA = function(idx) {
+	if ((idx >= 0) && (idx < this.rra_list.length)) {
+		return this.rra_list[idx];
+	} else {
+		throw RangeError("RRA idx (" + idx + ") out of range [0-" + this.rra_list.length + ").");
+	}
+};
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDFilterDS: RRDFilterDS,
+		RRDFltOpIdent: RRDFltOpIdent,
+		RRDFltOpIdentId: RRDFltOpIdentId,
+		RRDFilterOp: RRDFilterOp,
+		RRAFilterShift: RRAFilterShift,
+		RRDRRAFltAvgOpNewStep: RRDRRAFltAvgOpNewStep,
+		RRDRRAFilterAvg: RRDRRAFilterAvg,
+		RRDFilterStitch: RRDFilterStitch
+	};
+}
@@ -32,15 +32,33 @@
  *     stack: 'none'                // other options are 'positive' and 'negative'
  *   }
  *
+ * rrdflot_defaults.holt_winters, if true, adds to every checked DS its Holt-Winters prediction
+ *   and confidence band, and marks the intervals where failures were detected.
+ *   It requires the RRD to have a HWPREDICT (or MHWPREDICT) RRA.
+ *
+ * rrdflot_defaults.auto_rra, if true, adds an "Auto" resolution per CF, the first one selected unless use_rra is set.
+ *   It plots all the RRAs with that CF, each period at the finest resolution stored,
+ *   and switches to finer RRAs when zooming in. The export then contains the rows as plotted.
+ *
+ * rrdflot_defaults.sync_group, if set to an rrdFlotSyncGroup, keeps the zoom and a hover crosshair
+ *   in sync with the other widgets of the group.
+ *
+ * rrdflot_defaults.url_state, if true, stores the state of the graph (see getState) in the URL hash,
+ *   and restores it from the URL (hash or query string) when the graph is created.
+ *   The parameters are prefixed by html_id, e.g. #mygraph.rra=1&mygraph.checked_DSs=ds0,ds1
+ *
+ * Listeners can be added with on(name, listener) and removed with off(name, listener).
+ *   They get an event object with type, target (the rrdFlot object) and, depending on the event:
+ *   rangechange - window_min and window_max as in getState, start and end in seconds (null if not zoomed)
+ *   dschange - checked_DSs
+ *   rrachange - rra
+ *   timezonechange - timezone
+ *   datareload - nothing else, the RRD file was replaced
+ *   pointhover - timestamp in seconds, ds (the DS name, or the series label) and value, as plotted
+ *     (only if the graph is hoverable, i.e. graph_options.tooltip was not set to false)
+ *
  */
 
-var local_checked_DSs = [];
-var selected_rra = 0;
-var window_min = 0;
-var window_max = 0;
-var elem_group = null;
-var timezone_shift = 0;
-
 function rrdFlot(html_id, rrd_file, graph_options, ds_graph_options, rrdflot_defaults) {
 	this.html_id = html_id;
 	this.rrd_file = rrd_file;
@@ -64,7 +82,11 @@ function rrdFlot(html_id, rrd_file, graph_options, ds_graph_options, rrdflot_def
 		graph_width: "500px",
 		scale_height: "110px",
 		scale_width: "250px",
-		timezone: -Math.ceil((new Date()).getTimezoneOffset() / 60)
+		timezone: -Math.ceil((new Date()).getTimezoneOffset() / 60),
+		holt_winters: false,
+		auto_rra: false,
+		sync_group: null,
+		url_state: false
 	};
 
 	// user supplied defaults override the system defaults
@@ -78,12 +100,28 @@ function rrdFlot(html_id, rrd_file, graph_options, ds_graph_options, rrdflot_def
 		this.ds_graph_options = ds_graph_options;
 	}
 	this.selection_range = new rrdFlotSelection();
+	this.listeners = new rrdFlotListeners();
+
+	// state of the widget, see getState
+	this.checked_DSs = [];
+	this.selected_rra = 0;
+	this.window_min = 0;
+	this.window_max = 0;
+	this.timezone_shift = 0;
+
+	this.sync_group = this.rrdflot_defaults.sync_group;
+	if (this.sync_group !== null && this.sync_group !== undefined) {
+		this.sync_group.add(this);
+	}
+
+	// read it before the first draw stores the defaults
+	var url_state = this.rrdflot_defaults.url_state ? rfs_url_state(this.html_id) : null;
 
-	graph_info = {};
 	this.createHTML();
 	this.populateRes();
 	this.populateDScb();
 	this.drawFlotGraph();
+	if (url_state !== null) this.setState(url_state);
 
 	if (this.rrdflot_defaults.graph_only === true) {
 		this.cleanHTMLCruft();
@@ -105,6 +143,7 @@ rrdFlot.prototype.createHTML = function() {
 	this.legend_sel_id = this.html_id + "_legend_sel";
 	this.time_sel_id = this.html_id + "_time_sel";
 	this.elem_group_id = this.html_id + "_elem_group";
+	this.export_sel_id = this.html_id + "_export_sel";
 
 	// First clean up anything in the element
 	while (base_el.lastChild !== null) base_el.removeChild(base_el.lastChild);
@@ -208,20 +247,149 @@ rrdFlot.prototype.createHTML = function() {
 
 	cellScaleReset.appendChild(elScaleReset);
 
+	// Export what is currently plotted
+	cellScaleReset.appendChild(document.createElement('br'));
+	cellScaleReset.appendChild(document.createElement('br'));
+	var forExport = document.createElement("select");
+	forExport.id = this.export_sel_id;
+	forExport.appendChild(new Option("CSV", "csv", true, true));
+	forExport.appendChild(new Option("JSON", "json", false, false));
+	forExport.appendChild(new Option("XML", "xml", false, false));
+	cellScaleReset.appendChild(forExport);
+	var elExport = document.createElement("input");
+	elExport.type = "button";
+	elExport.value = "Export";
+	elExport.onclick = function() {
+		rf_this.callback_export();
+	};
+	cellScaleReset.appendChild(elExport);
+
 	base_el.appendChild(external_table);
 };
 
 // ===============================================
-// Remove all HTMl elements but the graph
+// Hide all HTMl elements but the graph
+// They are kept in the page, since redrawing the graph (e.g. in updateRRDFile) reads them
 rrdFlot.prototype.cleanHTMLCruft = function() {
 	var rf_this = this; // use obj inside other functions
 
-	// delete top and bottom rows... graph is in the middle
-	this.external_table.deleteRow(-1);
-	this.external_table.deleteRow(0);
+	// hide top and bottom rows... graph is in the middle
+	var rows = this.external_table.rows;
+	rows[rows.length - 1].style.display = "none";
+	rows[0].style.display = "none";
 
+	// and the checkboxes
 	var ds_el = document.getElementById(this.ds_cb_id);
-	ds_el.removeChild(ds_el.lastChild);
+	ds_el.lastChild.style.display = "none";
+};
+
+// ======================================
+// Replace the RRD file, e.g. after it was reloaded, and redraw the graph in place
+// The zoom, the resolution, the legend position, the timezone and the checked DSs are kept
+rrdFlot.prototype.updateRRDFile = function(rrd_file) {
+	var old_file = this.rrd_file;
+	this.rrd_file = rrd_file;
+
+	// the controls only need rebuilding if the structure of the RRD changed
+	if (rrd_file.getNrRRAs() != old_file.getNrRRAs()) {
+		var oSelect = document.getElementById(this.res_id);
+		var res_value = oSelect.options[oSelect.selectedIndex].value;
+		this.populateRes();
+		for (var i = 0; i < oSelect.options.length; i++) {
+			if (oSelect.options[i].value == res_value) oSelect.selectedIndex = i;
+		}
+	}
+	if (rrd_file.getDSNames().join("\n") != old_file.getDSNames().join("\n")) {
+		var checked_DSs = this.getCheckedDSs();
+		var form_el = document.getElementById(this.ds_cb_id);
+		while (form_el.lastChild !== null) form_el.removeChild(form_el.lastChild);
+		this.populateDScb();
+		if (this.rrdflot_defaults.graph_only === true) form_el.lastChild.style.display = "none";
+		var oCB = form_el.ds;
+		if ((oCB !== undefined) && (oCB.length === undefined)) oCB = [oCB]; // single element is not an array
+		for (var j = 0; (oCB !== undefined) && (j < oCB.length); j++) {
+			oCB[j].checked = (checked_DSs.indexOf(oCB[j].value) >= 0);
+		}
+	}
+
+	this.drawFlotGraph();
+	this.trigger("datareload", {});
+};
+
+// ======================================
+// Return the names of the checked DSs
+rrdFlot.prototype.getCheckedDSs = function() {
+	var checked_DSs = [];
+	var oCB = document.getElementById(this.ds_cb_id).ds;
+	if (oCB === undefined) return checked_DSs;
+	if (oCB.length === undefined) oCB = [oCB]; // single element is not treated as an array
+	for (var i = 0; i < oCB.length; i++) {
+		if (oCB[i].checked === true) checked_DSs.push(oCB[i].value);
+	}
+	return checked_DSs;
+};
+
+// ======================================
+// Return the state of the graph, as an object with
+//  checked_DSs - the names of the checked DSs
+//  rra - the index of the plotted RRA, or "auto:" followed by the CF in auto resolution mode
+//        ("auto" alone stands for the first CF when passed to setState)
+//  window_min, window_max - the zoomed period, in ms as on the time axis; both 0 if not zoomed
+//  timezone - the timezone shift, in hours
+rrdFlot.prototype.getState = function() {
+	return {
+		checked_DSs: this.checked_DSs.slice(),
+		rra: this.selected_rra,
+		window_min: this.window_min,
+		window_max: this.window_max,
+		timezone: Number(this.timezone_shift)
+	};
+};
+
+// ======================================
+// Restore a state returned by getState, and redraw the graph
+// Any of the elements can be omitted, to keep the current value
+rrdFlot.prototype.setState = function(state) {
+	var i;
+	if (state.checked_DSs !== undefined) {
+		var oCB = document.getElementById(this.ds_cb_id).ds;
+		if ((oCB !== undefined) && (oCB.length === undefined)) oCB = [oCB]; // single element is not an array
+		for (i = 0; (oCB !== undefined) && (i < oCB.length); i++) {
+			oCB[i].checked = (state.checked_DSs.indexOf(oCB[i].value) >= 0);
+		}
+	}
+	if (state.rra !== undefined) {
+		this.rrdflot_defaults.use_rra = false;
+		var oSelect = document.getElementById(this.res_id);
+		for (i = oSelect.options.length - 1; i >= 0; i--) {
+			var rra_value = oSelect.options[i].value;
+			if ((rra_value == String(state.rra)) || ((state.rra == "auto") && (rra_value.indexOf("auto:") === 0))) {
+				oSelect.selectedIndex = i;
+			}
+		}
+	}
+	if (state.timezone !== undefined) {
+		var timeSelect = document.getElementById(this.time_sel_id);
+		for (i = 0; i < timeSelect.options.length; i++) {
+			if (Number(timeSelect.options[i].value) == state.timezone) timeSelect.selectedIndex = i;
+		}
+	}
+	if ((state.window_min !== undefined) && (state.window_max !== undefined)) {
+		this.rrdflot_defaults.use_windows = false;
+		if ((state.window_min === 0) && (state.window_max === 0)) {
+			this.selection_range.reset();
+		} else {
+			this.selection_range.setFromFlotRanges({
+				xaxis: {
+					from: state.window_min,
+					to: state.window_max
+				}
+			});
+		}
+		this.window_min = state.window_min;
+		this.window_max = state.window_max;
+	}
+	this.drawFlotGraph();
 };
 
 // ======================================
@@ -232,9 +400,22 @@ rrdFlot.prototype.populateRes = function() {
 	// First clean up anything in the element
 	while (form_el.lastChild !== null) form_el.removeChild(form_el.lastChild);
 
-	// now populate with RRA info
+	// one Auto entry per CF, in the order of the RRAs
 	var nrRRAs = this.rrd_file.getNrRRAs();
-	for (var i = 0; i < nrRRAs; i++) {
+	var cf_list = [];
+	var i;
+	if (this.rrdflot_defaults.auto_rra) {
+		for (i = 0; i < nrRRAs; i++) {
+			var cf_name = this.rrd_file.getRRAInfo(i).getCFName();
+			if (cf_list.indexOf(cf_name) < 0) cf_list.push(cf_name);
+		}
+		for (i = 0; i < cf_list.length; i++) {
+			form_el.appendChild(new Option((cf_list.length > 1) ? "Auto " + cf_list[i] : "Auto", "auto:" + cf_list[i]));
+		}
+	}
+
+	// now populate with RRA info
+	for (i = 0; i < nrRRAs; i++) {
 		var rra = this.rrd_file.getRRAInfo(i);
 		var step = rra.getStep();
 		var rows = rra.getNrRows();
@@ -244,7 +425,7 @@ rrdFlot.prototype.populateRes = function() {
 		form_el.appendChild(new Option(rra_label, i));
 	}
 	if (this.rrdflot_defaults.use_rra) {
-		form_el.selectedIndex = this.rrdflot_defaults.rra;
+		form_el.selectedIndex = this.rrdflot_defaults.rra + cf_list.length;
 	}
 };
 
@@ -347,14 +528,17 @@ rrdFlot.prototype.populateDScb = function() {
 };
 
 rrdFlot.prototype.drawFlotGraph = function() {
-	// Res contains the RRA idx
+	// Res contains the RRA idx, or auto: and the CF
 	var oSelect = document.getElementById(this.res_id);
-	var rra_idx = Number(oSelect.options[oSelect.selectedIndex].value);
-	selected_rra = rra_idx;
+	var rra_value = oSelect.options[oSelect.selectedIndex].value;
+	var auto_rra = (rra_value.indexOf("auto:") === 0);
+	var rra_idx = auto_rra ? 0 : Number(rra_value);
 	if (this.rrdflot_defaults.use_rra) {
 		oSelect.options[oSelect.selectedIndex].value = this.rrdflot_defaults.rra;
 		rra_idx = this.rrdflot_defaults.rra;
+		auto_rra = false;
 	}
+	this.selected_rra = auto_rra ? rra_value : rra_idx;
 
 	// now get the list of selected DSs
 	var ds_positive_stack_list = [];
@@ -364,13 +548,13 @@ rrdFlot.prototype.drawFlotGraph = function() {
 	var oCB = document.getElementById(this.ds_cb_id);
 	var nrDSs = oCB.ds.length;
 	var i; // iterator variable FIXME
-	local_checked_DSs = [];
+	this.checked_DSs = [];
 	if (oCB.ds.length > 0) {
 		for (i = 0; i < oCB.ds.length; i++) {
 			if (oCB.ds[i].checked === true) {
 				var ds_name = oCB.ds[i].value;
 				var ds_stack_type = 'none';
-				local_checked_DSs.push(ds_name);
+				this.checked_DSs.push(ds_name);
 				if (this.ds_graph_options[ds_name] !== undefined) {
 					if (this.ds_graph_options[ds_name].stack !== undefined) {
 						ds_stack_type = this.ds_graph_options[ds_name].stack;
@@ -391,22 +575,57 @@ rrdFlot.prototype.drawFlotGraph = function() {
 			// no sense trying to stack a single element
 			ds_single_list.push(oCB.ds.value);
 			ds_colors[oCB.ds.value] = 0;
-			local_checked_DSs.push(oCB.ds.value);
+			this.checked_DSs.push(oCB.ds.value);
 		}
 	}
 
 	var timeSelect = document.getElementById(this.time_sel_id);
-	timezone_shift = timeSelect.options[timeSelect.selectedIndex].value;
+	this.timezone_shift = timeSelect.options[timeSelect.selectedIndex].value;
 
 	// then extract RRA data about those DSs
-	var flot_obj = rrdRRAStackFlotObj(this.rrd_file, rra_idx,
-		ds_positive_stack_list, ds_negative_stack_list, ds_single_list,
-		timezone_shift * 3600);
+	// in auto mode, also every time the graph is zoomed, between start and end (in seconds)
+	// the rows are plotted at their step aligned timestamps, the ones the export uses
+	var rf_this = this;
+	var cf_name = auto_rra ? rra_value.substr(5) : this.rrd_file.getRRAInfo(rra_idx).getCFName();
+	var get_flot_obj = function(start, end) {
+		var flot_obj;
+		if (auto_rra) {
+			flot_obj = rrdAutoRRAStackFlotObj(rf_this.rrd_file, cf_name, start, end,
+				ds_positive_stack_list, ds_negative_stack_list, ds_single_list,
+				rf_this.timezone_shift * 3600, true, true);
+		} else {
+			flot_obj = rrdRRAStackFlotObj(rf_this.rrd_file, rra_idx,
+				ds_positive_stack_list, ds_negative_stack_list, ds_single_list,
+				rf_this.timezone_shift * 3600, true, true);
+			flot_obj.rra_idx = rra_idx;
+		}
+		rf_this.fixFlotObj(flot_obj, ds_colors);
+		return flot_obj;
+	};
+
+	// finally do the real plotting
+	this.bindFlotGraph(get_flot_obj(), auto_rra ? get_flot_obj : undefined);
+	this.saveURLState();
+};
+
+// ======================================
+// Store the state of the graph in the URL hash, if requested by rrdflot_defaults.url_state
+rrdFlot.prototype.saveURLState = function() {
+	if (this.rrdflot_defaults.url_state) {
+		rfs_save_url_state(this.html_id, this.getState());
+	}
+};
+
+// ======================================
+// Set the colors, labels and options of the DSs, and add the Holt-Winters data if requested
+rrdFlot.prototype.fixFlotObj = function(flot_obj, ds_colors) {
+	var i;
 
 	// fix the colors, based on the position in the RRD
 	for (i = 0; i < flot_obj.data.length; i++) {
 		var name = flot_obj.data[i].label;
 		var color = ds_colors[name]; // default color as defined above
+		flot_obj.data[i].id = name; // the label may change below
 		if (this.ds_graph_options[name] !== undefined) {
 			var dgo = this.ds_graph_options[name];
 			if (dgo.color !== undefined) {
@@ -431,13 +650,30 @@ rrdFlot.prototype.drawFlotGraph = function() {
 		flot_obj.data[i].color = color;
 	}
 
-	// finally do the real plotting
-	this.bindFlotGraph(flot_obj);
+	// add the Holt-Winters prediction and confidence band, in the color of the DS
+	if (this.rrdflot_defaults.holt_winters) {
+		flot_obj.markings = [];
+		for (i = 0; i < this.checked_DSs.length; i++) {
+			var hw_obj = rrdHWFlotObj(this.rrd_file, this.checked_DSs[i], this.timezone_shift * 3600, true);
+			if (hw_obj === null) break; // no HW RRAs in this RRD
+			for (var j = 0; j < hw_obj.data.length; j++) {
+				hw_obj.data[j].color = ds_colors[this.checked_DSs[i]];
+				hw_obj.data[j].lines = {
+					show: true,
+					lineWidth: (j === 0) ? 2 : 1
+				};
+				flot_obj.data.push(hw_obj.data[j]);
+			}
+			flot_obj.markings = flot_obj.markings.concat(hw_obj.markings);
+		}
+	}
 };
 
 // ======================================
 // Bind the graphs to the HTML tags
-rrdFlot.prototype.bindFlotGraph = function(flot_obj) {
+// If zoom_flot_obj is defined, it is called with the zoomed period (in seconds, shifted by the timezone)
+// and returns the flot_obj to use for the main graph
+rrdFlot.prototype.bindFlotGraph = function(flot_obj, zoom_flot_obj) {
 	var rf_this = this; // use obj inside other functions
 
 	// Legend
@@ -480,15 +716,29 @@ rrdFlot.prototype.bindFlotGraph = function(flot_obj) {
 		graph_options.legend.position = legend_id;
 	}
 
+	var sync_group = this.sync_group;
+	if (sync_group !== null && sync_group !== undefined) {
+		graph_options.crosshair = {
+			mode: "x"
+		};
+	} else {
+		sync_group = null;
+	}
+
 	if (this.graph_options !== undefined) {
 		graph_options = populateGraphOptions(graph_options, this.graph_options);
 	}
 
-	if (graph_options.tooltip === false) {
+	if ((graph_options.tooltip === false) && (sync_group === null)) {
 		// avoid the need for the caller specify both
 		graph_options.grid.hoverable = false;
 	}
 
+	if (flot_obj.markings !== undefined) {
+		// e.g. Holt-Winters failures
+		graph_options.grid.markings = flot_obj.markings;
+	}
+
 	if (this.selection_range.isSet()) {
 		var selection_range = this.selection_range.getFlotRanges();
 		if (this.rrdflot_defaults.use_windows) {
@@ -525,20 +775,28 @@ rrdFlot.prototype.bindFlotGraph = function(flot_obj) {
 	};
 
 	var flot_data = flot_obj.data;
-	var graph_data = this.selection_range.trim_flot_data(flot_data);
+	var shift = Number(this.timezone_shift) * 3600;
+	// in auto resolution mode, the main graph shows the zoomed period at the finest resolution available
+	var zoom_data = function(from, to) {
+		if ((zoom_flot_obj === undefined) || ((from == flot_obj.min) && (to == flot_obj.max))) {
+			return flot_data;
+		}
+		return zoom_flot_obj(from / 1000 - shift, to / 1000 - shift).data;
+	};
+	var graph_data = this.selection_range.trim_flot_data(zoom_data(graph_options.xaxis.min, graph_options.xaxis.max));
 	var scale_data = flot_data;
 
 	this.graph = $.plot($(graph_jq_id), graph_data, graph_options);
 	this.scale = $.plot($(scale_jq_id), scale_data, scale_options);
 
 	if (this.rrdflot_defaults.use_windows) {
-		ranges = {};
+		var ranges = {};
 		ranges.xaxis = [];
 		ranges.xaxis.from = this.rrdflot_defaults.window_min;
 		ranges.xaxis.to = this.rrdflot_defaults.window_max;
 		rf_this.scale.setSelection(ranges, true);
-		window_min = ranges.xaxis.from;
-		window_max = ranges.xaxis.to;
+		this.window_min = ranges.xaxis.from;
+		this.window_max = ranges.xaxis.to;
 	}
 
 	if (this.selection_range.isSet()) {
@@ -552,12 +810,15 @@ rrdFlot.prototype.bindFlotGraph = function(flot_obj) {
 		rf_this.selection_range.setFromFlotRanges(ranges);
 		graph_options.xaxis.min = ranges.xaxis.from;
 		graph_options.xaxis.max = ranges.xaxis.to;
-		window_min = ranges.xaxis.from;
-		window_max = ranges.xaxis.to;
-		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(flot_data), graph_options);
+		rf_this.window_min = ranges.xaxis.from;
+		rf_this.window_max = ranges.xaxis.to;
+		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(zoom_data(ranges.xaxis.from, ranges.xaxis.to)), graph_options);
 
 		// don't fire event on the scale to prevent eternal loop
 		rf_this.scale.setSelection(ranges, true); //puts the transparent window on minigraph
+		rf_this.saveURLState();
+		rf_this.triggerRangeChange();
+		if (sync_group !== null) sync_group.setWindow(rf_this, ranges.xaxis.from - shift * 1000, ranges.xaxis.to - shift * 1000);
 	});
 
 	$(scale_jq_id).unbind("plotselected"); //same here 
@@ -567,24 +828,116 @@ rrdFlot.prototype.bindFlotGraph = function(flot_obj) {
 
 	// only the scale has a selection
 	// so when that is cleared, redraw also the graph
+	$(scale_jq_id).unbind("plotunselected");
 	$(scale_jq_id).bind("plotunselected", function() {
 		rf_this.selection_range.reset();
 		graph_options.xaxis.min = flot_obj.min;
 		graph_options.xaxis.max = flot_obj.max;
-		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(flot_data), graph_options);
-		window_min = 0;
-		window_max = 0;
+		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(zoom_data(flot_obj.min, flot_obj.max)), graph_options);
+		rf_this.window_min = 0;
+		rf_this.window_max = 0;
+		rf_this.saveURLState();
+		rf_this.triggerRangeChange();
+		if (sync_group !== null) sync_group.setWindow(rf_this, 0, 0);
+	});
+
+	// the crosshair follows the mouse on the other graphs of the group
+	$(graph_jq_id).unbind("plothover");
+	$(graph_jq_id).unbind("mouseleave");
+	$(graph_jq_id).bind("plothover", function(event, pos, item) {
+		if (sync_group !== null) sync_group.setCrosshair(rf_this, pos.x - shift * 1000);
+		if (item) {
+			rf_this.trigger("pointhover", {
+				timestamp: item.datapoint[0] / 1000 - shift,
+				ds: (item.series.id !== undefined) ? item.series.id : item.series.label,
+				value: item.datapoint[1]
+			});
+		}
+	});
+	if (sync_group !== null) {
+		$(graph_jq_id).bind("mouseleave", function() {
+			sync_group.setCrosshair(rf_this, null);
+		});
+	}
+};
+
+// ======================================
+// Call listener every time the event called name is triggered, see the list at the top
+rrdFlot.prototype.on = function(name, listener) {
+	this.listeners.on(name, listener);
+	return this;
+};
+
+// ======================================
+// Remove a listener added by on; if listener is omitted, all the listeners of the event
+rrdFlot.prototype.off = function(name, listener) {
+	this.listeners.off(name, listener);
+	return this;
+};
+
+// ======================================
+// Internal, call the listeners of an event
+rrdFlot.prototype.trigger = function(name, data) {
+	this.listeners.trigger(name, this, data);
+};
+
+// Internal, used when the zoomed period changed
+rrdFlot.prototype.triggerRangeChange = function() {
+	var zoomed = (this.window_min !== 0) || (this.window_max !== 0);
+	var shift = Number(this.timezone_shift) * 3600;
+	this.trigger("rangechange", {
+		window_min: this.window_min,
+		window_max: this.window_max,
+		start: zoomed ? this.window_min / 1000 - shift : null,
+		end: zoomed ? this.window_max / 1000 - shift : null
 	});
 };
 
+// ======================================
+// Called by the sync group: zoom to the period between from and to (ms since the epoch)
+// or reset the zoom if both are 0
+rrdFlot.prototype.syncWindow = function(from, to) {
+	if ((from === 0) && (to === 0)) {
+		this.scale.clearSelection();
+	} else {
+		var shift = Number(this.timezone_shift) * 3600 * 1000;
+		this.graph.setSelection({
+			xaxis: {
+				from: from + shift,
+				to: to + shift
+			}
+		});
+	}
+};
+
+// ======================================
+// Called by the sync group: show the crosshair at time (ms since the epoch), or hide it if null
+rrdFlot.prototype.syncCrosshair = function(time) {
+	if (this.graph.setCrosshair === undefined) {
+		// the crosshair plugin was not loaded
+	} else if (time === null) {
+		this.graph.clearCrosshair();
+	} else {
+		this.graph.setCrosshair({
+			x: time + Number(this.timezone_shift) * 3600 * 1000
+		});
+	}
+};
+
 // callback functions that are called when one of the selections changes
 rrdFlot.prototype.callback_res_changed = function() {
 	this.rrdflot_defaults.use_rra = false;
 	this.drawFlotGraph();
+	this.trigger("rrachange", {
+		rra: this.selected_rra
+	});
 };
 
 rrdFlot.prototype.callback_ds_cb_changed = function() {
 	this.drawFlotGraph();
+	this.trigger("dschange", {
+		checked_DSs: this.checked_DSs.slice()
+	});
 };
 
 rrdFlot.prototype.callback_scale_reset = function() {
@@ -595,8 +948,67 @@ rrdFlot.prototype.callback_legend_changed = function() {
 	this.drawFlotGraph();
 };
 
+// export the plotted RRA and DSs, limited to the visible time range, and download it
+rrdFlot.prototype.callback_export = function() {
+	var export_options = {};
+	var ranges = null;
+	if (this.rrdflot_defaults.use_windows) {
+		ranges = {
+			xaxis: {
+				from: this.rrdflot_defaults.window_min,
+				to: this.rrdflot_defaults.window_max
+			}
+		};
+	} else if (this.selection_range.isSet()) {
+		ranges = this.selection_range.getFlotRanges();
+	}
+	if (ranges !== null) {
+		// the graph is in milliseconds, shifted by the timezone
+		// the rows plotted are the ones with from <= timestamp <= to, and the timestamps are whole seconds
+		var shift = Number(this.timezone_shift) * 3600;
+		export_options.start = Math.ceil(ranges.xaxis.from / 1000 - shift);
+		export_options.end = Math.floor(ranges.xaxis.to / 1000 - shift);
+	}
+
+	// in auto resolution mode, the rows as plotted, each period at the finest resolution stored
+	var export_file = this.rrd_file;
+	var export_rra_idx = this.selected_rra;
+	if (typeof export_rra_idx == "string") {
+		export_file = new RRDFilterStitch(this.rrd_file, [export_rra_idx.substr(5)]);
+		export_rra_idx = 0;
+	}
+
+	var oSelect = document.getElementById(this.export_sel_id);
+	var format = oSelect.options[oSelect.selectedIndex].value;
+	var content, mime_type;
+	if (format == "json") {
+		content = rrdExportJSON(export_file, export_rra_idx, this.checked_DSs, export_options);
+		mime_type = "application/json";
+	} else if (format == "xml") {
+		content = rrdExportXML(export_file, export_rra_idx, this.checked_DSs, export_options);
+		mime_type = "application/xml";
+	} else {
+		content = rrdExportCSV(export_file, export_rra_idx, this.checked_DSs, export_options);
+		mime_type = "text/csv";
+	}
+
+	var url = URL.createObjectURL(new Blob([content], {
+		type: mime_type
+	}));
+	var link = document.createElement("a");
+	link.href = url;
+	link.download = this.html_id + "." + format;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+};
+
 rrdFlot.prototype.callback_timezone_changed = function() {
 	this.drawFlotGraph();
+	this.trigger("timezonechange", {
+		timezone: Number(this.timezone_shift)
+	});
 };
 
 rrdFlot.prototype.callback_elem_group_changed = function(num) {
@@ -612,19 +1024,5 @@ rrdFlot.prototype.callback_elem_group_changed = function(num) {
 			}
 		}
 	}
-	this.drawFlotGraph();
+	this.callback_ds_cb_changed();
 };
-
-function populateGraphOptions(me, other) {
-	for (var e in other) {
-		if (Object.prototype.toString.call(other[e]) == "[object Object]") {
-			if (me[e] === undefined) {
-				me[e] = {};
-			}
-			me[e] = populateGraphOptions(me[e], other[e]);
-		} else {
-			me[e] = other[e];
-		}
-	}
-	return me;
-}
@@ -20,6 +20,7 @@ function rrdFlotAsync(html_id, url, file_options, graph_options, ds_graph_option
 	this.rra_op_list = rra_op_list;
 
 	this.customization_callback = customization_callback;
+	this.listeners = new rrdFlotListeners(); // see on()
 
 	this.rrd_flot_obj = null;
 	this.rrd_data = null;
@@ -31,18 +32,281 @@ function rrdFlotAsync(html_id, url, file_options, graph_options, ds_graph_option
 
 rrdFlotAsync.prototype.reload = function(url) {
 	this.url = url;
-	FetchBinaryURLAsync(url, rrdFlotAsyncCallback, this);
+	if (this.file_options && this.file_options.range_requests) {
+		// only the header now, the rows when the graph reads them
+		var obj = this;
+		FetchBinaryURLRange(url, this.file_options.range_options).then(function(bf) {
+			rrdFlotAsyncCallback(bf, obj);
+		}, function(err) {
+			alert("Failed loading " + url + ".\n" + err);
+		});
+	} else {
+		FetchBinaryURLAsync(url, rrdFlotAsyncCallback, this);
+	}
+};
+
+/* Listeners are added to the rrdFlotAsync object, and kept across reloads
+ * See rrdFlot for the events; datareload is also triggered when the graph is first created */
+rrdFlotAsync.prototype.on = function(name, listener) {
+	this.listeners.on(name, listener);
+	return this;
+};
+
+rrdFlotAsync.prototype.off = function(name, listener) {
+	this.listeners.off(name, listener);
+	return this;
 };
 
+/* Internal, hand the listeners of obj to the widget it just created */
+function rrdFlotAsyncBindListeners(obj) {
+	obj.rrd_flot_obj.listeners = obj.listeners;
+	obj.rrd_flot_obj.trigger("datareload", {});
+}
+
+/* Internal, the indexes of the RRAs of obj.rrd_data that the graph draws, or will draw once created
+ * irrd_data is obj.rrd_data with the op lists applied
+ * In auto mode, these are all the RRAs of the CF, so that the zoom finds its pieces already loaded */
+function rrdFlotAsyncDrawnRRAs(obj, irrd_data) {
+	var defaults = obj.rrdflot_defaults || {};
+	var selected_rra;
+	if (obj.rrd_flot_obj !== undefined && obj.rrd_flot_obj !== null) {
+		selected_rra = obj.rrd_flot_obj.selected_rra;
+	} else if (defaults.use_rra) {
+		selected_rra = defaults.rra;
+	} else if (defaults.auto_rra) {
+		selected_rra = "auto:" + irrd_data.getRRAInfo(0).getCFName();
+	} else {
+		selected_rra = 0;
+	}
+
+	var rra_list = [];
+	var i;
+	if (typeof selected_rra == "string" && selected_rra.indexOf("auto:") === 0) {
+		for (i = 0; i < irrd_data.getNrRRAs(); i++) {
+			if (irrd_data.getRRAInfo(i).getCFName() == selected_rra.substr(5)) rra_list.push(i);
+		}
+	} else {
+		rra_list.push(Number(selected_rra));
+	}
+
+	// map through rra_op_list, the same way RRDRRAFilterAvg does
+	if (obj.rra_op_list !== undefined && obj.rra_op_list !== null) {
+		for (i = 0; i < rra_list.length; i++) {
+			var el = obj.rra_op_list[rra_list[i]];
+			if (Object.prototype.toString.call(el) == "[object Number]") {
+				rra_list[i] = el;
+			} else if (Object.prototype.toString.call(el) == "[object Array]") {
+				rra_list[i] = el[0];
+			} else {
+				rra_list[i] = el.getIdx();
+			}
+		}
+	}
+	return rra_list;
+}
+
+/* Internal, call draw once the rows the graph draws are loaded
+ * With range requests they are prefetched, so the graph does not block on synchronous requests;
+ * if that fails, draw is called anyway, and the rows are fetched synchronously as they are read */
+function rrdFlotAsyncWhenPrefetched(obj, irrd_data, draw) {
+	if (!(obj.file_options && obj.file_options.range_requests)) {
+		draw();
+		return;
+	}
+	var rrd_data = obj.rrd_data;
+	var rra_list = rrdFlotAsyncDrawnRRAs(obj, irrd_data);
+	var prefetch_list = [];
+	for (var i = 0; i < rra_list.length; i++) {
+		prefetch_list.push(rrd_data.prefetchRRA(rra_list[i]));
+	}
+	Promise.all(prefetch_list).then(draw, draw);
+}
+
 rrdFlotAsync.prototype.callback = function() {
 	if (this.rrd_flot_obj !== null) delete this.rrd_flot_obj;
 
 	if (this.customization_callback !== undefined) this.customization_callback(this);
 
+	var obj = this;
 	var irrd_data = this.rrd_data;
 	if (this.ds_op_list !== undefined && this.ds_op_list !== null) irrd_data = new RRDFilterOp(irrd_data, this.ds_op_list);
 	if (this.rra_op_list !== undefined && this.rra_op_list !== null) irrd_data = new RRDRRAFilterAvg(irrd_data, this.rra_op_list);
+	rrdFlotAsyncWhenPrefetched(this, irrd_data, function() {
+		obj.rrd_flot_obj = new rrdFlot(obj.html_id, irrd_data, obj.graph_options, obj.ds_graph_options, obj.rrdflot_defaults);
+		rrdFlotAsyncBindListeners(obj);
+	});
+};
+
+// Internal, called by the live mode when the file changed: update the graph in place
+rrdFlotAsync.prototype.update = function() {
+	if (this.rrd_flot_obj === null) {
+		this.callback();
+		return;
+	}
+
+	if (this.customization_callback !== undefined) this.customization_callback(this);
+
+	var obj = this;
+	var irrd_data = this.rrd_data;
+	if (this.ds_op_list !== undefined && this.ds_op_list !== null) irrd_data = new RRDFilterOp(irrd_data, this.ds_op_list);
+	if (this.rra_op_list !== undefined && this.rra_op_list !== null) irrd_data = new RRDRRAFilterAvg(irrd_data, this.rra_op_list);
+	rrdFlotAsyncWhenPrefetched(this, irrd_data, function() {
+		obj.rrd_flot_obj.updateRRDFile(irrd_data);
+	});
+};
+
+/* Live mode: refetch the file periodically, and when its last update advanced,
+ * update the graph in place, keeping zoom, resolution, legend, timezone and checked DSs
+ * live_options can contain any of the following:
+ *  interval - milliseconds between two refetches (default 60000)
+ *  max_interval - after a failed refetch, the interval is doubled, up to this (default 10 times interval)
+ *  pause_hidden - if true (the default), nothing is refetched while the page is hidden
+ *  error_callback - called with the error of every failed refetch */
+rrdFlotAsync.prototype.startLive = function(live_options) {
+	var obj = this;
+	this.stopLive();
+	if (live_options === undefined || live_options === null) {
+		live_options = {};
+	}
+	var interval = live_options.interval || 60000;
+	this.live_options = {
+		interval: interval,
+		max_interval: live_options.max_interval || 10 * interval,
+		pause_hidden: live_options.pause_hidden !== false,
+		error_callback: live_options.error_callback
+	};
+	this.live_delay = interval;
+	this.live_paused = false;
+	this.live_visibility_listener = function() {
+		if (obj.live_paused && !document.hidden) {
+			obj.live_paused = false;
+			obj.liveTick();
+		}
+	};
+	document.addEventListener("visibilitychange", this.live_visibility_listener);
+	this.live_timer = setTimeout(function() {
+		obj.liveTick();
+	}, this.live_delay);
+};
+
+rrdFlotAsync.prototype.stopLive = function() {
+	if (this.live_timer !== undefined && this.live_timer !== null) clearTimeout(this.live_timer);
+	this.live_timer = null;
+	if (this.live_visibility_listener !== undefined && this.live_visibility_listener !== null) {
+		document.removeEventListener("visibilitychange", this.live_visibility_listener);
+	}
+	this.live_visibility_listener = null;
+	this.live_options = null;
+};
+
+// Internal, one refetch of the live mode
+rrdFlotAsync.prototype.liveTick = function() {
+	var obj = this;
+	var live_options = this.live_options;
+	this.live_timer = null;
+	if (live_options.pause_hidden && document.hidden) {
+		// resumed by the visibilitychange listener
+		this.live_paused = true;
+		return;
+	}
+
+	var fetch;
+	if (this.file_options && this.file_options.range_requests) {
+		fetch = FetchBinaryURLRange(this.url, this.file_options.range_options);
+	} else {
+		fetch = FetchBinaryURLPromise(this.url, {
+			timeout: live_options.interval
+		});
+	}
+	fetch.then(function(bf) {
+		var i_rrd_data = new RRDFile(bf, obj.file_options);
+		if ((obj.rrd_data === null) || (i_rrd_data.getLastUpdate() > obj.rrd_data.getLastUpdate())) {
+			obj.rrd_data = i_rrd_data;
+			obj.update();
+		}
+	}).then(function() {
+		obj.live_delay = live_options.interval;
+	}, function(err) {
+		// back off
+		obj.live_delay = Math.min(obj.live_delay * 2, live_options.max_interval);
+		if (live_options.error_callback !== undefined) live_options.error_callback(err);
+	}).then(function() {
+		// unless stopped, or restarted, meanwhile
+		if (obj.live_options === live_options) {
+			obj.live_timer = setTimeout(function() {
+				obj.liveTick();
+			}, obj.live_delay);
+		}
+	});
+};
+
+/* Same as rrdFlotAsync, but the file is loaded, parsed and filtered in a Web Worker
+ * worker is an RRDWorkerClient, a Worker running rrdWorker.js, or the URL of rrdWorker.js
+ * The op lists only holding indexes, names and [rra_idx, step] pairs are applied in the worker,
+ * so before customization_callback; the others on the main thread, as in rrdFlotAsync
+ * Every column of the filtered file is transferred to the main thread, and the Flot series are built there,
+ * since rrdFlot rebuilds them at every interaction; the series option of RRDWorkerClient.load is not used
+ * Use url==null if you do not know the url yet */
+function rrdFlotWorkerAsync(html_id, url, worker, file_options, graph_options, ds_graph_options, rrdflot_defaults, ds_op_list, rra_op_list, customization_callback) {
+	this.html_id = html_id;
+	this.url = url;
+	this.worker = (worker instanceof RRDWorkerClient) ? worker : new RRDWorkerClient(worker);
+	this.file_options = file_options;
+	this.graph_options = graph_options;
+	this.ds_graph_options = ds_graph_options;
+	this.rrdflot_defaults = rrdflot_defaults;
+	this.ds_op_list = ds_op_list;
+	this.rra_op_list = rra_op_list;
+
+	this.customization_callback = customization_callback;
+	this.listeners = new rrdFlotListeners(); // see on()
+
+	this.rrd_flot_obj = null;
+	this.rrd_data = null;
+
+	if (url !== null) {
+		this.reload(url);
+	}
+}
+
+rrdFlotWorkerAsync.prototype.on = rrdFlotAsync.prototype.on;
+rrdFlotWorkerAsync.prototype.off = rrdFlotAsync.prototype.off;
+
+rrdFlotWorkerAsync.prototype.reload = function(url) {
+	var obj = this;
+	this.url = url;
+	var options = {
+		file_options: this.file_options
+	};
+	// what cannot be posted is applied later, in callback
+	this.main_ds_op_list = this.ds_op_list;
+	this.main_rra_op_list = this.rra_op_list;
+	if (rrdWorkerCanPost(this.ds_op_list)) {
+		options.ds_op_list = this.ds_op_list;
+		this.main_ds_op_list = undefined;
+		if (rrdWorkerCanPost(this.rra_op_list)) {
+			options.rra_op_list = this.rra_op_list;
+			this.main_rra_op_list = undefined;
+		}
+	}
+	return this.worker.load(url, options).then(function(rrd_data) {
+		obj.rrd_data = rrd_data;
+		obj.callback();
+	}, function(err) {
+		alert("Failed loading " + url + ".\n" + err);
+	});
+};
+
+rrdFlotWorkerAsync.prototype.callback = function() {
+	if (this.rrd_flot_obj !== null) delete this.rrd_flot_obj;
+
+	if (this.customization_callback !== undefined) this.customization_callback(this);
+
+	var irrd_data = this.rrd_data;
+	if (this.main_ds_op_list !== undefined && this.main_ds_op_list !== null) irrd_data = new RRDFilterOp(irrd_data, this.main_ds_op_list);
+	if (this.main_rra_op_list !== undefined && this.main_rra_op_list !== null) irrd_data = new RRDRRAFilterAvg(irrd_data, this.main_rra_op_list);
 	this.rrd_flot_obj = new rrdFlot(this.html_id, irrd_data, this.graph_options, this.ds_graph_options, this.rrdflot_defaults);
+	rrdFlotAsyncBindListeners(this);
 };
 
 
@@ -96,6 +360,7 @@ function rrdFlotSumAsync(html_id, url_list, file_options, sumfile_options, graph
 	this.rra_op_list = rra_op_list;
 
 	this.customization_callback = customization_callback;
+	this.listeners = new rrdFlotListeners(); // see on()
 
 	this.rrd_flot_obj = null;
 	this.rrd_data = null; //rrd_data will contain the sum of all the loaded data
@@ -107,6 +372,9 @@ function rrdFlotSumAsync(html_id, url_list, file_options, sumfile_options, graph
 	}
 }
 
+rrdFlotSumAsync.prototype.on = rrdFlotAsync.prototype.on;
+rrdFlotSumAsync.prototype.off = rrdFlotAsync.prototype.off;
+
 rrdFlotSumAsync.prototype.reload = function(url_list) {
 	rrdFlotMultiAsyncReload(this, url_list);
 };
@@ -130,6 +398,7 @@ rrdFlotSumAsync.prototype.callback = function() {
 	if (this.ds_op_list !== undefined) rrd_sum = new RRDFilterOp(rrd_sum, this.ds_op_list);
 	if (this.rra_op_list !== undefined) rrd_sum = new RRDRRAFilterAvg(rrd_sum, this.rra_op_list);
 	this.rrd_flot_obj = new rrdFlot(this.html_id, rrd_sum, this.graph_options, this.ds_graph_options, this.rrdflot_defaults);
+	rrdFlotAsyncBindListeners(this);
 };
 
 
@@ -145,6 +414,7 @@ function rrdFlotMatrixAsync(html_id, url_pair_list, file_options, ds_list, graph
 	this.rra_op_list = rra_op_list;
 
 	this.customization_callback = customization_callback;
+	this.listeners = new rrdFlotListeners(); // see on()
 
 	this.rrd_flot_obj = null;
 	this.rrd_data = null; //rrd_data will contain the data of the first url; still useful to explore the DS and RRA structure
@@ -157,6 +427,9 @@ function rrdFlotMatrixAsync(html_id, url_pair_list, file_options, ds_list, graph
 	}
 }
 
+rrdFlotMatrixAsync.prototype.on = rrdFlotAsync.prototype.on;
+rrdFlotMatrixAsync.prototype.off = rrdFlotAsync.prototype.off;
+
 rrdFlotMatrixAsync.prototype.reload = function(url_pair_list) {
 	this.url_pair_list = url_pair_list;
 	var url_list = [];
@@ -185,4 +458,5 @@ rrdFlotMatrixAsync.prototype.callback = function() {
 		if (this.rra_op_list !== undefined) real_data_arr[i] = new RRDRRAFilterAvg(real_data_arr[i], this.rra_op_list);
 	}
 	this.rrd_flot_obj = new rrdFlotMatrix(this.html_id, real_data_arr, this.ds_list, this.graph_options, this.rrd_graph_options, this.rrdflot_defaults);
+	rrdFlotAsyncBindListeners(this);
 };
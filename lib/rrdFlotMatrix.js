@@ -38,15 +38,22 @@
  *     lines: { show:true, fill: true, fillColor:color }  // see Flot docs for details
  *   }
  *
+ * rrdflot_defaults.sync_group, if set to an rrdFlotSyncGroup, keeps the zoom and a hover crosshair
+ *   in sync with the other widgets of the group.
+ *
+ * rrdflot_defaults.url_state, if true, stores the state of the graph (see getState) in the URL hash,
+ *   and restores it from the URL (hash or query string) when the graph is created.
+ *
+ * Listeners can be added with on(name, listener) and removed with off(name, listener).
+ *   They get an event object with type, target (the rrdFlotMatrix object) and, depending on the event:
+ *   rangechange - window_min and window_max as in getState, start and end in seconds (null if not zoomed)
+ *   dschange - ds and checked_RRDs
+ *   rrachange - rra
+ *   pointhover - timestamp in seconds, ds, rrd (the RRD id, or the series label) and value, as plotted
+ *     (only if the graph is hoverable, i.e. graph_options.tooltip was not set to false)
+ *
  */
 
-var local_checked_RRDs = [];
-var selected_rra = 0;
-var window_min = 0;
-var window_max = 0;
-var elem_group = null;
-
-
 function rrdFlotMatrix(html_id, rrd_files, ds_list, graph_options, rrd_graph_options, rrdflot_defaults) {
 	this.html_id = html_id;
 	this.rrd_files = rrd_files;
@@ -69,7 +76,9 @@ function rrdFlotMatrix(html_id, rrd_files, ds_list, graph_options, rrd_graph_opt
 		graph_width: "500px",
 		scale_height: "110px",
 		scale_width: "250px",
-		timezone: -Math.ceil((new Date()).getTimezoneOffset() / 60)
+		timezone: -Math.ceil((new Date()).getTimezoneOffset() / 60),
+		sync_group: null,
+		url_state: false
 	};
 
 	// user supplied defaults override the system defaults
@@ -96,12 +105,28 @@ function rrdFlotMatrix(html_id, rrd_files, ds_list, graph_options, rrd_graph_opt
 		this.rrd_graph_options = rrd_graph_options;
 	}
 	this.selection_range = new rrdFlotSelection();
+	this.listeners = new rrdFlotListeners();
+
+	// state of the widget, see getState
+	this.checked_RRDs = [];
+	this.selected_rra = 0;
+	this.window_min = 0;
+	this.window_max = 0;
+
+	this.sync_group = this.rrdflot_defaults.sync_group;
+	if (this.sync_group !== null && this.sync_group !== undefined) {
+		this.sync_group.add(this);
+	}
+
+	// read it before the first draw stores the defaults
+	var url_state = this.rrdflot_defaults.url_state ? rfs_url_state(this.html_id) : null;
 
 	this.createHTML();
 	this.populateDS();
 	this.populateRes();
 	this.populateRRDcb();
 	this.drawFlotGraph();
+	if (url_state !== null) this.setState(url_state);
 
 	if (this.rrdflot_defaults.graph_only === true) {
 		this.cleanHTMLCruft();
@@ -368,16 +393,17 @@ rrdFlotMatrix.prototype.drawFlotGraph = function() {
 	var oSelect = document.getElementById(this.ds_id);
 	var ds_id_option = oSelect.options[oSelect.selectedIndex].value;
 	var i; // iterator variable
+	var color; // used for temp assign
 
 	// Res contains the RRA idx
 	oSelect = document.getElementById(this.res_id);
 	var rra_idx = Number(oSelect.options[oSelect.selectedIndex].value);
 
-	selected_rra = rra_idx;
 	if (this.rrdflot_defaults.use_rra) {
 		oSelect.options[oSelect.selectedIndex].value = this.rrdflot_defaults.rra;
 		rra_idx = this.rrdflot_defaults.rra;
 	}
+	this.selected_rra = rra_idx;
 
 	// Extract ds info ... to be finished
 	var ds_positive_stack = null;
@@ -393,14 +419,17 @@ rrdFlotMatrix.prototype.drawFlotGraph = function() {
 	var rrd_colors = [];
 	var oCB = document.getElementById(this.rrd_cb_id);
 	var nrRRDs = oCB.rrd.length;
+	this.checked_RRDs = [];
 	if (oCB.rrd.length > 0) {
 		for (i = 0; i < oCB.rrd.length; i++) {
 			if (oCB.rrd[i].checked === true) {
 				//var rrd_idx=Number(oCB.rrd[i].value);
 				rrd_list.push(this.rrd_files[i]);
+				this.checked_RRDs.push(oCB.rrd[i].value);
 				color = std_colors[i % std_colors.length];
 				if ((i / std_colors.length) >= 1) {
 					// wraparound, change them a little
+					var idiv, c1, c2, c3, m1, m2, m3, s1, s2, s3;
 					idiv = Math.floor(i / std_colors.length);
 					c1 = parseInt(color[1] + color[2], 16);
 					c2 = parseInt(color[3] + color[4], 16);
@@ -424,6 +453,7 @@ rrdFlotMatrix.prototype.drawFlotGraph = function() {
 			// no sense trying to stack a single element
 			rrd_list.push(this.rrd_files[0]);
 			rrd_colors.push(std_colors[0]);
+			this.checked_RRDs.push(oCB.rrd.value);
 		}
 	}
 
@@ -433,7 +463,8 @@ rrdFlotMatrix.prototype.drawFlotGraph = function() {
 	// fix the colors, based on the position in the RRD
 	for (i = 0; i < flot_obj.data.length; i++) {
 		var name = flot_obj.data[i].label; 
-		var color = rrd_colors[flot_obj.data.length - i - 1]; // stack inverts colors
+		flot_obj.data[i].id = name; // the label may change below
+		color = rrd_colors[flot_obj.data.length - i - 1]; // stack inverts colors
 		var lines = null;
 		if (this.rrd_graph_options[name] !== undefined) {
 			var dgo = this.rrd_graph_options[name];
@@ -457,6 +488,15 @@ rrdFlotMatrix.prototype.drawFlotGraph = function() {
 
 	// finally do the real plotting
 	this.bindFlotGraph(flot_obj);
+	this.saveURLState();
+};
+
+// ======================================
+// Store the state of the graph in the URL hash, if requested by rrdflot_defaults.url_state
+rrdFlotMatrix.prototype.saveURLState = function() {
+	if (this.rrdflot_defaults.url_state) {
+		rfs_save_url_state(this.html_id, this.getState());
+	}
 };
 
 // ======================================
@@ -504,11 +544,20 @@ rrdFlotMatrix.prototype.bindFlotGraph = function(flot_obj) {
 		graph_options.legend.position = legend_id;
 	}
 
+	var sync_group = this.sync_group;
+	if (sync_group !== null && sync_group !== undefined) {
+		graph_options.crosshair = {
+			mode: "x"
+		};
+	} else {
+		sync_group = null;
+	}
+
 	if (this.graph_options !== null) {
 		graph_options = populateGraphOptions(graph_options, this.graph_options);
 	}
 
-	if (graph_options.tooltip === false) {
+	if ((graph_options.tooltip === false) && (sync_group === null)) {
 		// avoid the need for the caller specify both
 		graph_options.grid.hoverable = false;
 	}
@@ -555,13 +604,13 @@ rrdFlotMatrix.prototype.bindFlotGraph = function(flot_obj) {
 	this.scale = $.plot($(scale_jq_id), scale_data, scale_options);
 
 	if (this.rrdflot_defaults.use_windows) {
-		ranges = {};
+		var ranges = {};
 		ranges.xaxis = [];
 		ranges.xaxis.from = this.rrdflot_defaults.window_min;
 		ranges.xaxis.to = this.rrdflot_defaults.window_max;
 		rf_this.scale.setSelection(ranges, true);
-		window_min = ranges.xaxis.from;
-		window_max = ranges.xaxis.to;
+		this.window_min = ranges.xaxis.from;
+		this.window_max = ranges.xaxis.to;
 	}
 
 	if (this.selection_range.isSet()) {
@@ -569,40 +618,201 @@ rrdFlotMatrix.prototype.bindFlotGraph = function(flot_obj) {
 	}
 
 	// now connect the two    
+	$(graph_jq_id).unbind("plotselected"); // but first remove old function
 	$(graph_jq_id).bind("plotselected", function(event, ranges) {
 		// do the zooming
 		rf_this.selection_range.setFromFlotRanges(ranges);
 		graph_options.xaxis.min = ranges.xaxis.from;
 		graph_options.xaxis.max = ranges.xaxis.to;
-		window_min = ranges.xaxis.from;
-		window_max = ranges.xaxis.to;
+		rf_this.window_min = ranges.xaxis.from;
+		rf_this.window_max = ranges.xaxis.to;
 		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(flot_data), graph_options);
 
 		// don't fire event on the scale to prevent eternal loop
 		rf_this.scale.setSelection(ranges, true);
+		rf_this.saveURLState();
+		rf_this.triggerRangeChange();
+		if (sync_group !== null) sync_group.setWindow(rf_this, ranges.xaxis.from, ranges.xaxis.to);
 	});
 
+	$(scale_jq_id).unbind("plotselected"); //same here 
 	$(scale_jq_id).bind("plotselected", function(event, ranges) {
 		rf_this.graph.setSelection(ranges);
 	});
 
 	// only the scale has a selection
 	// so when that is cleared, redraw also the graph
+	$(scale_jq_id).unbind("plotunselected");
 	$(scale_jq_id).bind("plotunselected", function() {
 		rf_this.selection_range.reset();
 		graph_options.xaxis.min = flot_obj.min;
 		graph_options.xaxis.max = flot_obj.max;
 		rf_this.graph = $.plot($(graph_jq_id), rf_this.selection_range.trim_flot_data(flot_data), graph_options);
+		rf_this.window_min = 0;
+		rf_this.window_max = 0;
+		rf_this.saveURLState();
+		rf_this.triggerRangeChange();
+		if (sync_group !== null) sync_group.setWindow(rf_this, 0, 0);
 	});
+
+	// the crosshair follows the mouse on the other graphs of the group
+	$(graph_jq_id).unbind("plothover");
+	$(graph_jq_id).unbind("mouseleave");
+	var ds_select = document.getElementById(this.ds_id);
+	$(graph_jq_id).bind("plothover", function(event, pos, item) {
+		if (sync_group !== null) sync_group.setCrosshair(rf_this, pos.x);
+		if (item) {
+			rf_this.trigger("pointhover", {
+				timestamp: item.datapoint[0] / 1000,
+				ds: ds_select.options[ds_select.selectedIndex].value,
+				rrd: (item.series.id !== undefined) ? item.series.id : item.series.label,
+				value: item.datapoint[1]
+			});
+		}
+	});
+	if (sync_group !== null) {
+		$(graph_jq_id).bind("mouseleave", function() {
+			sync_group.setCrosshair(rf_this, null);
+		});
+	}
+};
+
+// ======================================
+// Call listener every time the event called name is triggered, see the list at the top
+rrdFlotMatrix.prototype.on = function(name, listener) {
+	this.listeners.on(name, listener);
+	return this;
+};
+
+// ======================================
+// Remove a listener added by on; if listener is omitted, all the listeners of the event
+rrdFlotMatrix.prototype.off = function(name, listener) {
+	this.listeners.off(name, listener);
+	return this;
+};
+
+// ======================================
+// Internal, call the listeners of an event
+rrdFlotMatrix.prototype.trigger = function(name, data) {
+	this.listeners.trigger(name, this, data);
+};
+
+// Internal, used when the zoomed period changed
+rrdFlotMatrix.prototype.triggerRangeChange = function() {
+	var zoomed = (this.window_min !== 0) || (this.window_max !== 0);
+	this.trigger("rangechange", {
+		window_min: this.window_min,
+		window_max: this.window_max,
+		start: zoomed ? this.window_min / 1000 : null,
+		end: zoomed ? this.window_max / 1000 : null
+	});
+};
+
+// ======================================
+// Called by the sync group: zoom to the period between from and to (ms since the epoch)
+// or reset the zoom if both are 0
+rrdFlotMatrix.prototype.syncWindow = function(from, to) {
+	if ((from === 0) && (to === 0)) {
+		this.scale.clearSelection();
+	} else {
+		this.graph.setSelection({
+			xaxis: {
+				from: from,
+				to: to
+			}
+		});
+	}
+};
+
+// ======================================
+// Called by the sync group: show the crosshair at time (ms since the epoch), or hide it if null
+rrdFlotMatrix.prototype.syncCrosshair = function(time) {
+	if (this.graph.setCrosshair === undefined) {
+		// the crosshair plugin was not loaded
+	} else if (time === null) {
+		this.graph.clearCrosshair();
+	} else {
+		this.graph.setCrosshair({
+			x: time
+		});
+	}
+};
+
+// ======================================
+// Return the state of the graph, as an object with
+//  checked_RRDs - the ids of the checked RRDs
+//  ds - the id of the plotted DS
+//  rra - the index of the plotted RRA
+//  window_min, window_max - the zoomed period, in ms as on the time axis; both 0 if not zoomed
+rrdFlotMatrix.prototype.getState = function() {
+	var oSelect = document.getElementById(this.ds_id);
+	return {
+		checked_RRDs: this.checked_RRDs.slice(),
+		ds: oSelect.options[oSelect.selectedIndex].value,
+		rra: this.selected_rra,
+		window_min: this.window_min,
+		window_max: this.window_max
+	};
+};
+
+// ======================================
+// Restore a state returned by getState, and redraw the graph
+// Any of the elements can be omitted, to keep the current value
+rrdFlotMatrix.prototype.setState = function(state) {
+	var i, oSelect;
+	if (state.checked_RRDs !== undefined) {
+		var oCB = document.getElementById(this.rrd_cb_id).rrd;
+		if ((oCB !== undefined) && (oCB.length === undefined)) oCB = [oCB]; // single element is not an array
+		for (i = 0; (oCB !== undefined) && (i < oCB.length); i++) {
+			oCB[i].checked = (state.checked_RRDs.indexOf(oCB[i].value) >= 0);
+		}
+	}
+	if (state.ds !== undefined) {
+		oSelect = document.getElementById(this.ds_id);
+		for (i = 0; i < oSelect.options.length; i++) {
+			if (oSelect.options[i].value == state.ds) oSelect.selectedIndex = i;
+		}
+	}
+	if (state.rra !== undefined) {
+		this.rrdflot_defaults.use_rra = false;
+		oSelect = document.getElementById(this.res_id);
+		for (i = 0; i < oSelect.options.length; i++) {
+			if (oSelect.options[i].value == String(state.rra)) oSelect.selectedIndex = i;
+		}
+	}
+	if ((state.window_min !== undefined) && (state.window_max !== undefined)) {
+		this.rrdflot_defaults.use_windows = false;
+		if ((state.window_min === 0) && (state.window_max === 0)) {
+			this.selection_range.reset();
+		} else {
+			this.selection_range.setFromFlotRanges({
+				xaxis: {
+					from: state.window_min,
+					to: state.window_max
+				}
+			});
+		}
+		this.window_min = state.window_min;
+		this.window_max = state.window_max;
+	}
+	this.drawFlotGraph();
 };
 
 // callback functions that are called when one of the selections changes
 rrdFlotMatrix.prototype.callback_res_changed = function() {
 	this.drawFlotGraph();
+	this.trigger("rrachange", {
+		rra: this.selected_rra
+	});
 };
 
 rrdFlotMatrix.prototype.callback_ds_changed = function() {
 	this.drawFlotGraph();
+	var state = this.getState();
+	this.trigger("dschange", {
+		ds: state.ds,
+		checked_RRDs: state.checked_RRDs
+	});
 };
 
 rrdFlotMatrix.prototype.callback_scale_reset = function() {
@@ -614,7 +824,7 @@ rrdFlotMatrix.prototype.callback_legend_changed = function() {
 };
 
 rrdFlotMatrix.prototype.callback_rrd_cb_changed = function() {
-	this.drawFlotGraph();
+	this.callback_ds_changed();
 };
 
 rrdFlotMatrix.prototype.callback_elem_group_changed = function(num) {
@@ -630,26 +840,5 @@ rrdFlotMatrix.prototype.callback_elem_group_changed = function(num) {
 			}
 		}
 	}
-	this.drawFlotGraph();
+	this.callback_ds_changed();
 };
-
-function populateGraphOptions(me, other) {
-	for (var e in other) {
-		if (me[e] !== undefined) {
-			if (Object.prototype.toString.call(other[e]) == "[object Object]") {
-				me[e] = populateGraphOptions(me[e], other[e]);
-			} else {
-				me[e] = other[e];
-			}
-		} else {
-			/// create a new one
-			if (Object.prototype.toString.call(other[e]) == "[object Object]") {
-				// This will do a deep copy
-				me[e] = populateGraphOptions({}, other[e]);
-			} else {
-				me[e] = other[e];
-			}
-		}
-	}
-	return me;
-}
@@ -26,22 +26,20 @@ function rrdDS2FlotSeries(rrd_file, ds_id, rra_idx, want_rounding) {
 		last_update -= (last_update % step);
 	}
 
-	var first_el = last_update - (rra_rows - 1) * step;
-	var timestamp = first_el;
+	var timestamps = rfs_row_timestamps(rra, last_update);
+	var column = rfs_column(rra, ds.getIdx());
 	var flot_series = [];
 	for (var i = 0; i < rra_rows; i++) {
-		var el = rra.getEl(i, ds.getIdx());
-		if (el !== undefined) {
-			flot_series.push([timestamp * 1000.0, el]);
+		if (isFinite(column[i])) {
+			flot_series.push([timestamps[i] * 1000.0, column[i]]);
 		}
-		timestamp += step;
 	} // end for
 
 	return {
 		label: ds.getName(),
 		data: flot_series,
-		min: first_el * 1000.0,
-		max: last_update * 1000.0
+		min: timestamps[0] * 1000.0,
+		max: timestamps[rra_rows - 1] * 1000.0
 	};
 }
 
@@ -78,26 +76,24 @@ function rrdRRA2FlotObj(rrd_file, rra_idx, ds_list, want_ds_labels, want_roundin
 		last_update -= (last_update % step);
 	}
 
-	var first_el = last_update - (rra_rows - 1) * step;
+	var timestamps = rfs_row_timestamps(rra, last_update);
 
 	var out_el = {
 		data: [],
-		min: first_el * 1000.0,
-		max: last_update * 1000.0
+		min: timestamps[0] * 1000.0,
+		max: timestamps[rra_rows - 1] * 1000.0
 	};
 
 	var ds_list_len = ds_list.length;
 	for (var ds_list_idx = 0; ds_list_idx < ds_list_len; ++ds_list_idx) {
 		var ds = rrd_file.getDS(ds_list[ds_list_idx]);
 
-		var timestamp = first_el;
+		var column = rfs_column(rra, ds.getIdx());
 		var flot_series = [];
 		for (var i = 0; i < rra_rows; i++) {
-			var el = rra.getEl(i, ds.getIdx());
-			if (el !== undefined) {
-				flot_series.push([timestamp * 1000.0, el]);
+			if (isFinite(column[i])) {
+				flot_series.push([timestamps[i] * 1000.0, column[i]]);
 			}
-			timestamp += step;
 		} // end for
 
 		var flot_el = {
@@ -154,12 +150,12 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 		last_update -= (last_update % step);
 	}
 
-	var first_el = last_update - (rra_rows - 1) * step;
+	var timestamps = rfs_row_timestamps(rra, last_update);
 
 	var out_el = {
 		data: [],
-		min: (first_el + timestamp_shift) * 1000.0,
-		max: (last_update + timestamp_shift) * 1000.0
+		min: (timestamps[0] + timestamp_shift) * 1000.0,
+		max: (timestamps[rra_rows - 1] + timestamp_shift) * 1000.0
 	};
 
 	var el; // FIXME
@@ -171,12 +167,12 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 		var id; // used for looping
 		var stack_list = stack_els[stack_list_id];
 		var tmp_flot_els = [];
-		var tmp_ds_ids = [];
+		var tmp_columns = [];
 		var tmp_nr_ids = stack_list.length;
 		var stack_list_len = stack_list.length;
 		for (ds_list_idx = 0; ds_list_idx < stack_list_len; ++ds_list_idx) {
 			ds = rrd_file.getDS(stack_list[ds_list_idx]);
-			tmp_ds_ids.push(ds.getIdx()); // getting this is expensive, call only once
+			tmp_columns.push(rfs_column(rra, ds.getIdx())); // read each DS only once
 
 			// initialize
 			flot_el = {
@@ -188,14 +184,13 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 			tmp_flot_els.push(flot_el);
 		}
 
-		var timestamp = first_el;
 		for (var row = 0; row < rra_rows; row++) {
 			var ds_vals = [];
 			var all_undef = true;
 			var all_def = true;
 			for (id = 0; id < tmp_nr_ids; id++) {
-				el = rra.getEl(row, tmp_ds_ids[id]);
-				if (el !== undefined) {
+				el = tmp_columns[id][row];
+				if (isFinite(el)) {
 					all_undef = false;
 					ds_vals.push(el);
 				} else {
@@ -211,12 +206,10 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 					}
 					// fill the flot data
 					for (id = 0; id < tmp_nr_ids; id++) {
-						tmp_flot_els[id].data.push([(timestamp + timestamp_shift) * 1000.0, ds_vals[id]]);
+						tmp_flot_els[id].data.push([(timestamps[row] + timestamp_shift) * 1000.0, ds_vals[id]]);
 					}
 				}
 			} // end if
-
-			timestamp += step;
 		} // end for row
 
 		// put flot data in output object
@@ -230,11 +223,12 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 	for (ds_list_idx = 0; ds_list_idx < ds_single_list_len; ++ds_list_idx) {
 		ds = rrd_file.getDS(ds_single_list[ds_list_idx]);
 
+		var column = rfs_column(rra, ds.getIdx());
 		var flot_series = [];
 		for (var i = 0; i < rra_rows; i++) {
-			el = rra.getEl(i, ds.getIdx());
-			if (el !== undefined) {
-				flot_series.push([(first_el + i * step + timestamp_shift) * 1000.0, el]);
+			el = column[i];
+			if (isFinite(el)) {
+				flot_series.push([(timestamps[i] + timestamp_shift) * 1000.0, el]);
 			}
 		} // end for
 
@@ -250,6 +244,63 @@ function rrdRRAStackFlotObj(rrd_file, rra_idx,
 	return out_el;
 }
 
+/**
+ * Same as rrdRRAStackFlotObj, but instead of a single RRA it uses all the RRAs with the given CF,
+ * taking each time period from the finest RRA that covers it.
+ * Zooming into a recent part of a long period thus shows the data at the highest resolution stored.
+ * @param rrd_file An object of type RRDFile or equivalent.
+ * @param cf_name The consolidation function of the RRAs to use (e.g. "AVERAGE").
+ * @param start Start of the period of interest, in seconds (undefined for the oldest data available).
+ * @param end End of the period of interest, in seconds (undefined for the last update).
+ * All the other parameters are the same as in rrdRRAStackFlotObj.
+ * @return data A list of Flot series, as in rrdRRAStackFlotObj.
+ * @return min Min timestamp in ms.
+ * @return max Max timestamp in ms.
+ * @return rra_idx The index of the coarsest RRA used, i.e. the one reaching furthest into the past.
+ */
+function rrdAutoRRAStackFlotObj(rrd_file, cf_name, start, end,
+	ds_positive_stack_list, ds_negative_stack_list, ds_single_list,
+	timestamp_shift, want_ds_labels, want_rounding, one_undefined_enough) {
+	var pieces = rfs_find_rra_pieces(rrd_file, cf_name, start, end, want_rounding);
+	if (pieces.length === 0) {
+		throw RangeError("No RRA uses the " + cf_name + " CF.");
+	}
+
+	var out_el = null;
+	for (var p = 0; p < pieces.length; p++) {
+		var piece_el = rrdRRAStackFlotObj(rrd_file, pieces[p].rra_idx,
+			ds_positive_stack_list, ds_negative_stack_list, ds_single_list,
+			timestamp_shift, want_ds_labels, want_rounding, one_undefined_enough);
+		if (out_el === null) {
+			out_el = {
+				data: [],
+				min: piece_el.min,
+				max: piece_el.max,
+				rra_idx: pieces[p].rra_idx
+			};
+			for (var i = 0; i < piece_el.data.length; i++) {
+				var flot_el = {
+					data: []
+				};
+				if (piece_el.data[i].label !== undefined) flot_el.label = piece_el.data[i].label;
+				out_el.data.push(flot_el);
+			}
+		}
+		out_el.max = Math.max(out_el.max, piece_el.max);
+
+		// only keep the rows not covered by a finer RRA
+		var from = (pieces[p].from + timestamp_shift) * 1000.0;
+		var to = (pieces[p].to + timestamp_shift) * 1000.0;
+		for (var s = 0; s < piece_el.data.length; s++) {
+			var series = piece_el.data[s].data;
+			for (var j = 0; j < series.length; j++) {
+				if ((series[j][0] >= from) && (series[j][0] < to)) out_el.data[s].data.push(series[j]);
+			}
+		}
+	}
+	return out_el;
+}
+
 // return an object with an array containing Flot elements, one per RRD
 // min and max are also returned
 /**
@@ -344,7 +395,7 @@ function rrdRRAMultiStackFlotObj(rrd_files, // a list of [rrd_id,rrd_file] pairs
 			if ((row_delta >= 0) && (row_delta < rows)) {
 				el = tmp_rras[id].getEl(rows - row_delta - 1, rrd_files[0][1].getDS(ds_id).getIdx());
 			}
-			if (el !== undefined) {
+			if (isFinite(el)) { // undefined and infinite values are gaps
 				all_undef = false;
 				rrd_vals.push(el);
 			} else {
@@ -376,6 +427,110 @@ function rrdRRAMultiStackFlotObj(rrd_files, // a list of [rrd_id,rrd_file] pairs
 	return out_el;
 }
 
+/**
+ * This function extracts the Holt-Winters prediction of a DS, with its confidence band and the detected failures, and returns an object that contains the data in format flot expects.
+ * The confidence band is the prediction plus/minus the deviation (DEVPREDICT RRA) scaled by the delta parameters of the FAILURES RRA (2 if there is none).
+ * @param rrd_file An object of type RRDFile or equivalent, holding a HWPREDICT or MHWPREDICT RRA.
+ * @param ds_id Identifier of the desired DS (as accepted by RRDFile.getDS()).
+ * @param timestamp_shift Number of seconds all the timestamps are shifted by.
+ * @param want_rounding If not false, all timestamps will be truncated to the RRA step.
+ * @return data A list of three Flot series: the prediction, the upper and the lower bound of the confidence band.
+ * @return markings A list of Flot grid markings, one per interval where failures were detected.
+ * @return null if the RRD has no prediction RRA.
+ */
+function rrdHWFlotObj(rrd_file, ds_id, timestamp_shift, want_rounding) {
+	var hw_idx = rfs_find_rra_idx(rrd_file, "HWPREDICT");
+	if (hw_idx < 0) hw_idx = rfs_find_rra_idx(rrd_file, "MHWPREDICT");
+	if (hw_idx < 0) return null;
+	var dev_idx = rfs_find_rra_idx(rrd_file, "DEVPREDICT");
+	var fail_idx = rfs_find_rra_idx(rrd_file, "FAILURES");
+
+	var ds = rrd_file.getDS(ds_id);
+	var ds_idx = ds.getIdx();
+	var hw_rra = rrd_file.getRRA(hw_idx);
+	var step = hw_rra.getStep();
+	var last_update = rrd_file.getLastUpdate();
+
+	// round last_update to step // so that all elements are sync
+	if (want_rounding) {
+		last_update -= (last_update % step);
+	}
+
+	var delta_pos = 2.0;
+	var delta_neg = 2.0;
+	if (fail_idx >= 0) {
+		var fail_info = rrd_file.getRRAInfo(fail_idx);
+		if (fail_info.getDeltaPos !== undefined) {
+			delta_pos = fail_info.getDeltaPos();
+			delta_neg = fail_info.getDeltaNeg();
+		}
+	}
+
+	var dev_rra = (dev_idx >= 0) ? rrd_file.getRRA(dev_idx) : null;
+	var hw_rows = hw_rra.getNrRows();
+	var pred_series = [];
+	var upper_series = [];
+	var lower_series = [];
+	for (var i = 0; i < hw_rows; i++) {
+		var timestamp = (last_update - (hw_rows - i - 1) * step + timestamp_shift) * 1000.0;
+		var pred = hw_rra.getEl(i, ds_idx);
+		if (pred === undefined) continue;
+		pred_series.push([timestamp, pred]);
+
+		if (dev_rra !== null) {
+			// DEVPREDICT ends at the same time as HWPREDICT, but may be shorter
+			var dev_row = dev_rra.getNrRows() - (hw_rows - i);
+			if (dev_row >= 0) {
+				var dev = dev_rra.getEl(dev_row, ds_idx);
+				if (dev !== undefined) {
+					upper_series.push([timestamp, pred + delta_pos * dev]);
+					lower_series.push([timestamp, pred - delta_neg * dev]);
+				}
+			}
+		}
+	}
+
+	// contiguous failed rows are merged in a single marking
+	var markings = [];
+	if (fail_idx >= 0) {
+		var fail_rra = rrd_file.getRRA(fail_idx);
+		var fail_rows = fail_rra.getNrRows();
+		var fail_step = fail_rra.getStep();
+		var marking = null;
+		for (var j = 0; j < fail_rows; j++) {
+			var fail_ts = last_update - (fail_rows - j - 1) * fail_step + timestamp_shift;
+			if (fail_rra.getEl(j, ds_idx) > 0) {
+				if (marking === null) {
+					marking = {
+						xaxis: {
+							from: (fail_ts - fail_step) * 1000.0
+						},
+						color: "#ffcccc"
+					};
+					markings.push(marking);
+				}
+				marking.xaxis.to = fail_ts * 1000.0;
+			} else {
+				marking = null;
+			}
+		}
+	}
+
+	return {
+		data: [{
+			label: ds.getName() + " prediction",
+			data: pred_series
+		}, {
+			label: ds.getName() + " upper bound",
+			data: upper_series
+		}, {
+			label: ds.getName() + " lower bound",
+			data: lower_series
+		}],
+		markings: markings
+	};
+}
+
 /**
  * Helper class to handle Flot selections.
  *
@@ -442,7 +597,8 @@ rrdFlotSelection.prototype.trim_flot_data = function(flot_data) {
 			data: this.trim_data(data_el.data),
 			color: data_el.color,
 			lines: data_el.lines,
-			yaxis: data_el.yaxis
+			yaxis: data_el.yaxis,
+			id: data_el.id
 		});
 	}
 	return out_data;
@@ -485,7 +641,8 @@ rrdFlotSelection.prototype.trim_flot_timezone_data = function(flot_data, shift)
 			data: this.trim_timezone_data(data_el.data, shift),
 			color: data_el.color,
 			lines: data_el.lines,
-			yaxis: data_el.yaxis
+			yaxis: data_el.yaxis,
+			id: data_el.id
 		});
 	}
 	return out_data;
@@ -513,6 +670,90 @@ rrdFlotSelection.prototype.trim_timezone_data = function(data_list, shift) {
 // Miscelaneous helper functions
 // ======================================
 
+// return the index of the first RRA using cf_name, or -1
+function rfs_find_rra_idx(rrd_file, cf_name) {
+	var nrRRAs = rrd_file.getNrRRAs();
+	for (var i = 0; i < nrRRAs; i++) {
+		if (rrd_file.getRRAInfo(i).getCFName() == cf_name) return i;
+	}
+	return -1;
+}
+
+// return all the values of a DS of rra, NaN where unknown
+// RRAs not implementing getColumn are read one element at a time
+// Flot cannot draw them, so the callers leave a gap for both the unknown and the infinite values
+function rfs_column(rra, ds_idx) {
+	if (rra.getColumn !== undefined) return rra.getColumn(ds_idx);
+	var rra_rows = rra.getNrRows();
+	var column = [];
+	for (var i = 0; i < rra_rows; i++) {
+		var el = rra.getEl(i, ds_idx);
+		column.push((el === undefined) ? NaN : el);
+	}
+	return column;
+}
+
+// return the timestamp (in seconds) of each row of rra
+// last_el is the timestamp of the last row, i.e. the last update possibly rounded to the step;
+// the rows reported by getTimestamp are moved by the same amount, so that any shift is applied only once
+function rfs_row_timestamps(rra, last_el) {
+	var rra_rows = rra.getNrRows();
+	var step = rra.getStep();
+	var timestamps = [];
+	var offset = (rra.getTimestamp !== undefined) ? last_el - rra.getTimestamp(rra_rows - 1) : 0;
+	for (var i = 0; i < rra_rows; i++) {
+		if (rra.getTimestamp !== undefined) {
+			timestamps.push(rra.getTimestamp(i) + offset);
+		} else {
+			timestamps.push(last_el - (rra_rows - 1 - i) * step);
+		}
+	}
+	return timestamps;
+}
+
+// return the RRAs using cf_name needed to cover the period between start and end (in seconds)
+// at the finest resolution available, as a list of {rra_idx, from, to}, from the oldest to the most recent
+// each RRA provides the rows with from <= timestamp < to
+function rfs_find_rra_pieces(rrd_file, cf_name, start, end, want_rounding) {
+	var last_update = rrd_file.getLastUpdate();
+	var rras = [];
+	var nrRRAs = rrd_file.getNrRRAs();
+	var i;
+	for (i = 0; i < nrRRAs; i++) {
+		var rra_info = rrd_file.getRRAInfo(i);
+		if (rra_info.getCFName() != cf_name) continue;
+		var step = rra_info.getStep();
+		var last_el = want_rounding ? last_update - (last_update % step) : last_update;
+		rras.push({
+			rra_idx: i,
+			step: step,
+			first_el: last_el - (rra_info.getNrRows() - 1) * step
+		});
+	}
+	rras.sort(function(a, b) {
+		return a.step - b.step;
+	});
+
+	var pieces = [];
+	var to = Infinity;
+	for (i = 0; i < rras.length; i++) {
+		if (rras[i].first_el >= to) continue; // a finer RRA already covers all of it
+		pieces.unshift({
+			rra_idx: rras[i].rra_idx,
+			from: rras[i].first_el,
+			to: to
+		});
+		to = rras[i].first_el;
+		if ((start !== undefined) && (to <= start)) break;
+	}
+	// the finer RRAs are not needed if they only cover the time after end
+	while ((end !== undefined) && (pieces.length > 1) && (pieces[pieces.length - 1].from > end)) {
+		pieces.pop();
+		pieces[pieces.length - 1].to = Infinity;
+	}
+	return pieces;
+}
+
 function rfs_format_time(s) {
 	if (s < 120) {
 		return s + "s";
@@ -550,3 +791,267 @@ function rfs_format_time(s) {
 
 	}
 }
+
+/**
+ * Helper class keeping a group of rrdFlot and rrdFlotMatrix widgets in sync.
+ * Zooming one of them, resetting its zoom, or hovering over it, is mirrored by all the others.
+ * Pass the same group to each widget, as rrdflot_defaults.sync_group.
+ * Times are exchanged in ms since the epoch, so widgets showing different timezones stay aligned.
+ *
+ * @constructor
+ */
+function rrdFlotSyncGroup() {
+	this.members = [];
+	this.syncing = false;
+}
+
+/**
+ * Add a widget to the group. A widget drawn in the same HTML element as a member replaces it.
+ */
+rrdFlotSyncGroup.prototype.add = function(widget) {
+	for (var i = 0; i < this.members.length; i++) {
+		if (this.members[i].html_id == widget.html_id) {
+			this.members[i] = widget;
+			return;
+		}
+	}
+	this.members.push(widget);
+};
+
+/**
+ * Remove a widget from the group.
+ */
+rrdFlotSyncGroup.prototype.remove = function(widget) {
+	var i = this.members.indexOf(widget);
+	if (i >= 0) this.members.splice(i, 1);
+};
+
+// Internal, calls fn for every member but source
+// what the members do meanwhile is not sent back to the group
+rrdFlotSyncGroup.prototype.forOthers = function(source, fn) {
+	if (this.syncing) return;
+	this.syncing = true;
+	try {
+		for (var i = 0; i < this.members.length; i++) {
+			if (this.members[i] !== source) fn(this.members[i]);
+		}
+	} finally {
+		this.syncing = false;
+	}
+};
+
+/**
+ * Called by a member when its zoomed period changed.
+ * from and to are in ms since the epoch, both 0 if the zoom was reset.
+ */
+rrdFlotSyncGroup.prototype.setWindow = function(source, from, to) {
+	this.forOthers(source, function(member) {
+		member.syncWindow(from, to);
+	});
+};
+
+/**
+ * Called by a member when the mouse hovers over time (in ms since the epoch), or null when it left the graph.
+ */
+rrdFlotSyncGroup.prototype.setCrosshair = function(source, time) {
+	this.forOthers(source, function(member) {
+		member.syncCrosshair(time);
+	});
+};
+
+/**
+ * Helper class holding the event listeners of the rrdFlot widgets, see their on() and off() methods.
+ *
+ * @constructor
+ */
+function rrdFlotListeners() {
+	this.listeners = {};
+}
+
+/**
+ * Call listener every time the event called name is triggered.
+ */
+rrdFlotListeners.prototype.on = function(name, listener) {
+	if (this.listeners[name] === undefined) this.listeners[name] = [];
+	this.listeners[name].push(listener);
+};
+
+/**
+ * Stop calling listener for the event called name; if listener is omitted, remove all the listeners of the event.
+ */
+rrdFlotListeners.prototype.off = function(name, listener) {
+	if (this.listeners[name] === undefined) return;
+	if (listener === undefined) {
+		delete this.listeners[name];
+		return;
+	}
+	var i = this.listeners[name].indexOf(listener);
+	if (i >= 0) this.listeners[name].splice(i, 1);
+};
+
+/**
+ * Call the listeners of the event called name, with an event object holding
+ * type (the name), target (the widget) and the elements of data.
+ */
+rrdFlotListeners.prototype.trigger = function(name, target, data) {
+	if (this.listeners[name] === undefined) return;
+	var event = {
+		type: name,
+		target: target
+	};
+	for (var key in data) {
+		event[key] = data[key];
+	}
+	// listeners may remove themselves
+	var listeners = this.listeners[name].slice();
+	for (var i = 0; i < listeners.length; i++) {
+		listeners[i].call(target, event);
+	}
+};
+
+// the state elements holding lists, see rrdFlotStateToHash
+var rfs_state_list_keys = ["checked_DSs", "checked_RRDs"];
+
+// Internal, split a URL hash or query string in [name, value] pairs, still encoded
+// value is null for a parameter without =
+function rfs_parse_params(str) {
+	var params = [];
+	if ((str.charAt(0) == "#") || (str.charAt(0) == "?")) str = str.substr(1);
+	var parts = str.split("&");
+	for (var i = 0; i < parts.length; i++) {
+		if (parts[i] === "") continue;
+		var eq = parts[i].indexOf("=");
+		if (eq < 0) {
+			params.push([parts[i], null]);
+		} else {
+			params.push([parts[i].substr(0, eq), parts[i].substr(eq + 1)]);
+		}
+	}
+	return params;
+}
+
+/**
+ * Store the state of a widget (see rrdFlot.getState) in a URL hash,
+ * as one html_id.element=value parameter per element. The parameters of other widgets are kept.
+ * @param {string} hash the current hash (with or without the leading #)
+ * @param {string} html_id the id of the widget
+ * @param {object} state the state to store
+ * @return {string} the new hash, without the leading #
+ */
+function rrdFlotStateToHash(hash, html_id, state) {
+	var prefix = encodeURIComponent(html_id) + ".";
+	var out = [];
+	var params = rfs_parse_params(hash);
+	for (var i = 0; i < params.length; i++) {
+		if (params[i][0].indexOf(prefix) === 0) continue;
+		out.push((params[i][1] === null) ? params[i][0] : params[i][0] + "=" + params[i][1]);
+	}
+	for (var key in state) {
+		var val = state[key];
+		if (val instanceof Array) {
+			var list = [];
+			for (var j = 0; j < val.length; j++) {
+				list.push(encodeURIComponent(val[j]));
+			}
+			val = list.join(",");
+		} else {
+			val = encodeURIComponent(val);
+		}
+		out.push(prefix + key + "=" + val);
+	}
+	return out.join("&");
+}
+
+/**
+ * Read the state of a widget stored by rrdFlotStateToHash.
+ * @param {string} hash a URL hash or query string (with or without the leading # or ?)
+ * @param {string} html_id the id of the widget
+ * @return {object} the state, with only the elements found; null if none was
+ */
+function rrdFlotStateFromHash(hash, html_id) {
+	var prefix = encodeURIComponent(html_id) + ".";
+	var state = null;
+	var params = rfs_parse_params(hash);
+	for (var i = 0; i < params.length; i++) {
+		if (params[i][0].indexOf(prefix) !== 0) continue;
+		var key = params[i][0].substr(prefix.length);
+		var val;
+		var str = (params[i][1] === null) ? "" : params[i][1];
+		if (rfs_state_list_keys.indexOf(key) >= 0) {
+			val = (str === "") ? [] : str.split(",");
+			for (var j = 0; j < val.length; j++) {
+				val[j] = decodeURIComponent(val[j]);
+			}
+		} else {
+			val = decodeURIComponent(str);
+			if ((val !== "") && !isNaN(Number(val))) val = Number(val);
+		}
+		if (state === null) state = {};
+		state[key] = val;
+	}
+	return state;
+}
+
+/*
+ * Return the state of a widget stored in the URL of the page, null if none
+ * The hash has precedence over the query string
+ */
+function rfs_url_state(html_id) {
+	var state = rrdFlotStateFromHash(window.location.search, html_id);
+	var hash_state = rrdFlotStateFromHash(window.location.hash, html_id);
+	if (hash_state === null) return state;
+	if (state === null) return hash_state;
+	for (var key in hash_state) {
+		state[key] = hash_state[key];
+	}
+	return state;
+}
+
+/*
+ * Store the state of a widget in the URL hash of the page, without adding an history entry
+ */
+function rfs_save_url_state(html_id, state) {
+	var hash = rrdFlotStateToHash(window.location.hash, html_id, state);
+	if (window.history && window.history.replaceState) {
+		window.history.replaceState(window.history.state, "", "#" + hash);
+	} else {
+		window.location.hash = hash;
+	}
+}
+
+/*
+ * Deep merge the graph options in other into me, used by the rrdFlot widgets
+ * Objects are merged recursively, everything else in other overrides me
+ */
+function populateGraphOptions(me, other) {
+	for (var e in other) {
+		if (Object.prototype.toString.call(other[e]) == "[object Object]") {
+			if (me[e] === undefined) {
+				me[e] = {};
+			}
+			me[e] = populateGraphOptions(me[e], other[e]);
+		} else {
+			me[e] = other[e];
+		}
+	}
+	return me;
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		rrdDS2FlotSeries: rrdDS2FlotSeries,
+		rrdRRA2FlotObj: rrdRRA2FlotObj,
+		rrdRRAStackFlotObj: rrdRRAStackFlotObj,
+		rrdAutoRRAStackFlotObj: rrdAutoRRAStackFlotObj,
+		rrdRRAMultiStackFlotObj: rrdRRAMultiStackFlotObj,
+		rrdHWFlotObj: rrdHWFlotObj,
+		rrdFlotSelection: rrdFlotSelection,
+		rrdFlotSyncGroup: rrdFlotSyncGroup,
+		rrdFlotListeners: rrdFlotListeners,
+		rrdFlotStateToHash: rrdFlotStateToHash,
+		rrdFlotStateFromHash: rrdFlotStateFromHash,
+		populateGraphOptions: populateGraphOptions,
+		rfs_format_time: rfs_format_time
+	};
+}
@@ -0,0 +1,578 @@
+/*
+ * In-memory RRD, created and updated with the same semantics as
+ * rrdtool create and rrdtool update
+ * It implements the same interface as RRDFile, so it can be used
+ * with all the filters and graphs, and written with rrdWriteBinary
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var rrdFetch = require("./rrdFile.js").rrdFetch;
+	var rrdRowTimestamp = require("./rrdFile.js").rrdRowTimestamp;
+	var rrdRowForTime = require("./rrdFile.js").rrdRowForTime;
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdGetColumn = require("./rrdFile.js").rrdGetColumn;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+}
+
+// Internal, parse a number as given to rrdtool create, U being unknown
+function rrdMemNumber(val) {
+	if ((val === undefined) || (val === null) || (val === "U")) return NaN;
+	return Number(val);
+}
+
+/**
+ * This class implements the same interface as RRDDS, for a DS of a RRDMemFile.
+ * def is either an object with name, type, heartbeat, min and max,
+ * or a string in the rrdtool create format (e.g. "DS:in:COUNTER:600:0:U").
+ * @constructor
+ */
+function RRDMemDS(def, my_idx, last_update, pdp_step) {
+	if (typeof def == "string") {
+		var fields = def.split(":");
+		if ((fields.length != 6) || (fields[0] != "DS")) {
+			throw RangeError("Invalid DS definition " + def + ".");
+		}
+		def = {
+			name: fields[1],
+			type: fields[2],
+			heartbeat: fields[3],
+			min: fields[4],
+			max: fields[5]
+		};
+	}
+	if (["GAUGE", "COUNTER", "DERIVE", "ABSOLUTE"].indexOf(def.type) < 0) {
+		throw RangeError("Unsupported DS type " + def.type + ".");
+	}
+	this.my_idx = my_idx;
+	this.name = def.name;
+	this.type = def.type;
+	this.heartbeat = Number(def.heartbeat);
+	this.min = rrdMemNumber(def.min);
+	this.max = rrdMemNumber(def.max);
+
+	// pdp_prep, as initialized by rrdtool create
+	this.last_ds = "U";
+	this.pdp_val = 0;
+	this.unknown_sec = last_update % pdp_step;
+}
+
+RRDMemDS.prototype.getIdx = function() {
+	return this.my_idx;
+};
+RRDMemDS.prototype.getName = function() {
+	return this.name;
+};
+RRDMemDS.prototype.getType = function() {
+	return this.type;
+};
+RRDMemDS.prototype.getMin = function() {
+	return isNaN(this.min) ? undefined : this.min;
+};
+RRDMemDS.prototype.getMax = function() {
+	return isNaN(this.max) ? undefined : this.max;
+};
+RRDMemDS.prototype.getHeartbeat = function() {
+	return this.heartbeat;
+};
+RRDMemDS.prototype.getLastDS = function() {
+	return this.last_ds;
+};
+RRDMemDS.prototype.getUnknownSec = function() {
+	return this.unknown_sec;
+};
+RRDMemDS.prototype.getPDPValue = function() {
+	return isNaN(this.pdp_val) ? undefined : this.pdp_val;
+};
+
+// Internal, rate*seconds brought by a new reading, NaN if unknown
+// Also remembers the reading for the next update
+RRDMemDS.prototype.calc_pdp_new = function(val, interval) {
+	var str_val = ((val === undefined) || (val === null) || (typeof val == "number" && isNaN(val))) ? "U" : String(val);
+	var pdp_new = NaN;
+	if ((str_val != "U") && (interval <= this.heartbeat)) {
+		var num_val = Number(str_val);
+		if (isNaN(num_val)) {
+			throw RangeError("Not a number: " + str_val + ".");
+		}
+		if ((this.type == "COUNTER") || (this.type == "DERIVE")) {
+			if (this.last_ds != "U") {
+				pdp_new = num_val - Number(this.last_ds);
+				if (this.type == "COUNTER") {
+					// counter wrap, 32 bit first, then 64 bit
+					if (pdp_new < 0) pdp_new += 4294967296.0;
+					if (pdp_new < 0) pdp_new += 18446744069414584320.0;
+				}
+			}
+		} else if (this.type == "ABSOLUTE") {
+			pdp_new = num_val;
+		} else { // GAUGE
+			pdp_new = num_val * interval;
+		}
+		var rate = pdp_new / interval;
+		if ((!isNaN(this.min) && (rate < this.min)) || (!isNaN(this.max) && (rate > this.max))) {
+			pdp_new = NaN;
+		}
+	}
+	this.last_ds = str_val;
+	return pdp_new;
+};
+
+// Internal, the PDP rate for the elapsed PDPs, and reset the PDP for the next run
+RRDMemDS.prototype.process_pdp_st = function(pdp_new, interval, pre_int, post_int, diff_pdp_st, pdp_step) {
+	var pre_unknown = 0;
+	if (isNaN(pdp_new)) {
+		pre_unknown = pre_int;
+	} else {
+		if (isNaN(this.pdp_val)) this.pdp_val = 0;
+		this.pdp_val += pdp_new / interval * pre_int;
+	}
+
+	var pdp_temp;
+	if ((interval > this.heartbeat) || (pdp_step / 2.0 < this.unknown_sec)) {
+		pdp_temp = NaN;
+	} else {
+		pdp_temp = this.pdp_val / (diff_pdp_st - this.unknown_sec - pre_unknown);
+	}
+
+	if (isNaN(pdp_new)) {
+		this.unknown_sec = Math.floor(post_int);
+		this.pdp_val = NaN;
+	} else {
+		this.unknown_sec = 0;
+		this.pdp_val = pdp_new / interval * post_int;
+	}
+	return pdp_temp;
+};
+
+
+/**
+ * This class implements the same interface as RRDRRAInfo, for a RRA of a RRDMemFile.
+ * def is either an object with cf, xff, steps (PDPs per row) and rows,
+ * or a string in the rrdtool create format (e.g. "RRA:AVERAGE:0.5:1:288").
+ * @constructor
+ */
+function RRDMemRRAInfo(def, my_idx, pdp_step, last_update, ds_list) {
+	if (typeof def == "string") {
+		var fields = def.split(":");
+		if ((fields.length != 5) || (fields[0] != "RRA")) {
+			throw RangeError("Invalid RRA definition " + def + ".");
+		}
+		def = {
+			cf: fields[1],
+			xff: fields[2],
+			steps: fields[3],
+			rows: fields[4]
+		};
+	}
+	if (["AVERAGE", "MIN", "MAX", "LAST"].indexOf(def.cf) < 0) {
+		throw RangeError("Unsupported consolidation function " + def.cf + ".");
+	}
+	this.my_idx = my_idx;
+	this.pdp_step = pdp_step;
+	this.cf = def.cf;
+	this.xff = Number(def.xff);
+	this.pdp_cnt = Number(def.steps);
+	this.row_cnt = Number(def.rows);
+
+	// cdp_prep, as initialized by rrdtool create
+	this.cdp_prep = [];
+	for (var i = 0; i < ds_list.length; i++) {
+		this.cdp_prep.push({
+			val: NaN,
+			unkn_pdp_cnt: Math.floor(((last_update - ds_list[i].unknown_sec) % (pdp_step * this.pdp_cnt)) / pdp_step),
+			primary_val: NaN,
+			secondary_val: NaN
+		});
+	}
+}
+
+RRDMemRRAInfo.prototype.getIdx = function() {
+	return this.my_idx;
+};
+RRDMemRRAInfo.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDMemRRAInfo.prototype.getPdpPerRow = function() {
+	return this.pdp_cnt;
+};
+RRDMemRRAInfo.prototype.getStep = function() {
+	return this.pdp_step * this.pdp_cnt;
+};
+RRDMemRRAInfo.prototype.getCFName = function() {
+	return this.cf;
+};
+RRDMemRRAInfo.prototype.getXFF = function() {
+	return this.xff;
+};
+RRDMemRRAInfo.prototype.isHoltWinters = function() {
+	return false;
+};
+
+// Internal, CDP scratch of a DS
+RRDMemRRAInfo.prototype.get_cdp_prep = function(ds_idx) {
+	if ((ds_idx >= 0) && (ds_idx < this.cdp_prep.length)) {
+		return this.cdp_prep[ds_idx];
+	} else {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.cdp_prep.length + ").");
+	}
+};
+
+// Internal, return undefined for unknown values, like RRDRRAInfo
+function rrdMemValue(val) {
+	return isNaN(val) ? undefined : val;
+}
+
+RRDMemRRAInfo.prototype.getCDPValue = function(ds_idx) {
+	return rrdMemValue(this.get_cdp_prep(ds_idx).val);
+};
+RRDMemRRAInfo.prototype.getCDPUnknownPdps = function(ds_idx) {
+	return this.get_cdp_prep(ds_idx).unkn_pdp_cnt;
+};
+RRDMemRRAInfo.prototype.getCDPPrimaryValue = function(ds_idx) {
+	return rrdMemValue(this.get_cdp_prep(ds_idx).primary_val);
+};
+RRDMemRRAInfo.prototype.getCDPSecondaryValue = function(ds_idx) {
+	return rrdMemValue(this.get_cdp_prep(ds_idx).secondary_val);
+};
+
+// Internal, consolidate the PDP rate of the elapsed PDPs into the CDP of a DS
+// rra_step_cnt is the number of rows that will be written
+RRDMemRRAInfo.prototype.update_cdp = function(ds_idx, pdp_temp, rra_step_cnt, elapsed_pdp_st, start_pdp_offset) {
+	var cdp = this.cdp_prep[ds_idx];
+	var cf = this.cf;
+	var pdp_cnt = this.pdp_cnt;
+
+	if (rra_step_cnt > 0) {
+		// the primary value is the first row to write, the secondary fills the following ones
+		if (isNaN(pdp_temp)) {
+			cdp.unkn_pdp_cnt += start_pdp_offset;
+			cdp.secondary_val = NaN;
+		} else {
+			cdp.secondary_val = pdp_temp;
+		}
+
+		if (cdp.unkn_pdp_cnt > pdp_cnt * this.xff) {
+			cdp.primary_val = NaN;
+		} else if (cf == "AVERAGE") {
+			cdp.primary_val = ((isNaN(cdp.val) ? 0 : cdp.val) + (isNaN(pdp_temp) ? 0 : pdp_temp) * start_pdp_offset) /
+				(pdp_cnt - cdp.unkn_pdp_cnt);
+		} else if (cf == "MAX") {
+			cdp.primary_val = Math.max(isNaN(cdp.val) ? -Infinity : cdp.val, isNaN(pdp_temp) ? -Infinity : pdp_temp);
+		} else if (cf == "MIN") {
+			cdp.primary_val = Math.min(isNaN(cdp.val) ? Infinity : cdp.val, isNaN(pdp_temp) ? Infinity : pdp_temp);
+		} else { // LAST
+			cdp.primary_val = pdp_temp;
+		}
+
+		// carry over the PDPs that are already part of the next row
+		var pdp_into_cdp_cnt = (elapsed_pdp_st - start_pdp_offset) % pdp_cnt;
+		if ((pdp_into_cdp_cnt === 0) || isNaN(pdp_temp)) {
+			cdp.val = (cf == "MAX") ? -Infinity : ((cf == "MIN") ? Infinity : ((cf == "AVERAGE") ? 0 : NaN));
+		} else {
+			cdp.val = (cf == "AVERAGE") ? pdp_temp * pdp_into_cdp_cnt : pdp_temp;
+		}
+
+		cdp.unkn_pdp_cnt = isNaN(pdp_temp) ? pdp_into_cdp_cnt : 0;
+	} else {
+		if (isNaN(pdp_temp)) {
+			cdp.unkn_pdp_cnt += elapsed_pdp_st;
+		} else if (isNaN(cdp.val)) {
+			cdp.val = (cf == "AVERAGE") ? pdp_temp * elapsed_pdp_st : pdp_temp;
+		} else if (cf == "AVERAGE") {
+			cdp.val += pdp_temp * elapsed_pdp_st;
+		} else if (cf == "MIN") {
+			cdp.val = Math.min(cdp.val, pdp_temp);
+		} else if (cf == "MAX") {
+			cdp.val = Math.max(cdp.val, pdp_temp);
+		} else {
+			cdp.val = pdp_temp;
+		}
+	}
+};
+
+
+/**
+ * This class implements the same interface as RRDRRA, for a RRA of a RRDMemFile.
+ * @constructor
+ */
+function RRDMemRRA(rra_info, ds_cnt, rrd_file) {
+	this.rra_info = rra_info;
+	this.rrd_file = rrd_file; // the last update changes with every update
+	this.row_cnt = rra_info.getNrRows();
+	this.ds_cnt = ds_cnt;
+	this.values = new Float64Array(this.row_cnt * ds_cnt);
+	for (var i = 0; i < this.values.length; i++) this.values[i] = NaN;
+	// the next row to be written is 0
+	this.cur_row = this.row_cnt - 1;
+}
+
+RRDMemRRA.prototype.getIdx = function() {
+	return this.rra_info.getIdx();
+};
+RRDMemRRA.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDMemRRA.prototype.getNrDSs = function() {
+	return this.ds_cnt;
+};
+RRDMemRRA.prototype.getStep = function() {
+	return this.rra_info.getStep();
+};
+RRDMemRRA.prototype.getCFName = function() {
+	return this.rra_info.getCFName();
+};
+
+/**
+ * @param {number} row_idx row
+ * @param {number} ds_idx ds
+ * @return {Number} the value for the d-th DS in the r-th row.
+ */
+RRDMemRRA.prototype.getEl = function(row_idx, ds_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+	// it is round robin, starting from cur_row+1
+	var real_row_idx = row_idx + this.cur_row + 1;
+	if (real_row_idx >= this.row_cnt) real_row_idx -= this.row_cnt;
+	return rrdMemValue(this.values[real_row_idx * this.ds_cnt + ds_idx]);
+};
+RRDMemRRA.prototype.getElFast = function(row_idx, ds_idx) {
+	return this.getEl(row_idx, ds_idx);
+};
+
+// time based access, as in RRDRRA
+RRDMemRRA.prototype.getTimestamp = function(row_idx) {
+	return rrdRowTimestamp(this, row_idx, this.rrd_file.getLastUpdate());
+};
+RRDMemRRA.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRDMemRRA.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDMemRRA.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+// bulk access, as in RRDRRA
+RRDMemRRA.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	return rrdGetColumn(this, ds_idx, from_row, to_row);
+};
+RRDMemRRA.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+// Internal, append a row with the primary (first) or secondary (following) CDP values
+RRDMemRRA.prototype.write_row = function(use_primary) {
+	this.cur_row++;
+	if (this.cur_row >= this.row_cnt) this.cur_row = 0;
+	for (var i = 0; i < this.ds_cnt; i++) {
+		var cdp = this.rra_info.cdp_prep[i];
+		this.values[this.cur_row * this.ds_cnt + i] = use_primary ? cdp.primary_val : cdp.secondary_val;
+	}
+};
+
+
+/**
+ * This class implements the same interface as RRDFile, for a RRD created and updated in memory.
+ * The consolidation follows rrdtool update, but for the Holt-Winters RRAs and COMPUTE DSs, which are not supported.
+ *
+ * @constructor
+ * @param {Number} step The base interval in seconds.
+ * @param {Array} ds_defs The DS definitions, see RRDMemDS.
+ * @param {Array} rra_defs The RRA definitions, see RRDMemRRAInfo.
+ * @param {Number} start Optional, the time of the creation, in seconds (default now - 10s, as in rrdtool).
+ */
+function RRDMemFile(step, ds_defs, rra_defs, start) {
+	if (start === undefined) start = Math.floor(Date.now() / 1000) - 10;
+	if (ds_defs.length < 1) throw RangeError("ds count less than 1.");
+	if (rra_defs.length < 1) throw RangeError("rra count less than 1.");
+	this.step = step;
+	this.last_update = start;
+
+	var i;
+	this.ds_list = [];
+	for (i = 0; i < ds_defs.length; i++) {
+		this.ds_list.push(new RRDMemDS(ds_defs[i], i, start, step));
+	}
+	this.rra_list = [];
+	for (i = 0; i < rra_defs.length; i++) {
+		this.rra_list.push(new RRDMemRRA(new RRDMemRRAInfo(rra_defs[i], i, step, start, this.ds_list), this.ds_list.length, this));
+	}
+}
+
+/**
+ * Feed new values, as rrdtool update would.
+ *
+ * @param {Number} timestamp The time of the readings, in seconds; must be after the last update.
+ * @param {Array} values One reading per DS; "U", undefined, null or NaN for unknown.
+ */
+RRDMemFile.prototype.update = function(timestamp, values) {
+	var ds_cnt = this.ds_list.length;
+	var interval = timestamp - this.last_update;
+	if (interval <= 0) {
+		throw RangeError("Illegal attempt to update using time " + timestamp + " when last update time is " +
+			this.last_update + " (minimum one second step).");
+	}
+	if (values.length != ds_cnt) {
+		throw RangeError("Expected " + ds_cnt + " data source readings (got " + values.length + ").");
+	}
+
+	var step = this.step;
+	var proc_pdp_st = this.last_update - this.last_update % step;
+	var occu_pdp_st = timestamp - timestamp % step;
+	var pre_int, post_int;
+	if (occu_pdp_st > proc_pdp_st) {
+		// crossed at least one PDP boundary
+		pre_int = occu_pdp_st - this.last_update;
+		post_int = timestamp - occu_pdp_st;
+	} else {
+		pre_int = interval;
+		post_int = 0;
+	}
+	var proc_pdp_cnt = Math.round(proc_pdp_st / step);
+	var elapsed_pdp_st = Math.round((occu_pdp_st - proc_pdp_st) / step);
+
+	var d, ds;
+	var pdp_new = [];
+	for (d = 0; d < ds_cnt; d++) {
+		pdp_new.push(this.ds_list[d].calc_pdp_new(values[d], interval));
+	}
+
+	if (elapsed_pdp_st === 0) {
+		// still in the same PDP, just accumulate
+		for (d = 0; d < ds_cnt; d++) {
+			ds = this.ds_list[d];
+			if (isNaN(pdp_new[d])) {
+				ds.unknown_sec += Math.floor(interval);
+			} else if (isNaN(ds.pdp_val)) {
+				ds.pdp_val = pdp_new[d];
+			} else {
+				ds.pdp_val += pdp_new[d];
+			}
+		}
+	} else {
+		var pdp_temp = [];
+		for (d = 0; d < ds_cnt; d++) {
+			pdp_temp.push(this.ds_list[d].process_pdp_st(pdp_new[d], interval, pre_int, post_int, elapsed_pdp_st * step, step));
+		}
+
+		for (var i = 0; i < this.rra_list.length; i++) {
+			var rra = this.rra_list[i];
+			var rra_info = rra.rra_info;
+			var start_pdp_offset = rra_info.pdp_cnt - proc_pdp_cnt % rra_info.pdp_cnt;
+			var rra_step_cnt = 0;
+			if (start_pdp_offset <= elapsed_pdp_st) {
+				rra_step_cnt = Math.floor((elapsed_pdp_st - start_pdp_offset) / rra_info.pdp_cnt) + 1;
+			}
+			for (d = 0; d < ds_cnt; d++) {
+				rra_info.update_cdp(d, pdp_temp[d], rra_step_cnt, elapsed_pdp_st, start_pdp_offset);
+			}
+			// no need to write more than a full round
+			for (var r = Math.max(0, rra_step_cnt - rra.row_cnt); r < rra_step_cnt; r++) {
+				rra.write_row(r === 0);
+			}
+		}
+	}
+
+	this.last_update = timestamp;
+};
+
+/**
+ * @return {Number} the base interval in seconds that was used to feed the RRD file.
+ */
+RRDMemFile.prototype.getMinStep = function() {
+	return this.step;
+};
+
+/**
+ * @return {Number} the timestamp of the last update.
+ */
+RRDMemFile.prototype.getLastUpdate = function() {
+	return this.last_update;
+};
+
+/**
+ * @return {Number} the number of Data Sources present in the RRD file.
+ */
+RRDMemFile.prototype.getNrDSs = function() {
+	return this.ds_list.length;
+};
+
+/**
+ * @return {Array} the names of the Data Sources present in the RRD file.
+ */
+RRDMemFile.prototype.getDSNames = function() {
+	var ds_names = [];
+	for (var i = 0; i < this.ds_list.length; i++) {
+		ds_names.push(this.ds_list[i].getName());
+	}
+	return ds_names;
+};
+
+/**
+ * @return {RRDMemDS} If id is a number, the id-th Data Source, else the Data Source with the requested name.
+ */
+RRDMemFile.prototype.getDS = function(id) {
+	if (typeof id == "number") {
+		if ((id >= 0) && (id < this.ds_list.length)) {
+			return this.ds_list[id];
+		} else {
+			throw RangeError("DS idx (" + id + ") out of range [0-" + this.ds_list.length + ").");
+		}
+	} else {
+		for (var i = 0; i < this.ds_list.length; i++) {
+			if (this.ds_list[i].getName() == id) return this.ds_list[i];
+		}
+		throw RangeError("DS name " + id + " unknown.");
+	}
+};
+
+/**
+ * @return {Number} the number of Round Robin Archives present in the RRD file.
+ */
+RRDMemFile.prototype.getNrRRAs = function() {
+	return this.rra_list.length;
+};
+
+/**
+ * @return {RRDMemRRAInfo} the information about the n-th Round Robin Archive.
+ */
+RRDMemFile.prototype.getRRAInfo = function(idx) {
+	return this.getRRA(idx).rra_info;
+};
+
+/**
+ * @return {RRDMemRRA} an object that can be used to access the values stored in the n-th Round Robin Archive.
+ */
+RRDMemFile.prototype.getRRA = function(idx) {
+	if ((idx >= 0) && (idx < this.rra_list.length)) {
+		return this.rra_list[idx];
+	} else {
+		throw RangeError("RRA idx (" + idx + ") out of range [0-" + this.rra_list.length + ").");
+	}
+};
+
+/**
+ * @return {Object} the values of all the DSs between start and end, see rrdFetch.
+ */
+RRDMemFile.prototype.fetch = function(cf, start, end, resolution) {
+	return rrdFetch(this, cf, start, end, resolution);
+};
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDMemFile: RRDMemFile
+	};
+}
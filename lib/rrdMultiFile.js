@@ -1,13 +1,29 @@
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdRowRange = require("./rrdFile.js").rrdRowRange;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+	var rrdApplyUnknown = require("./rrdFile.js").rrdApplyUnknown;
+}
+
 /**
  * Combine multiple rrdFiles into one object
  * It implements the same interface, but changing the content
  * This class implements the same interface as RRDRRA.
+ * If offset_list is not defined, the rows are aligned by timestamp.
+ * unknown is the policy for unknown values ("propagate", "zero" or "skip", see rrdApplyUnknown);
+ * for compatibility, true means "zero" and false (or undefined) "propagate".
+ * The RRAs must implement the time based and bulk access (getTimestamp, getRowForTime and getColumn).
  * @constructor
  */
-function RRDRRASum(rra_list, offset_list, treat_undefined_as_zero) {
+function RRDRRASum(rra_list, offset_list, unknown) {
 	this.rra_list = rra_list;
 	this.offset_list = offset_list;
-	this.treat_undefined_as_zero = treat_undefined_as_zero;
+	if (typeof(unknown) == "boolean") {
+		unknown = unknown ? "zero" : "propagate";
+	}
+	this.unknown = (unknown !== undefined) ? unknown : "propagate";
 	this.row_cnt = this.rra_list[0].getNrRows();
 }
 
@@ -40,59 +56,136 @@ RRDRRASum.prototype.getCFName = function() {
 	return this.rra_list[0].getCFName();
 };
 
-RRDRRASum.prototype.getEl = function(row_idx, ds_idx) {
-	var outSum = 0.0;
-	for (var i in this.rra_list) {
-		var offset = this.offset_list[i];
-		if ((row_idx + offset) < this.row_cnt) {
-			var rra = this.rra_list[i];
-			val = rra.getEl(row_idx + offset, ds_idx);
-		} else {
+/**
+ * INTERNAL
+ * Get the element of the i-th RRA matching row_idx of the sum.
+ * Without an offset_list, the rows are aligned by their timestamps.
+ */
+RRDRRASum.prototype.getAlignedEl = function(i, row_idx, ds_idx, fast) {
+	var rra = this.rra_list[i];
+	var row;
+	if (this.offset_list) {
+		row = row_idx + this.offset_list[i];
+		if (row >= this.row_cnt) {
 			/* out of row range -> undefined*/
-			val = undefined;
+			return undefined;
 		}
-		/* treat all undefines as 0 for now */
-		if (val === undefined) {
-			if (this.treat_undefined_as_zero) {
-				val = 0;
-			} else {
-				/* if even one element is undefined, the whole sum is undefined */
-				outSum = undefined;
-				break;
-			}
+	} else if (i === 0) {
+		row = row_idx;
+	} else {
+		row = rra.getRowForTime(this.getTimestamp(row_idx));
+		if (row < 0) {
+			/* no data at that time -> undefined*/
+			return undefined;
 		}
-		outSum += val;
+	}
+	return fast ? rra.getElFast(row, ds_idx) : rra.getEl(row, ds_idx);
+};
+
+/**
+ * INTERNAL
+ * Sum following the unknown policy, undefined if unknown
+ */
+RRDRRASum.prototype.sum = function(val_list) {
+	val_list = rrdApplyUnknown(val_list, this.unknown);
+	if (val_list === null) return undefined;
+	var outSum = 0.0;
+	for (var i = 0; i < val_list.length; i++) {
+		outSum += val_list[i];
 	}
 	return outSum;
 };
 
+RRDRRASum.prototype.getSumEl = function(row_idx, ds_idx, fast) {
+	var val_list = [];
+	for (var i = 0; i < this.rra_list.length; i++) {
+		val_list.push(this.getAlignedEl(i, row_idx, ds_idx, fast));
+	}
+	return this.sum(val_list);
+};
+
+RRDRRASum.prototype.getEl = function(row_idx, ds_idx) {
+	return this.getSumEl(row_idx, ds_idx, false);
+};
+
 /**
  * Low precision version of getEl. Uses getFastDoubleAt
  */
 RRDRRASum.prototype.getElFast = function(row_idx, ds_idx) {
-	var outSum = 0.0;
-	for (var i in this.rra_list) {
-		var offset = this.offset_list[i];
-		if ((row_id + offset) < this.row_cnt) {
-			var rra = this.rra_list[i];
-			val = rra.getElFast(row_idx + offset, ds_idx);
+	return this.getSumEl(row_idx, ds_idx, true);
+};
+
+// time based access, the first RRA defines the rows
+RRDRRASum.prototype.getTimestamp = function(row_idx) {
+	return this.rra_list[0].getTimestamp(row_idx);
+};
+RRDRRASum.prototype.getRowForTime = function(timestamp) {
+	return this.rra_list[0].getRowForTime(timestamp);
+};
+RRDRRASum.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDRRASum.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+/**
+ * INTERNAL
+ * Get the column of the i-th RRA matching the rows from_row to to_row of the sum, NaN where there is no data.
+ */
+RRDRRASum.prototype.getAlignedColumn = function(i, ds_idx, from_row, to_row) {
+	var rra = this.rra_list[i];
+	if ((i === 0) && !this.offset_list) {
+		return rra.getColumn(ds_idx, from_row, to_row);
+	}
+
+	// the row of rra for each row of the sum, then read them all at once
+	var rows = [];
+	var min_row = Infinity,
+		max_row = -1;
+	for (var r = from_row; r < to_row; r++) {
+		var row;
+		if (this.offset_list) {
+			row = r + this.offset_list[i];
+			if (row >= this.row_cnt) row = -1;
 		} else {
-			/* out of row range -> undefined*/
-			val = undefined;
+			row = rra.getRowForTime(this.getTimestamp(r));
 		}
-		/* treat all undefines as 0 for now */
-		if (val === undefined) {
-			if (this.treat_undefined_as_zero) {
-				val = 0;
-			} else {
-				/* if even one element is undefined, the whole sum is undefined */
-				outSum = undefined;
-				break;
-			}
+		rows.push(row);
+		if (row >= 0) {
+			min_row = Math.min(min_row, row);
+			max_row = Math.max(max_row, row);
 		}
-		outSum += val;
 	}
-	return outSum;
+	var out = new Float64Array(to_row - from_row);
+	var column = (max_row >= 0) ? rra.getColumn(ds_idx, min_row, max_row + 1) : null;
+	for (var j = 0; j < rows.length; j++) {
+		out[j] = (rows[j] >= 0) ? column[rows[j] - min_row] : NaN;
+	}
+	return out;
+};
+
+RRDRRASum.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	var range = rrdRowRange(this, from_row, to_row);
+	var columns = [];
+	var i;
+	for (i = 0; i < this.rra_list.length; i++) {
+		columns.push(this.getAlignedColumn(i, ds_idx, range[0], range[1]));
+	}
+	var out = new Float64Array(range[1] - range[0]);
+	for (var r = 0; r < out.length; r++) {
+		var val_list = [];
+		for (i = 0; i < columns.length; i++) {
+			val_list.push(columns[i][r]);
+		}
+		var val = this.sum(val_list);
+		out[r] = (val === undefined) ? NaN : val;
+	}
+	return out;
+};
+
+RRDRRASum.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
 };
 
 /**
@@ -108,7 +201,7 @@ function rrdFileSort(f1, f2) {
  * They must all have the same DSes and the same RRAs
  *
  * @param file_list A list of similar RRDFile objects. They must all have the same DSes and the same RRAs.
- * @param sumfile_options An options object - If defined, it can contain any of the following: treat_undefined_as_zero - This value defines how to treat undefined values. If true (or undefined), they are counted as zeros and the sum will always succeed. If it is false, any undefined value in one of the input objects will result in the sum being marked as undefined.
+ * @param sumfile_options An options object - If defined, it can contain any of the following: treat_undefined_as_zero - This value defines how to treat undefined values. If true (or undefined), they are counted as zeros and the sum will always succeed. If it is false, any undefined value in one of the input objects will result in the sum being marked as undefined. unknown - The policy for unknown values ("propagate", "zero" or "skip", see rrdApplyUnknown), it takes precedence over treat_undefined_as_zero.
  * @constructor
  */
 function RRDFileSum(file_list, sumfile_options) {
@@ -127,8 +220,13 @@ function RRDFileSum(file_list, sumfile_options) {
 	} else {
 		this.treat_undefined_as_zero = this.sumfile_options.treat_undefined_as_zero;
 	}
+	if (this.sumfile_options.unknown !== undefined) {
+		this.unknown = this.sumfile_options.unknown;
+	} else {
+		this.unknown = this.treat_undefined_as_zero ? "zero" : "propagate";
+	}
 	this.file_list = file_list;
-	this.file_list.sort();
+	this.file_list.sort(rrdFileSort);
 }
 
 RRDFileSum.prototype.getMinStep = function() {
@@ -160,25 +258,19 @@ RRDFileSum.prototype.getRRAInfo = function(idx) {
 };
 
 RRDFileSum.prototype.getRRA = function(idx) {
-	var rra_info = this.getRRAInfo(idx);
-	var rra_step = rra_info.getStep();
-	var realLastUpdate;
-
 	var rra_list = [];
-	var offset_list = [];
-	for (var i in this.file_list) {
-		file = this.file_list[i];
-		fileLastUpdate = file.getLastUpdate();
-		if (realLastUpdate !== undefined) {
-			fileSkrew = Math.floor((realLastUpdate - fileLastUpdate) / rra_step);
-		} else {
-			fileSkrew = 0;
-			firstLastUpdate = fileLastUpdate;
-		}
-		offset_list.push(fileSkrew);
-		fileRRA = file.getRRA(idx);
-		rra_list.push(fileRRA);
+	for (var i = 0; i < this.file_list.length; i++) {
+		rra_list.push(this.file_list[i].getRRA(idx));
 	}
 
-	return new RRDRRASum(rra_list, offset_list, this.treat_undefined_as_zero);
+	// the RRAs are aligned by timestamp, the most recently updated file first
+	return new RRDRRASum(rra_list, null, this.unknown);
 };
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDRRASum: RRDRRASum,
+		RRDFileSum: RRDFileSum
+	};
+}
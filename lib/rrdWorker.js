@@ -0,0 +1,583 @@
+/*
+ * Parse RRD files and prepare their data in a Web Worker
+ *
+ * In the worker, the file is fetched, parsed and filtered, then every column
+ * is extracted into a Float64Array; only those arrays are transferred back.
+ * On the main thread, RRDPreparedFile implements the RRDFile interface on top of them,
+ * so the graphs only have to read typed arrays.
+ * When the series to plot are known in advance, the worker can also build them,
+ * and transfer only those.
+ *
+ * Main thread:
+ *     var client = new RRDWorkerClient("js/rrdWorker.js");
+ *     client.load(url, {rra_op_list: [0, [1, 1800]]}).then(function(rrd_data) { ... });
+ *     client.load(url, {series: {rra_idx: 0, ds_single_list: ["in"]}}).then(function(flot_obj) { ... });
+ *
+ * The same script, started as a worker, loads the other javascriptRRD modules it needs
+ * from its own directory and answers the requests.
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ */
+
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var FetchBinaryURLPromise = require("./binaryXHR.js").FetchBinaryURLPromise;
+	var DataViewBinaryFile = require("./binaryXHR.js").DataViewBinaryFile;
+	var RRDFile = require("./rrdFile.js").RRDFile;
+	var rrdFetch = require("./rrdFile.js").rrdFetch;
+	var rrdRowForTime = require("./rrdFile.js").rrdRowForTime;
+	var rrdElAt = require("./rrdFile.js").rrdElAt;
+	var rrdRowIterator = require("./rrdFile.js").rrdRowIterator;
+	var rrdRowRange = require("./rrdFile.js").rrdRowRange;
+	var rrdGetRows = require("./rrdFile.js").rrdGetRows;
+	var RRDFilterOp = require("./rrdFilter.js").RRDFilterOp;
+	var RRDRRAFilterAvg = require("./rrdFilter.js").RRDRRAFilterAvg;
+	var rrdRRAStackFlotObj = require("./rrdFlotSupport.js").rrdRRAStackFlotObj;
+}
+
+/**
+ * Used as rejection value when the worker could not prepare the data.
+ * @constructor
+ * @param {string} error_name The name of the error raised in the worker (e.g. "Invalid RRD").
+ * @param {string} msg Its message.
+ */
+function RRDWorkerError(error_name, msg) {
+	this.message = msg;
+	this.name = "RRD Worker Error";
+	this.error_name = error_name;
+}
+
+RRDWorkerError.prototype.toString = function() {
+	return this.name + ': "' + this.error_name + ": " + this.message + '"';
+};
+
+// ============================================================
+// Worker side
+
+/**
+ * Extract all the data of an RRD in a form that can be posted to another thread.
+ * @param rrd_file An object of type RRDFile or equivalent.
+ * @return {Object} {data, transfer}, where transfer lists the buffers of the typed arrays in data.
+ */
+function rrdWorkerSerialize(rrd_file) {
+	var transfer = [];
+	var data = {
+		min_step: rrd_file.getMinStep(),
+		last_update: rrd_file.getLastUpdate(),
+		ds: [],
+		rras: []
+	};
+
+	var nr_dss = rrd_file.getNrDSs();
+	var i, d;
+	for (d = 0; d < nr_dss; d++) {
+		var ds = rrd_file.getDS(d);
+		data.ds.push({
+			name: ds.getName(),
+			type: ds.getType(),
+			min: ds.getMin(),
+			max: ds.getMax()
+		});
+	}
+
+	for (i = 0; i < rrd_file.getNrRRAs(); i++) {
+		var rra_info = rrd_file.getRRAInfo(i);
+		var rra = rrd_file.getRRA(i);
+		var rows = rra.getNrRows();
+		var el = {
+			cf: rra.getCFName(),
+			step: rra.getStep(),
+			pdp_per_row: rra_info.getPdpPerRow(),
+			rows: rows,
+			timestamps: new Float64Array(rows),
+			row_steps: null,
+			columns: []
+		};
+		// the FAILURES RRA thresholds, used by the Holt-Winters graphs
+		if (rra_info.getDeltaPos !== undefined) {
+			el.delta_pos = rra_info.getDeltaPos();
+			el.delta_neg = rra_info.getDeltaNeg();
+		}
+		if (rra.getRowStep !== undefined) {
+			el.row_steps = new Float64Array(rows);
+			transfer.push(el.row_steps.buffer);
+		}
+		for (var r = 0; r < rows; r++) {
+			el.timestamps[r] = rra.getTimestamp(r);
+			if (el.row_steps !== null) el.row_steps[r] = rra.getRowStep(r);
+		}
+		transfer.push(el.timestamps.buffer);
+		for (d = 0; d < nr_dss; d++) {
+			var column = rra.getColumn(d);
+			el.columns.push(column);
+			transfer.push(column.buffer);
+		}
+		data.rras.push(el);
+	}
+	return {
+		data: data,
+		transfer: transfer
+	};
+}
+
+/**
+ * Build the Flot series of an RRA, in a form that can be posted to another thread.
+ * @param rrd_file An object of type RRDFile or equivalent.
+ * @param {Object} series Selects the series, as the arguments of rrdRRAStackFlotObj:
+ * rra_idx, ds_positive_stack_list, ds_negative_stack_list, ds_single_list (the lists default to []), timestamp_shift (default 0),
+ * want_ds_labels, want_rounding and one_undefined_enough.
+ * @return {Object} {data, transfer}; data holds min, max and one {label, times, values} per series,
+ * times and values being Float64Arrays whose buffers are listed in transfer.
+ */
+function rrdWorkerFlotSeries(rrd_file, series) {
+	var flot_obj = rrdRRAStackFlotObj(rrd_file, series.rra_idx,
+		series.ds_positive_stack_list || [], series.ds_negative_stack_list || [], series.ds_single_list || [],
+		series.timestamp_shift || 0, series.want_ds_labels, series.want_rounding, series.one_undefined_enough);
+	var transfer = [];
+	var data = {
+		min: flot_obj.min,
+		max: flot_obj.max,
+		series: []
+	};
+	for (var i = 0; i < flot_obj.data.length; i++) {
+		var points = flot_obj.data[i].data;
+		var el = {
+			label: flot_obj.data[i].label,
+			times: new Float64Array(points.length),
+			values: new Float64Array(points.length)
+		};
+		for (var p = 0; p < points.length; p++) {
+			el.times[p] = points[p][0];
+			el.values[p] = points[p][1];
+		}
+		transfer.push(el.times.buffer, el.values.buffer);
+		data.series.push(el);
+	}
+	return {
+		data: data,
+		transfer: transfer
+	};
+}
+
+/**
+ * Load, parse and filter an RRD, as requested by a message posted to the worker.
+ * @param {Object} request Must contain either url (loaded with FetchBinaryURLPromise) or buffer (an ArrayBuffer), and can contain
+ * file_options - Passed to RRDFile.
+ * fetch_options - Passed to FetchBinaryURLPromise.
+ * ds_op_list - If present, an RRDFilterOp is applied; only DS names and indexes can be posted.
+ * rra_op_list - If present, an RRDRRAFilterAvg is applied; only RRA indexes and [rra_idx, step] pairs can be posted.
+ * series - If present, only these Flot series are sent back, see rrdWorkerFlotSeries.
+ * @return {Promise} A promise that resolves to the filtered RRD.
+ */
+function rrdWorkerLoad(request) {
+	var bf_promise;
+	if (request.buffer !== undefined) {
+		bf_promise = Promise.resolve(new DataViewBinaryFile(request.buffer));
+	} else {
+		bf_promise = FetchBinaryURLPromise(request.url, request.fetch_options);
+	}
+	return bf_promise.then(function(bf) {
+		var rrd_data = new RRDFile(bf, request.file_options);
+		if (request.ds_op_list !== undefined && request.ds_op_list !== null) rrd_data = new RRDFilterOp(rrd_data, request.ds_op_list);
+		if (request.rra_op_list !== undefined && request.rra_op_list !== null) rrd_data = new RRDRRAFilterAvg(rrd_data, request.rra_op_list);
+		return rrd_data;
+	});
+}
+
+/**
+ * Answer the requests posted to scope (the worker global scope, or anything with the same onmessage/postMessage interface).
+ * Each request gets a message with the same id, containing either data (see rrdWorkerSerialize),
+ * series (see rrdWorkerFlotSeries, if the request asked for them) or error ({name, message}).
+ */
+function rrdWorkerListen(scope) {
+	scope.onmessage = function(e) {
+		var id = e.data.id;
+		var series = e.data.series;
+		rrdWorkerLoad(e.data).then(function(rrd_data) {
+			var res;
+			if (series !== undefined && series !== null) {
+				res = rrdWorkerFlotSeries(rrd_data, series);
+				scope.postMessage({
+					id: id,
+					series: res.data
+				}, res.transfer);
+				return;
+			}
+			res = rrdWorkerSerialize(rrd_data);
+			scope.postMessage({
+				id: id,
+				data: res.data
+			}, res.transfer);
+		}).catch(function(err) {
+			scope.postMessage({
+				id: id,
+				error: {
+					name: (err.name !== undefined) ? err.name : "Error",
+					message: (err.message !== undefined) ? err.message : String(err)
+				}
+			});
+		});
+	};
+}
+
+// ============================================================
+// Main thread side
+
+/**
+ * Rebuild the Flot object from the series posted by the worker.
+ * @param {Object} series_data The data posted by the worker, see rrdWorkerFlotSeries.
+ * @return {Object} data, min and max, as returned by rrdRRAStackFlotObj.
+ */
+function rrdWorkerFlotObj(series_data) {
+	var out = {
+		data: [],
+		min: series_data.min,
+		max: series_data.max
+	};
+	for (var i = 0; i < series_data.series.length; i++) {
+		var el = series_data.series[i];
+		var points = [];
+		for (var p = 0; p < el.times.length; p++) {
+			points.push([el.times[p], el.values[p]]);
+		}
+		var flot_el = {
+			data: points
+		};
+		if (el.label !== undefined) flot_el.label = el.label;
+		out.data.push(flot_el);
+	}
+	return out;
+}
+
+/**
+ * This class implements the same interface as RRDDS.
+ * @constructor
+ */
+function RRDPreparedDS(ds_data, my_idx) {
+	this.ds_data = ds_data;
+	this.my_idx = my_idx;
+}
+RRDPreparedDS.prototype.getIdx = function() {
+	return this.my_idx;
+};
+RRDPreparedDS.prototype.getName = function() {
+	return this.ds_data.name;
+};
+RRDPreparedDS.prototype.getType = function() {
+	return this.ds_data.type;
+};
+RRDPreparedDS.prototype.getMin = function() {
+	return this.ds_data.min;
+};
+RRDPreparedDS.prototype.getMax = function() {
+	return this.ds_data.max;
+};
+
+/**
+ * This class implements the same interface as RRDRRAInfo.
+ * @constructor
+ */
+function RRDPreparedRRAInfo(rra_data, my_idx) {
+	this.rra_data = rra_data;
+	this.my_idx = my_idx;
+	if (rra_data.delta_pos !== undefined) {
+		this.getDeltaPos = function() {
+			return rra_data.delta_pos;
+		};
+		this.getDeltaNeg = function() {
+			return rra_data.delta_neg;
+		};
+	}
+}
+RRDPreparedRRAInfo.prototype.getIdx = function() {
+	return this.my_idx;
+};
+RRDPreparedRRAInfo.prototype.getNrRows = function() {
+	return this.rra_data.rows;
+};
+RRDPreparedRRAInfo.prototype.getPdpPerRow = function() {
+	return this.rra_data.pdp_per_row;
+};
+RRDPreparedRRAInfo.prototype.getStep = function() {
+	return this.rra_data.step;
+};
+RRDPreparedRRAInfo.prototype.getCFName = function() {
+	return this.rra_data.cf;
+};
+
+/**
+ * This class implements the same interface as RRDRRA.
+ * @constructor
+ */
+function RRDPreparedRRA(rra_info) {
+	this.rra_info = rra_info;
+	this.rra_data = rra_info.rra_data;
+	this.row_cnt = this.rra_data.rows;
+	this.ds_cnt = this.rra_data.columns.length;
+}
+RRDPreparedRRA.prototype.getIdx = function() {
+	return this.rra_info.getIdx();
+};
+RRDPreparedRRA.prototype.getNrRows = function() {
+	return this.row_cnt;
+};
+RRDPreparedRRA.prototype.getNrDSs = function() {
+	return this.ds_cnt;
+};
+RRDPreparedRRA.prototype.getStep = function() {
+	return this.rra_info.getStep();
+};
+RRDPreparedRRA.prototype.getCFName = function() {
+	return this.rra_info.getCFName();
+};
+RRDPreparedRRA.prototype.getEl = function(row_idx, ds_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+	var val = this.rra_data.columns[ds_idx][row_idx];
+	if (isNaN(val)) return undefined;
+	return val;
+};
+RRDPreparedRRA.prototype.getElFast = function(row_idx, ds_idx) {
+	return this.getEl(row_idx, ds_idx);
+};
+
+// time based access, the timestamps were computed in the worker
+RRDPreparedRRA.prototype.getTimestamp = function(row_idx) {
+	if ((row_idx < 0) || (row_idx >= this.row_cnt)) {
+		throw RangeError("Row idx (" + row_idx + ") out of range [0-" + this.row_cnt + ").");
+	}
+	return this.rra_data.timestamps[row_idx];
+};
+RRDPreparedRRA.prototype.getRowStep = function(row_idx) {
+	if (this.rra_data.row_steps === null) return this.getStep();
+	return this.rra_data.row_steps[row_idx];
+};
+RRDPreparedRRA.prototype.getRowForTime = function(timestamp) {
+	return rrdRowForTime(this, timestamp);
+};
+RRDPreparedRRA.prototype.getElAt = function(timestamp, ds_idx) {
+	return rrdElAt(this, timestamp, ds_idx);
+};
+RRDPreparedRRA.prototype.getRowIterator = function(from_row, to_row) {
+	return rrdRowIterator(this, from_row, to_row);
+};
+
+// bulk access, a copy of the transferred columns
+RRDPreparedRRA.prototype.getColumn = function(ds_idx, from_row, to_row) {
+	if ((ds_idx < 0) || (ds_idx >= this.ds_cnt)) {
+		throw RangeError("DS idx (" + ds_idx + ") out of range [0-" + this.ds_cnt + ").");
+	}
+	var range = rrdRowRange(this, from_row, to_row);
+	return this.rra_data.columns[ds_idx].slice(range[0], range[1]);
+};
+RRDPreparedRRA.prototype.getRows = function(from_row, to_row) {
+	return rrdGetRows(this, from_row, to_row);
+};
+
+/**
+ * This class implements the same interface as RRDFile, on top of the data prepared by a worker.
+ *
+ * @constructor
+ * @param {Object} data The data posted by the worker, see rrdWorkerSerialize.
+ */
+function RRDPreparedFile(data) {
+	this.data = data;
+	var i;
+	this.ds_list = [];
+	for (i = 0; i < data.ds.length; i++) {
+		this.ds_list.push(new RRDPreparedDS(data.ds[i], i));
+	}
+	this.rra_list = [];
+	for (i = 0; i < data.rras.length; i++) {
+		this.rra_list.push(new RRDPreparedRRA(new RRDPreparedRRAInfo(data.rras[i], i)));
+	}
+}
+RRDPreparedFile.prototype.getMinStep = function() {
+	return this.data.min_step;
+};
+RRDPreparedFile.prototype.getLastUpdate = function() {
+	return this.data.last_update;
+};
+RRDPreparedFile.prototype.getNrDSs = function() {
+	return this.ds_list.length;
+};
+RRDPreparedFile.prototype.getDSNames = function() {
+	var ds_names = [];
+	for (var i = 0; i < this.ds_list.length; i++) {
+		ds_names.push(this.ds_list[i].getName());
+	}
+	return ds_names;
+};
+RRDPreparedFile.prototype.getDS = function(id) {
+	if (typeof id == "number") {
+		if ((id >= 0) && (id < this.ds_list.length)) {
+			return this.ds_list[id];
+		} else {
+			throw RangeError("DS idx (" + id + ") out of range [0-" + this.ds_list.length + ").");
+		}
+	} else {
+		for (var i = 0; i < this.ds_list.length; i++) {
+			if (this.ds_list[i].getName() == id) return this.ds_list[i];
+		}
+		throw RangeError("DS name " + id + " unknown.");
+	}
+};
+RRDPreparedFile.prototype.getNrRRAs = function() {
+	return this.rra_list.length;
+};
+RRDPreparedFile.prototype.getRRAInfo = function(idx) {
+	return this.getRRA(idx).rra_info;
+};
+RRDPreparedFile.prototype.getRRA = function(idx) {
+	if ((idx >= 0) && (idx < this.rra_list.length)) {
+		return this.rra_list[idx];
+	} else {
+		throw RangeError("RRA idx (" + idx + ") out of range [0-" + this.rra_list.length + ").");
+	}
+};
+RRDPreparedFile.prototype.fetch = function(cf, start, end, resolution) {
+	return rrdFetch(this, cf, start, end, resolution);
+};
+
+/**
+ * Send requests to a worker running rrdWorker.js
+ *
+ * @constructor
+ * @param worker A Worker object, or the URL of rrdWorker.js to start one.
+ */
+function RRDWorkerClient(worker) {
+	if (typeof worker == "string") worker = new Worker(worker);
+	this.worker = worker;
+	this.last_id = 0;
+	this.pending = {};
+
+	var client = this;
+	this.worker.onmessage = function(e) {
+		var request = client.pending[e.data.id];
+		if (request === undefined) return;
+		delete client.pending[e.data.id];
+		if (e.data.error !== undefined) {
+			request.reject(new RRDWorkerError(e.data.error.name, e.data.error.message));
+		} else if (e.data.series !== undefined) {
+			request.resolve(rrdWorkerFlotObj(e.data.series));
+		} else {
+			request.resolve(new RRDPreparedFile(e.data.data));
+		}
+	};
+	// the worker itself failed (e.g. its script did not load), or an answer could not be read:
+	// no pending request will ever be answered
+	function reject_all(error_name, msg) {
+		var pending = client.pending;
+		client.pending = {};
+		for (var id in pending) {
+			pending[id].reject(new RRDWorkerError(error_name, msg));
+		}
+	}
+	this.worker.onerror = function(e) {
+		reject_all("Worker Error", (e && e.message) ? e.message : "The worker failed.");
+	};
+	this.worker.onmessageerror = function() {
+		reject_all("Message Error", "An answer of the worker could not be deserialized.");
+	};
+}
+
+/**
+ * @param {string} url URL from where the worker loads the RRD file.
+ * @param {Object} options If present, it can contain file_options, fetch_options, ds_op_list, rra_op_list and series, see rrdWorkerLoad.
+ * @return {Promise} A promise that resolves to an object of type RRDPreparedFile, or is rejected with an RRDWorkerError,
+ * also when the worker fails as a whole.
+ * If series was requested, it resolves to the Flot object instead (see rrdWorkerFlotObj).
+ */
+RRDWorkerClient.prototype.load = function(url, options) {
+	var request = {
+		url: url
+	};
+	if (options !== undefined && options !== null) {
+		for (var key in options) {
+			if (options.hasOwnProperty(key)) request[key] = options[key];
+		}
+	}
+	return this.post(request, []);
+};
+
+/**
+ * @param {ArrayBuffer} buffer The content of an RRD file; it is transferred to the worker, so it cannot be used anymore.
+ * @param {Object} options Same as for load.
+ * @return {Promise} Same as for load.
+ */
+RRDWorkerClient.prototype.parse = function(buffer, options) {
+	var request = {
+		buffer: buffer
+	};
+	if (options !== undefined && options !== null) {
+		for (var key in options) {
+			if (options.hasOwnProperty(key)) request[key] = options[key];
+		}
+	}
+	return this.post(request, [buffer]);
+};
+
+// INTERNAL: Do not call directly
+RRDWorkerClient.prototype.post = function(request, transfer) {
+	var client = this;
+	request.id = ++this.last_id;
+	return new Promise(function(resolve, reject) {
+		client.pending[request.id] = {
+			resolve: resolve,
+			reject: reject
+		};
+		client.worker.postMessage(request, transfer);
+	});
+};
+
+/**
+ * Stop the worker; the pending requests are never answered.
+ */
+RRDWorkerClient.prototype.terminate = function() {
+	this.worker.terminate();
+	this.pending = {};
+};
+
+/**
+ * @return {boolean} true if op_list can be posted to the worker, i.e. it only contains indexes, names and arrays of them.
+ */
+function rrdWorkerCanPost(op_list) {
+	if (op_list === undefined || op_list === null) return true;
+	for (var i = 0; i < op_list.length; i++) {
+		var el = op_list[i];
+		if (Object.prototype.toString.call(el) == "[object Array]") {
+			if (!rrdWorkerCanPost(el)) return false;
+		} else if ((typeof el != "number") && (typeof el != "string") && (el !== null)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Started as a Web Worker: load the other modules and answer the requests
+if ((typeof importScripts == "function") && (typeof module == "undefined") && (typeof document == "undefined")) {
+	importScripts("binaryXHR.js", "rrdFile.js", "rrdFilter.js", "rrdFlotSupport.js");
+	rrdWorkerListen(self);
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		RRDWorkerError: RRDWorkerError,
+		rrdWorkerSerialize: rrdWorkerSerialize,
+		rrdWorkerFlotSeries: rrdWorkerFlotSeries,
+		rrdWorkerFlotObj: rrdWorkerFlotObj,
+		rrdWorkerLoad: rrdWorkerLoad,
+		rrdWorkerListen: rrdWorkerListen,
+		RRDPreparedFile: RRDPreparedFile,
+		RRDWorkerClient: RRDWorkerClient,
+		rrdWorkerCanPost: rrdWorkerCanPost
+	};
+}
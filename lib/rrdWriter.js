@@ -0,0 +1,240 @@
+/*
+ * Serialize any object implementing the RRDFile interface
+ * (including the filters and RRDFileSum) into a rrdtool binary file
+ *
+ * Part of the javascriptRRD package
+ *
+ * MIT License [http://www.opensource.org/licenses/mit-license.php]
+ *
+ * The layout mirrors the offsets computed by RRDHeader.calc_idxs.
+ * Supported layouts:
+ *   int_width=8, float_align=8 - 64 bit platforms (e.g. x86_64)
+ *   int_width=4, float_align=8 - 32 bit platforms aligning doubles (e.g. ARM EABI)
+ *   int_width=4, float_align=4 - 32 bit platforms (e.g. i386)
+ * each of them either little or big endian.
+ */
+
+// CommonJS import, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	var rrdRPNOps = require("./rrdFile.js").rrdRPNOps;
+	var rrdRPNMaxNodes = require("./rrdFile.js").rrdRPNMaxNodes;
+}
+
+/**
+ * Helper class to write the fields of a RRD, in the requested layout.
+ * @constructor
+ */
+function RRDBinaryWriter(size, int_width, big_endian) {
+	this.buffer = new ArrayBuffer(size);
+	this.view = new DataView(this.buffer);
+	this.bytes = new Uint8Array(this.buffer);
+	this.int_width = int_width;
+	this.little_endian = !big_endian;
+}
+
+// write a NULL terminated string in a field of len bytes
+RRDBinaryWriter.prototype.putCString = function(idx, str, len) {
+	str = String(str);
+	if (str.length >= len) {
+		throw RangeError("String " + str + " does not fit in " + len + " bytes.");
+	}
+	for (var i = 0; i < str.length; i++) {
+		this.bytes[idx + i] = str.charCodeAt(i) & 0xff;
+	}
+};
+
+// write an unsigned long of int_width bytes, also used for the ones in a unival
+RRDBinaryWriter.prototype.putULong = function(idx, val) {
+	if ((this.int_width == 8) && !this.little_endian) idx += 4; // low 32 bits come last
+	this.view.setUint32(idx, val, this.little_endian);
+};
+
+// write a double, undefined being unknown
+RRDBinaryWriter.prototype.putDouble = function(idx, val) {
+	if ((val === undefined) || (val === null)) val = NaN;
+	this.view.setFloat64(idx, val, this.little_endian);
+};
+
+// Internal, call method on obj if it exists, else return def
+function rrdWriterGet(obj, method, def) {
+	if ((obj === undefined) || (obj === null) || (obj[method] === undefined)) return def;
+	var val = obj[method].apply(obj, Array.prototype.slice.call(arguments, 3));
+	return (val === undefined) ? def : val;
+}
+
+/**
+ * Rows are written from the oldest to the newest, so all the RRA pointers point to the last row.
+ * DS types unknown to rrdtool (e.g. the ones computed by the filters) are written as GAUGE,
+ * and the Holt-Winters state kept in the CDP scratch area is not preserved.
+ *
+ * @param {Object} rrd_file Any object implementing the RRDFile interface.
+ * @param {Object} layout Optional, it can contain any of the following:
+ * int_width - 4 or 8 (default 8), the size of integers.
+ * float_align - 4 or 8 (default 8), the alignment of doubles; must be 8 if int_width is 8.
+ * big_endian - if true, use the big endian byte order (default false).
+ * @return {ArrayBuffer} The content of the RRD file, in rrdtool 0003 format.
+ */
+function rrdWriteBinary(rrd_file, layout) {
+	if (layout === undefined || layout === null) layout = {};
+	var int_width = (layout.int_width !== undefined) ? layout.int_width : 8;
+	var float_align = (layout.float_align !== undefined) ? layout.float_align : 8;
+	if (((int_width != 4) && (int_width != 8)) || ((float_align != 4) && (float_align != 8)) ||
+		(int_width > float_align)) {
+		throw RangeError("Unsupported layout, int_width=" + int_width + " float_align=" + float_align + ".");
+	}
+	var unival_width = 8;
+	var unival_align = float_align;
+	var align = function(idx, alignment) {
+		return Math.ceil(idx / alignment) * alignment;
+	};
+
+	var ds_cnt = rrd_file.getNrDSs();
+	var rra_cnt = rrd_file.getNrRRAs();
+	var pdp_step = rrd_file.getMinStep();
+	var last_update = rrd_file.getLastUpdate();
+
+	// same computations as in RRDHeader
+	var ds_cnt_idx = align(4 + 5, float_align) + 8;
+	var pdp_step_idx = ds_cnt_idx + 2 * int_width;
+	var ds_def_idx = align(pdp_step_idx + int_width, unival_align) + 10 * unival_width;
+	var ds_el_size = align(20 + 20, unival_align) + 10 * unival_width;
+	var rra_def_idx = ds_def_idx + ds_el_size * ds_cnt;
+	var row_cnt_idx = align(20, int_width);
+	var rra_par_idx = align(row_cnt_idx + 2 * int_width, unival_align);
+	var rra_def_el_size = rra_par_idx + 10 * unival_width;
+	var live_head_idx = rra_def_idx + rra_def_el_size * rra_cnt;
+	var pdp_prep_idx = live_head_idx + 2 * int_width;
+	var pdp_scratch_idx = align(30, unival_align);
+	var pdp_prep_el_size = pdp_scratch_idx + 10 * unival_width;
+	var cdp_prep_idx = pdp_prep_idx + pdp_prep_el_size * ds_cnt;
+	var cdp_prep_el_size = 10 * unival_width;
+	var rra_ptr_idx = cdp_prep_idx + cdp_prep_el_size * ds_cnt * rra_cnt;
+	var header_size = rra_ptr_idx + int_width * rra_cnt;
+
+	var rras = [];
+	var i, j, d;
+	var data_size = 0;
+	for (i = 0; i < rra_cnt; i++) {
+		rras.push(rrd_file.getRRA(i));
+		data_size += rras[i].getNrRows() * ds_cnt * 8;
+	}
+
+	var w = new RRDBinaryWriter(header_size + data_size, int_width, layout.big_endian);
+
+	// stat_head
+	w.putCString(0, "RRD", 4);
+	w.putCString(4, "0003", 5);
+	w.putDouble(align(4 + 5, float_align), 8.642135e+130);
+	w.putULong(ds_cnt_idx, ds_cnt);
+	w.putULong(ds_cnt_idx + int_width, rra_cnt);
+	w.putULong(pdp_step_idx, pdp_step);
+
+	// ds_def and pdp_prep
+	var ds_types = ["GAUGE", "COUNTER", "DERIVE", "ABSOLUTE", "DCOUNTER", "DDERIVE", "COMPUTE"];
+	for (d = 0; d < ds_cnt; d++) {
+		var ds = rrd_file.getDS(d);
+		var ds_idx = ds_def_idx + d * ds_el_size;
+		var ds_par_idx = ds_idx + align(20 + 20, unival_align);
+		var type = ds.getType();
+		var rpn = (type == "COMPUTE") ? rrdWriterGet(ds, "getRPN", null) : null;
+		if (rpn !== null) {
+			for (j = 0; j < rpn.length; j++) {
+				// a DS may have been filtered out
+				if ((rpn[j].op == "VARIABLE") && (rpn[j].val >= ds_cnt)) rpn = null;
+				if (rpn === null) break;
+			}
+		}
+		if ((ds_types.indexOf(type) < 0) || ((type == "COMPUTE") && (rpn === null))) type = "GAUGE";
+		w.putCString(ds_idx, ds.getName(), 20);
+		w.putCString(ds_idx + 20, type, 20);
+		if (rpn !== null) {
+			// rpn_cdefds_t { char op; short val; }, starting at par[DS_cdef], DS_cdef == 0
+			// COMPUTE data sources have no heartbeat, min and max
+			// a full par[] has no room for the END node
+			for (j = 0; (j <= rpn.length) && (j < rrdRPNMaxNodes); j++) {
+				var node_idx = ds_par_idx + j * 4;
+				var op = (j < rpn.length) ? rpn[j].op : "END";
+				w.bytes[node_idx] = rrdRPNOps.indexOf(op);
+				if (j < rpn.length) w.view.setInt16(node_idx + 2, rpn[j].val, w.little_endian);
+			}
+		} else {
+			w.putULong(ds_par_idx, rrdWriterGet(ds, "getHeartbeat", 2 * pdp_step));
+			w.putDouble(ds_par_idx + 8, ds.getMin());
+			w.putDouble(ds_par_idx + 16, ds.getMax());
+		}
+
+		var pdp_idx = pdp_prep_idx + d * pdp_prep_el_size;
+		w.putCString(pdp_idx, rrdWriterGet(ds, "getLastDS", "U"), 30);
+		w.putULong(pdp_idx + pdp_scratch_idx, rrdWriterGet(ds, "getUnknownSec", last_update % pdp_step));
+		w.putDouble(pdp_idx + pdp_scratch_idx + 8, rrdWriterGet(ds, "getPDPValue", 0));
+	}
+
+	// rra_def, cdp_prep and rra_ptr
+	for (i = 0; i < rra_cnt; i++) {
+		var rra = rras[i];
+		var rra_info = rrdWriterGet(rrd_file, "getRRAInfo", null, i);
+		var rra_idx = rra_def_idx + i * rra_def_el_size;
+		var par_idx = rra_idx + rra_par_idx;
+		var cf = rra.getCFName();
+		w.putCString(rra_idx, cf, 20);
+		w.putULong(rra_idx + row_cnt_idx, rra.getNrRows());
+		w.putULong(rra_idx + row_cnt_idx + int_width, Math.max(1, Math.round(rra.getStep() / pdp_step)));
+
+		var hw = rrdWriterGet(rra_info, "isHoltWinters", false);
+		if (!hw) {
+			w.putDouble(par_idx, rrdWriterGet(rra_info, "getXFF", 0.5));
+		} else {
+			if ((cf == "HWPREDICT") || (cf == "MHWPREDICT")) {
+				w.putDouble(par_idx + 8, rrdWriterGet(rra_info, "getHWAlpha", NaN));
+				w.putDouble(par_idx + 16, rrdWriterGet(rra_info, "getHWBeta", NaN));
+			} else if ((cf == "SEASONAL") || (cf == "DEVSEASONAL")) {
+				w.putDouble(par_idx + 8, rrdWriterGet(rra_info, "getSeasonalGamma", NaN));
+				w.putDouble(par_idx + 16, rrdWriterGet(rra_info, "getSeasonalSmoothingWindow", NaN));
+			} else if (cf == "FAILURES") {
+				w.putDouble(par_idx + 8, rrdWriterGet(rra_info, "getDeltaPos", NaN));
+				w.putDouble(par_idx + 16, rrdWriterGet(rra_info, "getDeltaNeg", NaN));
+				w.putULong(par_idx + 5 * 8, rrdWriterGet(rra_info, "getFailureThreshold", 0));
+				w.putULong(par_idx + 4 * 8, rrdWriterGet(rra_info, "getWindowLength", 0));
+			}
+			w.putULong(par_idx + 3 * 8, rrdWriterGet(rra_info, "getDependentRRAIdx", 0));
+		}
+
+		for (d = 0; d < ds_cnt; d++) {
+			var cdp_idx = cdp_prep_idx + (i * ds_cnt + d) * cdp_prep_el_size;
+			if (hw) {
+				for (j = 0; j < 10; j++) w.putDouble(cdp_idx + j * 8, NaN);
+			} else {
+				w.putDouble(cdp_idx, rrdWriterGet(rra_info, "getCDPValue", NaN, d));
+				w.putULong(cdp_idx + 8, rrdWriterGet(rra_info, "getCDPUnknownPdps", 0, d));
+				w.putDouble(cdp_idx + 8 * 8, rrdWriterGet(rra_info, "getCDPPrimaryValue", NaN, d));
+				w.putDouble(cdp_idx + 9 * 8, rrdWriterGet(rra_info, "getCDPSecondaryValue", NaN, d));
+			}
+		}
+
+		w.putULong(rra_ptr_idx + i * int_width, rra.getNrRows() - 1);
+	}
+
+	// live_head
+	w.putULong(live_head_idx, last_update);
+
+	// and finally the rows
+	var row_idx = header_size;
+	for (i = 0; i < rra_cnt; i++) {
+		var rra_rows = rras[i].getNrRows();
+		for (var row = 0; row < rra_rows; row++) {
+			for (d = 0; d < ds_cnt; d++) {
+				w.putDouble(row_idx, rras[i].getEl(row, d));
+				row_idx += 8;
+			}
+		}
+	}
+
+	return w.buffer;
+}
+
+// CommonJS export, for Node.js and bundlers
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		rrdWriteBinary: rrdWriteBinary
+	};
+}
@@ -1,10 +1,2467 @@
 var expect = require("chai").expect;
-var binaryXHR = require("../src/lib/binaryXHR.js").FetchBinaryURLAsync;
+var FetchBinaryFile = require("../lib/binaryFS.js").FetchBinaryFile;
+var FetchBinaryFilePromise = require("../lib/binaryFS.js").FetchBinaryFilePromise;
+var BinaryFileFromBuffer = require("../lib/binaryFS.js").BinaryFileFromBuffer;
+var RRDFile = require("../lib/rrdFile.js").RRDFile;
+var InvalidRRD = require("../lib/rrdFile.js").InvalidRRD;
+var fs = require("fs");
+var vm = require("vm");
+
+// runs the browser scripts of lib in a fresh context, the way a page loads them
+// globals holds what the page would provide, e.g. stubs of document or rrdFlot
+function browser_context(files, globals) {
+	var context = vm.createContext(globals);
+	for (var i = 0; i < files.length; i++) {
+		vm.runInContext(fs.readFileSync("lib/" + files[i], "utf8"), context, {filename: files[i]});
+	}
+	return context;
+}
+
+// the parts of the DOM and of jQuery that the graphs use, for browser_context
+// the page holds a single element, html_id; page.plots keeps the last $.plot of each selector
+// with an element for each id given
+function fake_page(html_id) {
+	var page = {
+		plots: {},
+		handlers: {}
+	};
+
+	function FakeNode(tag) {
+		this.tagName = tag;
+		this.childNodes = [];
+		this.style = {};
+	}
+	function find(node, test, out) {
+		for (var i = 0; i < node.childNodes.length; i++) {
+			if (test(node.childNodes[i])) out.push(node.childNodes[i]);
+			find(node.childNodes[i], test, out);
+		}
+		return out;
+	}
+	FakeNode.prototype.appendChild = function(child) {
+		this.childNodes.push(child);
+		return child;
+	};
+	FakeNode.prototype.removeChild = function(child) {
+		this.childNodes.splice(this.childNodes.indexOf(child), 1);
+		delete this.selected_index; // a select forgets its selection
+		return child;
+	};
+	FakeNode.prototype.click = function() {
+		if (this.onclick) this.onclick();
+	};
+	FakeNode.prototype.insertRow = function() {
+		return this.appendChild(new FakeNode("tr"));
+	};
+	FakeNode.prototype.insertCell = function() {
+		return this.appendChild(new FakeNode("td"));
+	};
+	Object.defineProperty(FakeNode.prototype, "lastChild", {
+		get: function() {
+			return (this.childNodes.length > 0) ? this.childNodes[this.childNodes.length - 1] : null;
+		}
+	});
+	Object.defineProperty(FakeNode.prototype, "rows", {
+		get: function() {
+			return this.childNodes.filter(function(node) {
+				return node.tagName == "tr";
+			});
+		}
+	});
+	Object.defineProperty(FakeNode.prototype, "options", {
+		get: function() {
+			return this.childNodes.filter(function(node) {
+				return node.tagName == "option";
+			});
+		}
+	});
+	Object.defineProperty(FakeNode.prototype, "selectedIndex", {
+		get: function() {
+			if (this.selected_index !== undefined) return this.selected_index;
+			var options = this.options;
+			for (var i = 0; i < options.length; i++) {
+				if (options[i].selected) return i;
+			}
+			return (options.length > 0) ? 0 : -1;
+		},
+		set: function(idx) {
+			this.selected_index = idx;
+		}
+	});
+	// the checkboxes of a form, a single one is not in a list
+	["ds", "rrd"].forEach(function(name) {
+		Object.defineProperty(FakeNode.prototype, name, {
+			get: function() {
+				var list = find(this, function(node) {
+					return node.name == name;
+				}, []);
+				return (list.length === 0) ? undefined : ((list.length == 1) ? list[0] : list);
+			}
+		});
+	});
+
+	function Option(text, value, default_selected, selected) {
+		FakeNode.call(this, "option");
+		this.text = text;
+		this.value = value;
+		this.selected = (selected === true);
+	}
+	Option.prototype = Object.create(FakeNode.prototype);
+	Object.defineProperty(Option.prototype, "value", {
+		get: function() {
+			return this.option_value;
+		},
+		set: function(value) {
+			this.option_value = String(value);
+		}
+	});
+
+	var body = new FakeNode("body");
+	for (var i = 0; i < arguments.length; i++) {
+		body.appendChild(new FakeNode("div")).id = arguments[i];
+	}
+	page.document = {
+		body: body,
+		hidden: false,
+		listeners: {},
+		createElement: function(tag) {
+			return new FakeNode(tag);
+		},
+		createTextNode: function(text) {
+			var node = new FakeNode("#text");
+			node.textContent = text;
+			return node;
+		},
+		getElementById: function(id) {
+			var list = find(body, function(node) {
+				return node.id == id;
+			}, []);
+			return (list.length > 0) ? list[0] : null;
+		},
+		addEventListener: function(name, listener) {
+			this.listeners[name] = (this.listeners[name] || []).concat([listener]);
+		},
+		removeEventListener: function(name, listener) {
+			this.listeners[name] = (this.listeners[name] || []).filter(function(el) {
+				return el !== listener;
+			});
+		}
+	};
+	page.Option = Option;
+
+	page.$ = function(selector) {
+		var handlers = page.handlers[selector] = page.handlers[selector] || {};
+		return {
+			selector: selector,
+			bind: function(name, handler) {
+				handlers[name] = (handlers[name] || []).concat([handler]);
+			},
+			unbind: function(name) {
+				delete handlers[name];
+			}
+		};
+	};
+	page.$.extend = function(target) {
+		for (var i = 1; i < arguments.length; i++) {
+			for (var key in arguments[i]) target[key] = arguments[i][key];
+		}
+		return target;
+	};
+	// calls the handlers bound to the elements of selector, as jQuery would
+	page.fire = function(selector, name) {
+		var args = [{}].concat(Array.prototype.slice.call(arguments, 2));
+		(page.handlers[selector][name] || []).forEach(function(handler) {
+			handler.apply(null, args);
+		});
+	};
+	// like Flot, with the selection and crosshair plugins
+	page.$.plot = function(el, data, options) {
+		var plot = {
+			data: data,
+			options: options,
+			selection: null,
+			crosshair: null,
+			setSelection: function(ranges, prevent_event) {
+				this.selection = ranges;
+				if (!prevent_event) page.fire(el.selector, "plotselected", ranges);
+			},
+			clearSelection: function(prevent_event) {
+				this.selection = null;
+				if (!prevent_event) page.fire(el.selector, "plotunselected");
+			},
+			setCrosshair: function(pos) {
+				this.crosshair = pos;
+			},
+			clearCrosshair: function() {
+				this.crosshair = null;
+			}
+		};
+		page.plots[el.selector] = plot;
+		return plot;
+	};
+	return page;
+}
 
 describe("rrd", function(){
 	describe("constructor", function() {
-		binaryXHR("example_rrds/example3.rrd", function (bf) {
-			var i_rrd_data=new tags.RRDFile(bf);
-		});	    
-	});	    
+		it("should parse a file loaded from a path", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			expect(i_rrd_data.getDSNames()).to.deep.equal(["Oscilator", "BrokenLine", "Discontinue", "SignChanger", "PartialAvail"]);
+			expect(i_rrd_data.getLastUpdate()).to.equal(1267927990);
+		});
+
+		it("should parse a file loaded from a Buffer", function() {
+			var buf = fs.readFileSync("example_rrds/example1.rrd");
+			var i_rrd_data = new RRDFile(BinaryFileFromBuffer(buf));
+			expect(i_rrd_data.getDSNames()).to.deep.equal(["val"]);
+		});
+
+		it("should parse files from different architectures", function() {
+			["example_amd64.rrd", "example_mips.rrd", "example_openwrt.rrd"].forEach(function(fname) {
+				var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/" + fname));
+				expect(i_rrd_data.getNrRRAs()).to.be.above(0);
+				expect(i_rrd_data.getRRA(0).getNrRows()).to.be.above(0);
+			});
+		});
+
+		it("should load asynchronously", function() {
+			return FetchBinaryFilePromise("example_rrds/example1.rrd").then(function(bf) {
+				expect(new RRDFile(bf).getMinStep()).to.be.above(0);
+			});
+		});
+
+		it("should reject files that are not RRDs", function() {
+			expect(function() {
+				new RRDFile(FetchBinaryFile("package.json"));
+			}).to.throw(InvalidRRD);
+		});
+	});
+
+	describe("header metadata", function() {
+		it("should expose DS parameters and PDP state", function() {
+			var ds = new RRDFile(FetchBinaryFile("example_rrds/example_openwrt.rrd")).getDS(0);
+			expect(ds.getHeartbeat()).to.equal(120);
+			expect(ds.getLastDS()).to.equal("30");
+			expect(ds.getUnknownSec()).to.equal(46);
+		});
+
+		it("should expose the RRA xff", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example1.rrd"));
+			expect(i_rrd_data.getRRAInfo(0).getXFF()).to.equal(0.8);
+		});
+
+		it("should collect everything in getInfo", function() {
+			var info = new RRDFile(FetchBinaryFile("example_rrds/example_mips.rrd")).getInfo();
+			expect(info.step).to.equal(60);
+			expect(info["ds[user].type"]).to.equal("COUNTER");
+			expect(info["ds[user].minimal_heartbeat"]).to.equal(600);
+			expect(info["rra[0].cdp_prep[0].unknown_datapoints"]).to.equal(0);
+		});
+	});
+
+	describe("COMPUTE data sources", function() {
+		// turn the last DS of example3 into Oscilator,BrokenLine,+,2,/
+		var buf = Buffer.from(fs.readFileSync("example_rrds/example3.rrd"));
+		var ds_idx = new RRDFile(BinaryFileFromBuffer(buf)).rrd_header.ds_def_idx + 4 * 120;
+		buf.fill(0, ds_idx + 20, ds_idx + 40);
+		buf.write("COMPUTE", ds_idx + 20, "latin1");
+		[[1, 0], [1, 1], [8, 0], [0, 2], [12, 0], [32, 0]].forEach(function(node, i) {
+			buf.writeUInt8(node[0], ds_idx + 40 + i * 4);
+			buf.writeInt16LE(node[1], ds_idx + 40 + i * 4 + 2);
+		});
+
+		it("should decode the RPN expression", function() {
+			var i_rrd_data = new RRDFile(BinaryFileFromBuffer(buf));
+			expect(i_rrd_data.getDS(4).getRPNExpression(i_rrd_data.getDSNames())).to.equal("Oscilator,BrokenLine,+,2,/");
+			expect(i_rrd_data.getDS(0).getRPN()).to.equal(null);
+			expect(i_rrd_data.getInfo()["ds[PartialAvail].cdef"]).to.equal("Oscilator,BrokenLine,+,2,/");
+		});
+
+		it("should not read the RPN program as heartbeat, min and max", function() {
+			var i_rrd_data = new RRDFile(BinaryFileFromBuffer(buf));
+			expect(i_rrd_data.getDS(4).getHeartbeat()).to.equal(undefined);
+			expect(i_rrd_data.getDS(4).getMin()).to.equal(undefined);
+			expect(i_rrd_data.getDS(4).getMax()).to.equal(undefined);
+			expect(i_rrd_data.getInfo()).to.not.have.property("ds[PartialAvail].minimal_heartbeat");
+			expect(i_rrd_data.getDS(0).getHeartbeat()).to.equal(1800);
+		});
+
+		it("should take the else branch of IF for an unknown condition", function() {
+			// turn SignChanger into PartialAvail,1,2,IF
+			var if_buf = Buffer.from(fs.readFileSync("example_rrds/example3.rrd"));
+			var if_ds_idx = ds_idx - 120;
+			if_buf.fill(0, if_ds_idx + 20, if_ds_idx + 40);
+			if_buf.write("COMPUTE", if_ds_idx + 20, "latin1");
+			[[1, 4], [0, 1], [0, 2], [25, 0], [32, 0]].forEach(function(node, i) {
+				if_buf.writeUInt8(node[0], if_ds_idx + 40 + i * 4);
+				if_buf.writeInt16LE(node[1], if_ds_idx + 40 + i * 4 + 2);
+			});
+			var rra = new RRDFile(BinaryFileFromBuffer(if_buf), {evaluate_compute_ds: true}).getRRA(0);
+			var nr_unknown = 0;
+			for (var row = 0; row < rra.getNrRows(); row++) {
+				var a = rra.getEl(row, 4);
+				if (a === undefined) nr_unknown++;
+				expect(rra.getEl(row, 3)).to.equal(((a === undefined) || (a === 0)) ? 2 : 1);
+			}
+			expect(nr_unknown).to.be.above(0);
+		});
+
+		it("should evaluate the expression per row on request", function() {
+			var rra = new RRDFile(BinaryFileFromBuffer(buf), {evaluate_compute_ds: true}).getRRA(0);
+			for (var row = 0; row < rra.getNrRows(); row++) {
+				var a = rra.getEl(row, 0), b = rra.getEl(row, 1);
+				if ((a === undefined) || (b === undefined)) {
+					expect(rra.getEl(row, 4)).to.equal(undefined);
+				} else {
+					expect(rra.getEl(row, 4)).to.equal((a + b) / 2);
+				}
+			}
+		});
+	});
+
+	describe("Holt-Winters RRAs", function() {
+		// turn the three RRAs of example1 into HWPREDICT, SEASONAL and FAILURES
+		var buf = Buffer.from(fs.readFileSync("example_rrds/example1.rrd"));
+		var rra_def_idx = new RRDFile(BinaryFileFromBuffer(buf)).rrd_header.rra_def_idx;
+		var set_rra = function(idx, cf, pars) {
+			var def_idx = rra_def_idx + idx * 108;
+			buf.fill(0, def_idx, def_idx + 20);
+			buf.write(cf, def_idx, "latin1");
+			pars.forEach(function(par, i) {
+				if (par !== null) buf.writeDoubleLE(par, def_idx + 28 + i * 8);
+			});
+		};
+		set_rra(0, "HWPREDICT", [null, 0.1, 0.0035]);
+		set_rra(1, "SEASONAL", [null, 0.2, 0.05]);
+		set_rra(2, "FAILURES", [null, 3, 2]);
+		buf.writeUInt32LE(1, rra_def_idx + 28 + 3 * 8);
+		buf.writeUInt32LE(0, rra_def_idx + 108 + 28 + 3 * 8);
+		buf.writeUInt32LE(1, rra_def_idx + 2 * 108 + 28 + 3 * 8);
+		buf.writeUInt32LE(7, rra_def_idx + 2 * 108 + 28 + 5 * 8);
+		buf.writeUInt32LE(9, rra_def_idx + 2 * 108 + 28 + 4 * 8);
+		var i_rrd_data = new RRDFile(BinaryFileFromBuffer(buf));
+
+		it("should expose the Holt-Winters parameters", function() {
+			expect(i_rrd_data.getRRAInfo(0).getHWAlpha()).to.equal(0.1);
+			expect(i_rrd_data.getRRAInfo(0).getHWBeta()).to.equal(0.0035);
+			expect(i_rrd_data.getRRAInfo(0).getDependentRRAIdx()).to.equal(1);
+			expect(i_rrd_data.getRRAInfo(1).getSeasonalGamma()).to.equal(0.2);
+			expect(i_rrd_data.getRRAInfo(2).getDeltaPos()).to.equal(3);
+			expect(i_rrd_data.getRRAInfo(2).getFailureThreshold()).to.equal(7);
+			expect(i_rrd_data.getRRAInfo(2).getWindowLength()).to.equal(9);
+			expect(i_rrd_data.getSeasonalPeriod(0)).to.equal(2160);
+			expect(i_rrd_data.getSeasonalPeriod(2)).to.equal(2160);
+		});
+
+		it("should build the prediction and the failure markings for Flot", function() {
+			var rrdHWFlotObj = require("../lib/rrdFlotSupport.js").rrdHWFlotObj;
+			var hw_obj = rrdHWFlotObj(i_rrd_data, 0, 0);
+			expect(hw_obj.data[0].label).to.equal("val prediction");
+			expect(hw_obj.data[0].data.length).to.be.above(0);
+			expect(hw_obj.markings.length).to.be.above(0);
+			expect(rrdHWFlotObj(new RRDFile(FetchBinaryFile("example_rrds/example1.rrd")), 0, 0)).to.equal(null);
+		});
+	});
+
+	describe("truncated files", function() {
+		var buf = fs.readFileSync("example_rrds/example3.rrd");
+
+		it("should report the RRA where the file ends", function() {
+			var err = null;
+			try {
+				new RRDFile(BinaryFileFromBuffer(buf.slice(0, buf.length - 8)));
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an.instanceof(InvalidRRD);
+			expect(err.field).to.match(/^rra\[\d+\]$/);
+			expect(err.expected_size).to.equal(buf.length);
+			expect(err.actual_size).to.equal(buf.length - 8);
+		});
+
+		it("should report truncated headers", function() {
+			var err = null;
+			try {
+				new RRDFile(BinaryFileFromBuffer(buf.slice(0, 400)));
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an.instanceof(InvalidRRD);
+			expect(err.expected_size).to.be.above(400);
+			expect(err.actual_size).to.equal(400);
+		});
+
+		it("should report files too short to be identified", function() {
+			expect(function() {
+				new RRDFile(BinaryFileFromBuffer(buf.slice(0, 18)));
+			}).to.throw(InvalidRRD);
+		});
+	});
+
+	describe("XML dumps", function() {
+		var RRDFileFromXML = require("../lib/rrdFileXML.js").RRDFileFromXML;
+		var xml = [
+			"<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+			"<!DOCTYPE rrd SYSTEM \"http://oss.oetiker.ch/rrdtool/rrdtool.dtd\">",
+			"<!-- Round Robin Database Dump -->",
+			"<rrd>",
+			"	<version>0003</version>",
+			"	<step>300</step> <!-- Seconds -->",
+			"	<lastupdate>1233077826</lastupdate> <!-- 2009-01-27 18:37:06 CET -->",
+			"	<ds>",
+			"		<name> in </name>",
+			"		<type> COUNTER </type>",
+			"		<minimal_heartbeat>600</minimal_heartbeat>",
+			"		<min>0.0000000000e+00</min>",
+			"		<max>NaN</max>",
+			"		<!-- PDP Status -->",
+			"		<last_ds>1234</last_ds>",
+			"		<value>1.5000000000e+01</value>",
+			"		<unknown_sec> 0 </unknown_sec>",
+			"	</ds>",
+			"	<ds>",
+			"		<name> out </name>",
+			"		<type> GAUGE </type>",
+			"		<minimal_heartbeat>600</minimal_heartbeat>",
+			"		<min>NaN</min>",
+			"		<max>NaN</max>",
+			"		<!-- PDP Status -->",
+			"		<last_ds>U</last_ds>",
+			"		<value>NaN</value>",
+			"		<unknown_sec> 126 </unknown_sec>",
+			"	</ds>",
+			"	<!-- Round Robin Archives -->",
+			"	<rra>",
+			"		<cf>AVERAGE</cf>",
+			"		<pdp_per_row>1</pdp_per_row> <!-- 300 seconds -->",
+			"		<params>",
+			"		<xff>5.0000000000e-01</xff>",
+			"		</params>",
+			"		<cdp_prep>",
+			"			<ds>",
+			"			<primary_value>1.0000000000e+00</primary_value>",
+			"			<secondary_value>2.0000000000e+00</secondary_value>",
+			"			<value>NaN</value>",
+			"			<unknown_datapoints>0</unknown_datapoints>",
+			"			</ds>",
+			"			<ds>",
+			"			<primary_value>NaN</primary_value>",
+			"			<secondary_value>NaN</secondary_value>",
+			"			<value>NaN</value>",
+			"			<unknown_datapoints>1</unknown_datapoints>",
+			"			</ds>",
+			"		</cdp_prep>",
+			"		<database>",
+			"			<!-- 2009-01-27 18:25:00 CET / 1233077100 --> <row><v>1.0000000000e+00</v><v>NaN</v></row>",
+			"			<!-- 2009-01-27 18:30:00 CET / 1233077400 --> <row><v>2.0000000000e+00</v><v>4.0000000000e+00</v></row>",
+			"			<!-- 2009-01-27 18:35:00 CET / 1233077700 --> <row><v>3.0000000000e+00</v><v>6.0000000000e+00</v></row>",
+			"		</database>",
+			"	</rra>",
+			"	<rra>",
+			"		<cf>MAX</cf>",
+			"		<pdp_per_row>2</pdp_per_row> <!-- 600 seconds -->",
+			"		<params>",
+			"		<xff>5.0000000000e-01</xff>",
+			"		</params>",
+			"		<cdp_prep>",
+			"			<ds><value>NaN</value><unknown_datapoints>0</unknown_datapoints></ds>",
+			"			<ds><value>NaN</value><unknown_datapoints>0</unknown_datapoints></ds>",
+			"		</cdp_prep>",
+			"		<database>",
+			"			<!-- 2009-01-27 18:20:00 CET / 1233076800 --> <row><v>2.0000000000e+00</v><v>4.0000000000e+00</v></row>",
+			"		</database>",
+			"	</rra>",
+			"</rrd>"
+		].join("\n");
+
+		it("should expose the same interface as RRDFile", function() {
+			var i_rrd_data = new RRDFileFromXML(xml);
+			expect(i_rrd_data.getMinStep()).to.equal(300);
+			expect(i_rrd_data.getLastUpdate()).to.equal(1233077826);
+			expect(i_rrd_data.getDSNames()).to.deep.equal(["in", "out"]);
+			expect(i_rrd_data.getDS("in").getType()).to.equal("COUNTER");
+			expect(i_rrd_data.getDS(1).getUnknownSec()).to.equal(126);
+			expect(i_rrd_data.getNrRRAs()).to.equal(2);
+			expect(i_rrd_data.getRRAInfo(1).getStep()).to.equal(600);
+			expect(i_rrd_data.getRRAInfo(0).getXFF()).to.equal(0.5);
+			expect(i_rrd_data.getRRAInfo(0).getCDPSecondaryValue(0)).to.equal(2);
+			var rra = i_rrd_data.getRRA(0);
+			expect(rra.getNrRows()).to.equal(3);
+			expect(rra.getEl(0, 1)).to.equal(undefined);
+			expect(rra.getEl(2, 1)).to.equal(6);
+			expect(function() {
+				rra.getEl(3, 0);
+			}).to.throw(RangeError);
+		});
+
+		it("should work with the filters and the Flot support", function() {
+			var RRDFilterOp = require("../lib/rrdFilter.js").RRDFilterOp;
+			var RRDFilterDS = require("../lib/rrdFilter.js").RRDFilterDS;
+			var rrdRRA2FlotObj = require("../lib/rrdFlotSupport.js").rrdRRA2FlotObj;
+			var i_rrd_data = new RRDFileFromXML(xml);
+			var sum = new RRDFilterOp(i_rrd_data, [{
+				getName: function() {
+					return "sum";
+				},
+				getDSNames: function() {
+					return ["in", "out"];
+				},
+				computeResult: function(val_list) {
+					return val_list[0] + val_list[1];
+				}
+			}]);
+			expect(sum.getRRA(0).getEl(1, 0)).to.equal(6);
+			expect(new RRDFilterDS(i_rrd_data, ["out"]).getRRA(0).getEl(2, 0)).to.equal(6);
+			var flot_obj = rrdRRA2FlotObj(i_rrd_data, 0, [0], true, true);
+			expect(flot_obj.data[0].data.length).to.equal(3);
+			expect(flot_obj.data[0].data[2][0]).to.equal(1233077700 * 1000);
+		});
+
+		it("should reject documents that are not dumps", function() {
+			expect(function() {
+				new RRDFileFromXML("<html></html>");
+			}).to.throw(InvalidRRD);
+		});
+	});
+
+	describe("xport and fetch output", function() {
+		var rrdParseXport = require("../lib/rrdFileTable.js").rrdParseXport;
+		var rrdParseFetch = require("../lib/rrdFileTable.js").rrdParseFetch;
+		var rrdRRAStackFlotObj = require("../lib/rrdFlotSupport.js").rrdRRAStackFlotObj;
+
+		it("should parse xport JSON", function() {
+			var xport = "{ about: 'RRDtool xport JSON output',\n" +
+				"  meta: { start: 1233077100, step: 300, end: 1233077700, rows: 3, columns: 2,\n" +
+				"    legend: [ 'in', 'out' ] },\n" +
+				"  data: [ [ 1.0e+00, null ], [ 2.0e+00, 4.0e+00 ], [ 3.0e+00, 6.0e+00 ] ]\n" +
+				"}";
+			var i_rrd_data = rrdParseXport(xport);
+			expect(i_rrd_data.getDSNames()).to.deep.equal(["in", "out"]);
+			expect(i_rrd_data.getLastUpdate()).to.equal(1233077700);
+			expect(i_rrd_data.getRRA(0).getEl(0, 1)).to.equal(undefined);
+			expect(i_rrd_data.getRRA(0).getEl(2, 1)).to.equal(6);
+			var flot_obj = rrdRRAStackFlotObj(i_rrd_data, 0, [0, 1], [], [], 0, true, true);
+			expect(flot_obj.data.length).to.equal(2);
+			expect(flot_obj.max).to.equal(1233077700 * 1000);
+		});
+
+		it("should keep the apostrophes and quotes inside the xport strings", function() {
+			var data = "  data: [ [ 1.0e+00, 2.0e+00 ] ]\n}";
+			var i_rrd_data = rrdParseXport("{ meta: { start: 0, step: 60, legend: [ \"Bob's load\", 'a \\'b\\' \"c\"' ] },\n" + data);
+			expect(i_rrd_data.getDSNames()).to.deep.equal(["Bob's load", "a 'b' \"c\""]);
+			expect(i_rrd_data.getRRA(0).getEl(0, 1)).to.equal(2);
+			expect(function() {
+				rrdParseXport("{ meta: { legend: [ 'a ] }, " + data);
+			}).to.throw(InvalidRRD);
+		});
+
+		it("should parse xport JSON with timestamps", function() {
+			var i_rrd_data = rrdParseXport({
+				meta: {start: 0, step: 60, legend: ["a"]},
+				data: [[120, 1], [180, "NaN"]]
+			}, {cf: "MAX"});
+			expect(i_rrd_data.getLastUpdate()).to.equal(180);
+			expect(i_rrd_data.getRRAInfo(0).getCFName()).to.equal("MAX");
+			expect(i_rrd_data.getRRA(0).getEl(1, 0)).to.equal(undefined);
+		});
+
+		it("should parse fetch output", function() {
+			var fetch = "                          in                  out\n\n" +
+				"1233077100: 1.0000000000e+00 -nan\n" +
+				"1233077400: 2.0000000000e+00 4.0000000000e+00\n" +
+				"1233077700: 3.0000000000e+00 6.0000000000e+00\n";
+			var i_rrd_data = rrdParseFetch(fetch);
+			expect(i_rrd_data.getMinStep()).to.equal(300);
+			expect(i_rrd_data.getLastUpdate()).to.equal(1233077700);
+			expect(i_rrd_data.getRRA(0).getNrRows()).to.equal(3);
+			expect(i_rrd_data.getRRA(0).getEl(0, 1)).to.equal(undefined);
+			expect(i_rrd_data.getDS("out").getIdx()).to.equal(1);
+			expect(function() {
+				rrdParseFetch("in\n\n100: 1\n200: 2\n400: 3\n");
+			}).to.throw(InvalidRRD);
+		});
+	});
+
+	describe("export", function() {
+		var rrdExport = require("../lib/rrdExport.js");
+		var rrdParseXport = require("../lib/rrdFileTable.js").rrdParseXport;
+		var RRDFileFromXML = require("../lib/rrdFileXML.js").RRDFileFromXML;
+		var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+		var rra = i_rrd_data.getRRA(1);
+		var step = rra.getStep();
+		var last_row = i_rrd_data.getLastUpdate() - i_rrd_data.getLastUpdate() % step;
+
+		it("should export CSV limited to a time range", function() {
+			var csv = rrdExport.rrdExportCSV(i_rrd_data, 1, ["Oscilator", 3], {start: last_row - 2 * step});
+			var lines = csv.trim().split("\n");
+			expect(lines[0]).to.equal("timestamp,Oscilator,SignChanger");
+			expect(lines.length).to.equal(4);
+			var last = rra.getNrRows() - 1;
+			var el = rra.getEl(last, 0);
+			expect(lines[3]).to.equal(last_row + "," + ((el === undefined) ? "" : el) + "," +
+				((rra.getEl(last, 3) === undefined) ? "" : rra.getEl(last, 3)));
+		});
+
+		it("should export rows at the timestamps they are plotted at", function() {
+			var rrdRRAStackFlotObj = require("../lib/rrdFlotSupport.js").rrdRRAStackFlotObj;
+			var points = rrdRRAStackFlotObj(i_rrd_data, 1, [], [], ["Oscilator"], 0, true, true).data[0].data;
+			var lines = rrdExport.rrdExportCSV(i_rrd_data, 1, ["Oscilator"], {start: points[3][0] / 1000, end: points[7][0] / 1000}).trim().split("\n");
+			expect(lines.slice(1).map(function(line) {
+				return Number(line.split(",")[0]) * 1000;
+			})).to.deep.equal(points.slice(3, 8).map(function(point) {
+				return point[0];
+			}));
+		});
+
+		it("should export JSON that can be read back", function() {
+			var json = rrdExport.rrdExportJSON(i_rrd_data, 1, ["BrokenLine"]);
+			var copy = rrdParseXport(json);
+			expect(copy.getLastUpdate()).to.equal(last_row);
+			expect(copy.getRRA(0).getNrRows()).to.equal(rra.getNrRows());
+			for (var row = 0; row < rra.getNrRows(); row++) {
+				expect(copy.getRRA(0).getEl(row, 0)).to.equal(rra.getEl(row, 1));
+			}
+		});
+
+		it("should export dump XML that can be read back, also from filters", function() {
+			var RRDFilterOp = require("../lib/rrdFilter.js").RRDFilterOp;
+			var filtered = new RRDFilterOp(i_rrd_data, ["Oscilator", "Discontinue"]);
+			var xml = rrdExport.rrdExportXML(filtered, 1);
+			expect(xml).to.contain("<type> GAUGE </type>");
+			var copy = new RRDFileFromXML(xml);
+			expect(copy.getDSNames()).to.deep.equal(["Oscilator", "Discontinue"]);
+			expect(copy.getRRAInfo(0).getPdpPerRow()).to.equal(i_rrd_data.getRRAInfo(1).getPdpPerRow());
+			for (var row = 0; row < rra.getNrRows(); row++) {
+				// rrdtool dumps 10 decimal digits
+				var el = rra.getEl(row, 2);
+				if (el === undefined) {
+					expect(copy.getRRA(0).getEl(row, 1)).to.equal(undefined);
+				} else {
+					expect(copy.getRRA(0).getEl(row, 1)).to.be.closeTo(el, Math.abs(el) * 1e-9);
+				}
+			}
+		});
+
+		it("should export the rows of stitched RRAs at their own step", function() {
+			var RRDFilterStitch = require("../lib/rrdFilter.js").RRDFilterStitch;
+			var stitched = new RRDFilterStitch(i_rrd_data, ["AVERAGE"]);
+			var stitched_rra = stitched.getRRA(0);
+			var nr_rows = stitched_rra.getNrRows();
+			var lines = rrdExport.rrdExportCSV(stitched, 0, ["BrokenLine"]).trim().split("\n");
+			expect(lines.length).to.equal(nr_rows + 1);
+			expect(lines[1].split(",")[0]).to.equal(String(stitched_rra.getTimestamp(0)));
+			expect(lines[nr_rows].split(",")[0]).to.equal(String(stitched_rra.getTimestamp(nr_rows - 1)));
+
+			// one RRA per step, each one ending at the last update
+			var copy = new RRDFileFromXML(rrdExport.rrdExportXML(stitched, 0, ["BrokenLine"]));
+			var steps = {};
+			for (var row = 0; row < nr_rows; row++) {
+				steps[stitched_rra.getRowStep(row)] = true;
+			}
+			expect(copy.getNrRRAs()).to.equal(Object.keys(steps).length);
+			expect(copy.getNrRRAs()).to.be.above(1);
+			[0, Math.floor(nr_rows / 2), nr_rows - 1].forEach(function(row) {
+				var timestamp = stitched_rra.getTimestamp(row);
+				var el = stitched_rra.getEl(row, 1);
+				var copy_rra = null;
+				for (var r = 0; r < copy.getNrRRAs(); r++) {
+					if (copy.getRRA(r).getStep() == stitched_rra.getRowStep(row)) copy_rra = copy.getRRA(r);
+				}
+				var copy_step = copy_rra.getStep();
+				var last_ts = copy.getLastUpdate() - copy.getLastUpdate() % copy_step;
+				var copy_el = copy_rra.getEl(copy_rra.getNrRows() - 1 - (last_ts - timestamp) / copy_step, 0);
+				if (el === undefined) {
+					expect(copy_el).to.equal(undefined);
+				} else {
+					expect(copy_el).to.be.closeTo(el, Math.abs(el) * 1e-9);
+				}
+			});
+		});
+	});
+
+	describe("binary writer", function() {
+		var rrdWriteBinary = require("../lib/rrdWriter.js").rrdWriteBinary;
+		var DataViewBinaryFile = require("../lib/binaryXHR.js").DataViewBinaryFile;
+		var layouts = [
+			{int_width: 8, float_align: 8},
+			{int_width: 4, float_align: 8},
+			{int_width: 4, float_align: 4},
+			{int_width: 8, float_align: 8, big_endian: true},
+			{int_width: 4, float_align: 8, big_endian: true},
+			{int_width: 4, float_align: 4, big_endian: true}
+		];
+		var expect_same = function(a, b) {
+			expect(b.getDSNames()).to.deep.equal(a.getDSNames());
+			expect(b.getLastUpdate()).to.equal(a.getLastUpdate());
+			expect(b.getMinStep()).to.equal(a.getMinStep());
+			expect(b.getNrRRAs()).to.equal(a.getNrRRAs());
+			for (var i = 0; i < a.getNrRRAs(); i++) {
+				var rra_a = a.getRRA(i), rra_b = b.getRRA(i);
+				expect(rra_b.getCFName()).to.equal(rra_a.getCFName());
+				expect(rra_b.getStep()).to.equal(rra_a.getStep());
+				expect(rra_b.getNrRows()).to.equal(rra_a.getNrRows());
+				for (var row = 0; row < rra_a.getNrRows(); row++) {
+					for (var d = 0; d < a.getNrDSs(); d++) {
+						expect(rra_b.getEl(row, d)).to.equal(rra_a.getEl(row, d));
+					}
+				}
+			}
+		};
+
+		it("should write files that read back the same, in every layout", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example_openwrt.rrd"));
+			layouts.forEach(function(layout) {
+				var copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(i_rrd_data, layout)));
+				expect(copy.rrd_header.int_width).to.equal(layout.int_width);
+				expect(copy.rrd_header.float_align).to.equal(layout.float_align);
+				expect(copy.bf.switch_endian).to.equal(layout.big_endian === true);
+				expect_same(i_rrd_data, copy);
+				expect(copy.getDS(0).getHeartbeat()).to.equal(120);
+				expect(copy.getDS(0).getLastDS()).to.equal("30");
+				expect(copy.getDS(0).getUnknownSec()).to.equal(46);
+				expect(copy.getRRAInfo(0).getXFF()).to.equal(i_rrd_data.getRRAInfo(0).getXFF());
+			});
+		});
+
+		it("should write filtered and summed views", function() {
+			var RRDFilterOp = require("../lib/rrdFilter.js").RRDFilterOp;
+			var RRDFileSum = require("../lib/rrdMultiFile.js").RRDFileSum;
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var filtered = new RRDFilterOp(i_rrd_data, ["BrokenLine", 0]);
+			var copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(filtered)));
+			expect(copy.getDS(1).getType()).to.equal("GAUGE");
+			expect_same(filtered, copy);
+			var sum = new RRDFileSum([i_rrd_data, i_rrd_data]);
+			expect_same(sum, new RRDFile(new DataViewBinaryFile(rrdWriteBinary(sum, layouts[5]))));
+		});
+
+		it("should keep the COMPUTE and Holt-Winters definitions", function() {
+			// see the tests above for how the buffers are patched
+			var buf = Buffer.from(fs.readFileSync("example_rrds/example3.rrd"));
+			var ds_idx = new RRDFile(BinaryFileFromBuffer(buf)).rrd_header.ds_def_idx + 4 * 120;
+			buf.fill(0, ds_idx + 20, ds_idx + 40);
+			buf.write("COMPUTE", ds_idx + 20, "latin1");
+			[[1, 0], [1, 1], [8, 0], [32, 0]].forEach(function(node, i) {
+				buf.writeUInt8(node[0], ds_idx + 40 + i * 4);
+				buf.writeInt16LE(node[1], ds_idx + 40 + i * 4 + 2);
+			});
+			var copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(new RRDFile(BinaryFileFromBuffer(buf)), layouts[4])));
+			expect(copy.getDS(4).getRPNExpression(copy.getDSNames())).to.equal("Oscilator,BrokenLine,+");
+			expect(copy.getDS(4).getHeartbeat()).to.equal(undefined);
+			expect(copy.getDS(3).getHeartbeat()).to.equal(1800);
+
+			buf = Buffer.from(fs.readFileSync("example_rrds/example1.rrd"));
+			var rra_def_idx = new RRDFile(BinaryFileFromBuffer(buf)).rrd_header.rra_def_idx + 2 * 108;
+			buf.fill(0, rra_def_idx, rra_def_idx + 20);
+			buf.write("FAILURES", rra_def_idx, "latin1");
+			buf.writeDoubleLE(3, rra_def_idx + 28 + 8);
+			buf.writeUInt32LE(1, rra_def_idx + 28 + 3 * 8);
+			buf.writeUInt32LE(7, rra_def_idx + 28 + 5 * 8);
+			buf.writeUInt32LE(9, rra_def_idx + 28 + 4 * 8);
+			copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(new RRDFile(BinaryFileFromBuffer(buf)), layouts[3])));
+			expect(copy.getRRAInfo(2).getCFName()).to.equal("FAILURES");
+			expect(copy.getRRAInfo(2).getDeltaPos()).to.equal(3);
+			expect(copy.getRRAInfo(2).getDependentRRAIdx()).to.equal(1);
+			expect(copy.getRRAInfo(2).getFailureThreshold()).to.equal(7);
+			expect(copy.getRRAInfo(2).getWindowLength()).to.equal(9);
+		});
+	});
+
+	describe("in-memory RRDs", function() {
+		var RRDMemFile = require("../lib/rrdMemFile.js").RRDMemFile;
+		var rows = function(rra, ds_idx) {
+			var out = [];
+			for (var row = 0; row < rra.getNrRows(); row++) {
+				var el = rra.getEl(row, ds_idx);
+				out.push((el === undefined) ? null : el);
+			}
+			return out;
+		};
+
+		it("should consolidate rows like rrdtool", function() {
+			var i_rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"], [
+				"RRA:AVERAGE:0.5:1:10", "RRA:AVERAGE:0.5:3:5", "RRA:MAX:0.5:3:5",
+				{cf: "MIN", xff: 0.5, steps: 3, rows: 5}
+			], 0);
+			for (var i = 1; i <= 10; i++) {
+				i_rrd_data.update(i * 300, [i]);
+			}
+			expect(rows(i_rrd_data.getRRA(0), 0)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+			expect(rows(i_rrd_data.getRRA(1), 0)).to.deep.equal([null, null, 2, 5, 8]);
+			expect(rows(i_rrd_data.getRRA(2), 0)).to.deep.equal([null, null, 3, 6, 9]);
+			expect(rows(i_rrd_data.getRRA(3), 0)).to.deep.equal([null, null, 1, 4, 7]);
+			expect(i_rrd_data.getRRAInfo(1).getCDPValue(0)).to.equal(10);
+		});
+
+		it("should interpolate updates that are not on PDP boundaries", function() {
+			var i_rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"], ["RRA:AVERAGE:0.5:1:3"], 0);
+			i_rrd_data.update(150, [10]);
+			i_rrd_data.update(450, [20]);
+			i_rrd_data.update(600, [30]);
+			// first PDP: 150s at 10 and 150s at 20, second one: 150s at 20 and 150s at 30
+			expect(rows(i_rrd_data.getRRA(0), 0)).to.deep.equal([null, 15, 25]);
+		});
+
+		it("should compute counter rates and honor min, max and heartbeat", function() {
+			var i_rrd_data = new RRDMemFile(60, ["DS:in:COUNTER:120:0:1000000", "DS:g:GAUGE:120:0:100"], ["RRA:AVERAGE:0.5:1:6"], 0);
+			i_rrd_data.update(60, [1000, 50]);
+			i_rrd_data.update(120, [1600, 500]);
+			i_rrd_data.update(180, [2200, 40]);
+			i_rrd_data.update(240, [100, 40]); // counter wrap, gives a too high rate
+			i_rrd_data.update(420, [700, 40]); // after the heartbeat
+			// 7 PDPs in 6 rows, the first one (unknown for the counter, 50 for the gauge) is gone
+			expect(rows(i_rrd_data.getRRA(0), 0)).to.deep.equal([10, 10, null, null, null, null]);
+			expect(rows(i_rrd_data.getRRA(0), 1)).to.deep.equal([null, 40, 40, null, null, null]);
+			expect(i_rrd_data.getDS(0).getLastDS()).to.equal("700");
+		});
+
+		it("should apply the xff", function() {
+			var i_rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"], ["RRA:AVERAGE:0.5:4:2"], 0);
+			[4, "U", 8, "U", "U", "U", 5, "U"].forEach(function(val, i) {
+				i_rrd_data.update((i + 1) * 300, [val]);
+			});
+			// 2 unknown PDPs out of 4 are fine, 3 are not
+			expect(rows(i_rrd_data.getRRA(0), 0)).to.deep.equal([6, null]);
+		});
+
+		it("should refuse updates in the past", function() {
+			var i_rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"], ["RRA:AVERAGE:0.5:1:3"], 1000);
+			expect(function() {
+				i_rrd_data.update(1000, [1]);
+			}).to.throw(RangeError);
+			expect(function() {
+				i_rrd_data.update(1300, [1, 2]);
+			}).to.throw(RangeError);
+		});
+
+		it("should round-trip through the binary writer and parser", function() {
+			var rrdWriteBinary = require("../lib/rrdWriter.js").rrdWriteBinary;
+			var DataViewBinaryFile = require("../lib/binaryXHR.js").DataViewBinaryFile;
+			var i_rrd_data = new RRDMemFile(60, ["DS:in:COUNTER:120:0:U", "DS:g:GAUGE:120:U:U"],
+				["RRA:AVERAGE:0.5:1:20", "RRA:MAX:0.5:5:4"], 1000);
+			for (var t = 1060; t < 2200; t += 30) {
+				i_rrd_data.update(t, [t * 3, Math.sin(t)]);
+			}
+			var copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(i_rrd_data)));
+			expect(copy.getDSNames()).to.deep.equal(["in", "g"]);
+			expect(copy.getLastUpdate()).to.equal(i_rrd_data.getLastUpdate());
+			expect(copy.getDS(0).getHeartbeat()).to.equal(120);
+			expect(copy.getDS(0).getLastDS()).to.equal(String(2170 * 3));
+			for (var i = 0; i < 2; i++) {
+				for (var d = 0; d < 2; d++) {
+					expect(rows(copy.getRRA(i), d)).to.deep.equal(rows(i_rrd_data.getRRA(i), d));
+				}
+			}
+			expect(rows(copy.getRRA(0), 0)[19]).to.equal(3);
+		});
+	});
+
+	describe("fetch", function() {
+		var RRDMemFile = require("../lib/rrdMemFile.js").RRDMemFile;
+		var i_rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"],
+			["RRA:AVERAGE:0.5:1:5", "RRA:AVERAGE:0.5:3:10", "RRA:MAX:0.5:1:5"], 0);
+		for (var i = 1; i <= 10; i++) {
+			i_rrd_data.update(i * 300, [i]);
+		}
+
+		it("should choose the RRA with the closest step covering start", function() {
+			var res = i_rrd_data.fetch("AVERAGE", 2000, 3000);
+			expect(res.rra_idx).to.equal(0);
+			expect(res.step).to.equal(300);
+			expect(res.start).to.equal(1800);
+			expect(res.end).to.equal(3300);
+			expect(res.ds_names).to.deep.equal(["val"]);
+			expect(res.rows).to.deep.equal([[2100, 7], [2400, 8], [2700, 9], [3000, 10], [3300, undefined]]);
+
+			res = i_rrd_data.fetch("AVERAGE", 2000, 3000, 900);
+			expect(res.rra_idx).to.equal(1);
+			expect(res.rows).to.deep.equal([[2700, 8], [3600, undefined]]);
+		});
+
+		it("should prefer an RRA covering start over a finer one", function() {
+			var res = i_rrd_data.fetch("AVERAGE", 600, 3000, 300);
+			expect(res.rra_idx).to.equal(1);
+			expect(res.start).to.equal(0);
+			expect(res.rows).to.deep.equal([[900, 2], [1800, 5], [2700, 8], [3600, undefined]]);
+			// no RRA covers start, use the one covering most of the interval
+			res = i_rrd_data.fetch("MAX", 0, 3000);
+			expect(res.rra_idx).to.equal(2);
+			expect(res.rows[4]).to.deep.equal([1500, undefined]);
+			expect(res.rows[5]).to.deep.equal([1800, 6]);
+		});
+
+		it("should reject unknown CFs and empty intervals", function() {
+			expect(function() {
+				i_rrd_data.fetch("MIN", 0, 3000);
+			}).to.throw(RangeError);
+			expect(function() {
+				i_rrd_data.fetch("AVERAGE", 3000, 3000);
+			}).to.throw(RangeError);
+		});
+
+		it("should stitch RRAs for Flot, using the finest one for each period", function() {
+			var rrdAutoRRAStackFlotObj = require("../lib/rrdFlotSupport.js").rrdAutoRRAStackFlotObj;
+			var flot_obj = rrdAutoRRAStackFlotObj(i_rrd_data, "AVERAGE", undefined, undefined, [], [], ["val"], 0, true, true);
+			expect(flot_obj.rra_idx).to.equal(1);
+			expect(flot_obj.min).to.equal(-5400000);
+			expect(flot_obj.max).to.equal(3000000);
+			expect(flot_obj.data[0].label).to.equal("val");
+			expect(flot_obj.data[0].data).to.deep.equal([[900000, 2], [1800000, 6], [2100000, 7],
+				[2400000, 8], [2700000, 9], [3000000, 10]]);
+			// zoomed into the period covered by the finest RRA
+			flot_obj = rrdAutoRRAStackFlotObj(i_rrd_data, "AVERAGE", 2000, 3000, [], [], ["val"], 0, true, true);
+			expect(flot_obj.rra_idx).to.equal(0);
+			expect(flot_obj.data[0].data.length).to.equal(5);
+			// and into an older one
+			flot_obj = rrdAutoRRAStackFlotObj(i_rrd_data, "AVERAGE", 0, 1000, [], [], ["val"], 0, true, true);
+			expect(flot_obj.rra_idx).to.equal(1);
+			expect(flot_obj.data[0].data).to.deep.equal([[900000, 2], [1800000, 5], [2700000, 8]]);
+		});
+
+		it("should stitch RRAs with a filter", function() {
+			var RRDFilterStitch = require("../lib/rrdFilter.js").RRDFilterStitch;
+			var rrdRRA2FlotObj = require("../lib/rrdFlotSupport.js").rrdRRA2FlotObj;
+			var stitched = new RRDFilterStitch(i_rrd_data);
+			expect(stitched.getNrRRAs()).to.equal(2);
+			expect(stitched.getRRAInfo(1).getCFName()).to.equal("MAX");
+
+			var rra = new RRDFilterStitch(i_rrd_data, ["AVERAGE"]).getRRA(0);
+			expect(rra.getNrRows()).to.equal(13);
+			expect(rra.getStep()).to.equal(300);
+			expect(rra.getTimestamp(0)).to.equal(-5400);
+			expect(rra.getRowStep(7)).to.equal(900);
+			expect(rra.getTimestamp(8)).to.equal(1800);
+			expect(rra.getRowStep(8)).to.equal(300);
+			expect(rra.getEl(7, 0)).to.equal(2);
+			expect(rra.getEl(12, 0)).to.equal(10);
+			expect(function() {
+				rra.getEl(13, 0);
+			}).to.throw(RangeError);
+
+			var flot_obj = rrdRRA2FlotObj(stitched, 0, ["val"]);
+			expect(flot_obj.min).to.equal(-5400000);
+			expect(flot_obj.data[0].data.slice(0, 3)).to.deep.equal([[900000, 2], [1800000, 6], [2100000, 7]]);
+		});
+
+		it("should give the same result on a binary file", function() {
+			var rrdWriteBinary = require("../lib/rrdWriter.js").rrdWriteBinary;
+			var DataViewBinaryFile = require("../lib/binaryXHR.js").DataViewBinaryFile;
+			var copy = new RRDFile(new DataViewBinaryFile(rrdWriteBinary(i_rrd_data)));
+			expect(copy.fetch("AVERAGE", 600, 3000)).to.deep.equal(i_rrd_data.fetch("AVERAGE", 600, 3000));
+		});
+	});
+
+	describe("time based access", function() {
+		var RRDMemFile = require("../lib/rrdMemFile.js").RRDMemFile;
+		function mem_rrd(last, val) {
+			var rrd_data = new RRDMemFile(300, ["DS:val:GAUGE:600:U:U"], ["RRA:AVERAGE:0.5:1:5"], 0);
+			for (var i = 1; i * 300 <= last; i++) {
+				rrd_data.update(i * 300, [(val !== undefined) ? val : i]);
+			}
+			return rrd_data;
+		}
+
+		it("should map rows to timestamps and back", function() {
+			var rra = mem_rrd(3000).getRRA(0);
+			expect(rra.getTimestamp(0)).to.equal(1800);
+			expect(rra.getTimestamp(4)).to.equal(3000);
+			expect(rra.getRowForTime(1800)).to.equal(0);
+			expect(rra.getRowForTime(1700)).to.equal(0);
+			expect(rra.getRowForTime(1801)).to.equal(1);
+			expect(rra.getRowForTime(1500)).to.equal(-1);
+			expect(rra.getRowForTime(3001)).to.equal(-1);
+			expect(rra.getElAt(2000, 0)).to.equal(7);
+			expect(rra.getElAt(100, 0)).to.equal(undefined);
+			expect(function() {
+				rra.getTimestamp(5);
+			}).to.throw(RangeError);
+
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example1.rrd"));
+			var last_update = i_rrd_data.getLastUpdate();
+			var file_rra = i_rrd_data.getRRA(0);
+			var step = file_rra.getStep();
+			var last_row = file_rra.getNrRows() - 1;
+			expect(file_rra.getTimestamp(last_row)).to.equal(last_update - last_update % step);
+			expect(file_rra.getRowForTime(last_update - last_update % step - step)).to.equal(last_row - 1);
+		});
+
+		it("should iterate over the rows", function() {
+			var it = mem_rrd(3000).getRRA(0).getRowIterator(3);
+			expect(it.next().value).to.deep.equal({timestamp: 2700, values: [9]});
+			expect(it.next().value).to.deep.equal({timestamp: 3000, values: [10]});
+			expect(it.next().done).to.equal(true);
+		});
+
+		it("should keep the timestamps through the filters", function() {
+			var rrdFilter = require("../lib/rrdFilter.js");
+			var rrd_data = mem_rrd(3000);
+			var ds_rra = new rrdFilter.RRDFilterDS(rrd_data, ["val"]).getRRA(0);
+			expect(ds_rra.getTimestamp(0)).to.equal(1800);
+			expect(ds_rra.getElAt(2000, 0)).to.equal(7);
+
+			var shift_rra = new rrdFilter.RRAFilterShift(rrd_data, 1, [0]).getRRA(0);
+			expect(shift_rra.getTimestamp(0)).to.equal(1800 + 3600);
+			expect(shift_rra.getElAt(2000 + 3600, 0)).to.equal(7);
+
+			var avg_rra = new rrdFilter.RRDRRAFilterAvg(rrd_data, [new rrdFilter.RRDRRAFltAvgOpNewStep(0, 600)]).getRRA(0);
+			expect(avg_rra.getNrRows()).to.equal(2);
+			expect(avg_rra.getTimestamp(1)).to.equal(2700);
+			expect(avg_rra.getElAt(2600, 0)).to.equal(8.5);
+
+			var stitched_rra = new rrdFilter.RRDFilterStitch(rrd_data).getRRA(0);
+			expect(stitched_rra.getRowForTime(2000)).to.equal(1);
+		});
+
+		it("should align the files of a sum by timestamp", function() {
+			var RRDFileSum = require("../lib/rrdMultiFile.js").RRDFileSum;
+			var sum = new RRDFileSum([mem_rrd(2700, 10), mem_rrd(3000, 1)]);
+			expect(sum.getLastUpdate()).to.equal(3000);
+			var rra = sum.getRRA(0);
+			expect(rra.getTimestamp(0)).to.equal(1800);
+			expect(rra.getEl(0, 0)).to.equal(11);
+			expect(rra.getElFast(4, 0)).to.equal(1);
+			expect(new RRDFileSum([mem_rrd(2700, 10), mem_rrd(3000, 1)], false).getRRA(0).getEl(4, 0)).to.equal(undefined);
+		});
+
+		it("should shift the Flot series only once", function() {
+			var rrdFilter = require("../lib/rrdFilter.js");
+			var rrdDS2FlotSeries = require("../lib/rrdFlotSupport.js").rrdDS2FlotSeries;
+			// 5 hours is not a multiple of the 8 hours step of RRA 2
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var shifted = new rrdFilter.RRAFilterShift(i_rrd_data, -5, [2]);
+			var last_update = i_rrd_data.getLastUpdate() - 5 * 3600;
+			[false, true].forEach(function(want_rounding) {
+				var last_el = want_rounding ? last_update - (last_update % 28800) : last_update;
+				var series = rrdDS2FlotSeries(shifted, 0, 2, want_rounding);
+				expect(series.max).to.equal(last_el * 1000);
+				expect(series.min).to.equal((last_el - (shifted.getRRA(2).getNrRows() - 1) * 28800) * 1000);
+			});
+		});
+	});
+
+	describe("HTTP loading", function() {
+		var binaryXHR = require("../lib/binaryXHR.js");
+		var loadRRD = require("../lib/rrdFile.js").loadRRD;
+		var answer, requests;
+		// XMLHttpRequest stand-in, answering each request as described by answer
+		function FakeXHR() {
+			this.headers = {};
+			requests.push(this);
+		}
+		FakeXHR.prototype.open = function(method, url, async) {
+			this.url = url;
+			this.async = async;
+		};
+		FakeXHR.prototype.setRequestHeader = function(name, value) {
+			this.headers[name] = value;
+		};
+		FakeXHR.prototype.abort = function() {
+			if (this.onabort) this.onabort();
+		};
+		FakeXHR.prototype.send = function() {
+			var request = this;
+			setImmediate(function() {
+				if (answer.event == "load") {
+					request.status = answer.status;
+					request.statusText = answer.status_text;
+					request.response = answer.response;
+					request.onload();
+				} else if (answer.event == "error") {
+					request.onerror();
+				} else if (answer.event == "timeout") {
+					request.ontimeout();
+				}
+				// "hang" never answers
+			});
+		};
+
+		function file_buffer(path) {
+			var buf = fs.readFileSync(path);
+			return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+		}
+		function rejection(promise) {
+			return promise.then(function() {
+				throw new Error("The promise was not rejected.");
+			}, function(err) {
+				return err;
+			});
+		}
+
+		var saved_xhr;
+		beforeEach(function() {
+			saved_xhr = global.XMLHttpRequest;
+			global.XMLHttpRequest = FakeXHR;
+			requests = [];
+		});
+		afterEach(function() {
+			global.XMLHttpRequest = saved_xhr;
+		});
+
+		it("should load and parse a RRD file", function() {
+			answer = {event: "load", status: 200, status_text: "OK", response: file_buffer("example_rrds/example3.rrd")};
+			return loadRRD("example3.rrd", {timeout: 500}).then(function(i_rrd_data) {
+				expect(i_rrd_data.getNrDSs()).to.equal(5);
+				expect(requests.length).to.equal(1);
+				expect(requests[0].url).to.equal("example3.rrd");
+				expect(requests[0].async).to.equal(true);
+				expect(requests[0].responseType).to.equal("arraybuffer");
+				expect(requests[0].timeout).to.equal(500);
+			});
+		});
+
+		it("should accept status 0 for local files", function() {
+			answer = {event: "load", status: 0, status_text: "", response: file_buffer("example_rrds/example1.rrd")};
+			return binaryXHR.FetchBinaryURLPromise("file:///example1.rrd").then(function(bf) {
+				expect(bf.getLength()).to.equal(answer.response.byteLength);
+			});
+		});
+
+		it("should reject on HTTP errors", function() {
+			answer = {event: "load", status: 404, status_text: "Not Found", response: null};
+			return rejection(loadRRD("missing.rrd")).then(function(err) {
+				expect(err).to.be.an.instanceof(binaryXHR.FetchStatusError);
+				expect(err.status).to.equal(404);
+				expect(err.url).to.equal("missing.rrd");
+			});
+		});
+
+		it("should reject on network errors and timeouts", function() {
+			answer = {event: "error"};
+			return rejection(binaryXHR.FetchBinaryURLPromise("example3.rrd")).then(function(err) {
+				expect(err).to.be.an.instanceof(binaryXHR.FetchNetworkError);
+				answer = {event: "timeout"};
+				return rejection(loadRRD("example3.rrd", {timeout: 100}));
+			}).then(function(err) {
+				expect(err).to.be.an.instanceof(binaryXHR.FetchTimeoutError);
+				expect(err.timeout).to.equal(100);
+			});
+		});
+
+		it("should reject when aborted", function() {
+			answer = {event: "hang"};
+			var controller = new AbortController();
+			var promise = rejection(loadRRD("example3.rrd", {signal: controller.signal}));
+			controller.abort();
+			return promise.then(function(err) {
+				expect(err).to.be.an.instanceof(binaryXHR.FetchAbortError);
+				// an already aborted signal does not even send the request
+				return rejection(binaryXHR.FetchBinaryURLPromise("example3.rrd", {signal: controller.signal}));
+			}).then(function(err) {
+				expect(err).to.be.an.instanceof(binaryXHR.FetchAbortError);
+				expect(requests.length).to.equal(1);
+			});
+		});
+
+		it("should reject content that is not a RRD", function() {
+			answer = {event: "load", status: 200, status_text: "OK", response: new ArrayBuffer(64)};
+			return rejection(loadRRD("empty.rrd")).then(function(err) {
+				expect(err).to.be.an.instanceof(InvalidRRD);
+			});
+		});
+	});
+
+	describe("bulk access", function() {
+		// getColumn must return what getEl does, with NaN for undefined
+		function element_column(rra, ds_idx) {
+			var out = [];
+			for (var i = 0; i < rra.getNrRows(); i++) {
+				var el = rra.getEl(i, ds_idx);
+				out.push((el === undefined) ? NaN : el);
+			}
+			return out;
+		}
+
+		it("should read whole columns of a binary file", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			for (var r = 0; r < i_rrd_data.getNrRRAs(); r++) {
+				var rra = i_rrd_data.getRRA(r);
+				for (var d = 0; d < rra.getNrDSs(); d++) {
+					var column = rra.getColumn(d);
+					expect(column).to.be.an.instanceof(Float64Array);
+					expect(Array.prototype.slice.call(column)).to.deep.equal(element_column(rra, d));
+				}
+			}
+			var rra0 = i_rrd_data.getRRA(0);
+			expect(Array.prototype.slice.call(rra0.getColumn(1, 10, 20))).to.deep.equal(element_column(rra0, 1).slice(10, 20));
+			var rows = rra0.getRows(10, 12);
+			expect(rows.length).to.equal(2);
+			expect(rows[1][1]).to.deep.equal(element_column(rra0, 1)[11]);
+			expect(function() {
+				rra0.getColumn(0, 0, rra0.getNrRows() + 1);
+			}).to.throw(RangeError);
+			expect(function() {
+				rra0.getColumn(5);
+			}).to.throw(RangeError);
+		});
+
+		it("should propagate columns through the filters and sums", function() {
+			var rrdFilter = require("../lib/rrdFilter.js");
+			var RRDFileSum = require("../lib/rrdMultiFile.js").RRDFileSum;
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var sum_op = new rrdFilter.RRDFilterOp(i_rrd_data, [{
+				getName: function() {
+					return "sum";
+				},
+				getDSNames: function() {
+					return ["Oscilator", "PartialAvail"];
+				},
+				computeResult: function(val_list) {
+					if ((val_list[0] === undefined) || (val_list[1] === undefined)) return undefined;
+					return val_list[0] + val_list[1];
+				}
+			}, "BrokenLine"]);
+			var avg = new rrdFilter.RRDRRAFilterAvg(i_rrd_data, [new rrdFilter.RRDRRAFltAvgOpNewStep(0, i_rrd_data.getRRA(0).getStep() * 4)]);
+			var file_sum = new RRDFileSum([i_rrd_data, new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"))], false);
+			[sum_op.getRRA(0), avg.getRRA(0), file_sum.getRRA(0), new rrdFilter.RRDFilterStitch(i_rrd_data).getRRA(0)].forEach(function(rra) {
+				for (var d = 0; d < rra.getNrDSs(); d++) {
+					expect(Array.prototype.slice.call(rra.getColumn(d))).to.deep.equal(element_column(rra, d));
+				}
+			});
+		});
+
+		it("should filter RRDFile-like objects with no time based or bulk access", function() {
+			var rrdFilter = require("../lib/rrdFilter.js");
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			// only the methods of the original interface
+			var basic_file = Object.create(i_rrd_data);
+			basic_file.getRRA = function(idx) {
+				var rra = i_rrd_data.getRRA(idx);
+				return {
+					getIdx: rra.getIdx.bind(rra),
+					getNrRows: rra.getNrRows.bind(rra),
+					getNrDSs: rra.getNrDSs.bind(rra),
+					getStep: rra.getStep.bind(rra),
+					getCFName: rra.getCFName.bind(rra),
+					getEl: rra.getEl.bind(rra),
+					getElFast: rra.getElFast.bind(rra)
+				};
+			};
+			var filters = function(rrd_file) {
+				return [
+					new rrdFilter.RRDFilterDS(rrd_file, ["BrokenLine"]).getRRA(1),
+					new rrdFilter.RRDFilterOp(rrd_file, ["BrokenLine"]).getRRA(1),
+					new rrdFilter.RRAFilterShift(rrd_file, -5, [1]).getRRA(1),
+					new rrdFilter.RRDRRAFilterAvg(rrd_file, [new rrdFilter.RRDRRAFltAvgOpNewStep(1, 2700 * 2)]).getRRA(0),
+					new rrdFilter.RRDFilterStitch(rrd_file).getRRA(0)
+				];
+			};
+			var expected = filters(i_rrd_data);
+			filters(basic_file).forEach(function(rra, i) {
+				var last_row = rra.getNrRows() - 1;
+				expect(rra.getTimestamp(last_row)).to.equal(expected[i].getTimestamp(last_row));
+				expect(rra.getRowForTime(rra.getTimestamp(10))).to.equal(10);
+				expect(Array.prototype.slice.call(rra.getColumn(0))).to.deep.equal(Array.prototype.slice.call(expected[i].getColumn(0)));
+			});
+		});
+	});
+
+	describe("unknown values", function() {
+		var rrdParseXport = require("../lib/rrdFileTable.js").rrdParseXport;
+		var rrdFilter = require("../lib/rrdFilter.js");
+		// in: 1, unknown, 3, Inf   out: 2, 4, unknown, -Inf
+		function xport_rrd() {
+			return rrdParseXport({
+				meta: {start: 1233077100, step: 300, end: 1233078000, legend: ["in", "out"]},
+				data: [[1, 2], [null, 4], [3, "NaN"], ["Inf", "-Inf"]]
+			});
+		}
+
+		it("should tell unknown values from infinities and denormals in binary files", function() {
+			var BinaryFile = require("../lib/binaryXHR.js").BinaryFile;
+			var DataViewBinaryFile = require("../lib/binaryXHR.js").DataViewBinaryFile;
+			var doubles = new Float64Array([NaN, Infinity, -Infinity, 5e-324, -1e-310, 0, 1.5]);
+			var bytes = new Uint8Array(doubles.buffer);
+			var str = "";
+			for (var i = 0; i < bytes.length; i++) {
+				str += String.fromCharCode(bytes[i]);
+			}
+			[new BinaryFile(str), new DataViewBinaryFile(doubles.buffer)].forEach(function(bf) {
+				expect(bf.getDoubleAt(0)).to.equal(undefined);
+				expect(bf.getDoubleAt(8)).to.equal(Infinity);
+				expect(bf.getDoubleAt(16)).to.equal(-Infinity);
+				expect(bf.getDoubleAt(24)).to.equal(5e-324);
+				expect(bf.getDoubleAt(32)).to.equal(-1e-310);
+				expect(bf.getDoubleAt(40)).to.equal(0);
+				expect(bf.getDoubleAt(48)).to.equal(1.5);
+				expect(bf.getFastDoubleAt(0)).to.equal(undefined);
+				expect(bf.getFastDoubleAt(16)).to.equal(-Infinity);
+				expect(bf.getFastDoubleAt(32)).to.be.closeTo(-1e-310, 1e-313);
+				expect(Array.prototype.slice.call(bf.getDoubleArray(0, 3, 8))).to.deep.equal([NaN, Infinity, -Infinity]);
+			});
+		});
+
+		it("should keep the infinities in parsed and exported data", function() {
+			var rrdExportJSON = require("../lib/rrdExport.js").rrdExportJSON;
+			var rra = xport_rrd().getRRA(0);
+			expect(rra.getEl(1, 0)).to.equal(undefined);
+			expect(rra.getEl(2, 1)).to.equal(undefined);
+			expect(rra.getEl(3, 0)).to.equal(Infinity);
+			expect(rra.getEl(3, 1)).to.equal(-Infinity);
+			var copy = rrdParseXport(rrdExportJSON(xport_rrd(), 0));
+			expect(copy.getRRA(0).getEl(3, 1)).to.equal(-Infinity);
+			expect(copy.getRRA(0).getEl(1, 0)).to.equal(undefined);
+		});
+
+		it("should apply the unknown option of the filters and sums", function() {
+			var RRDFileSum = require("../lib/rrdMultiFile.js").RRDFileSum;
+			function avg_col(unknown) {
+				var options = (unknown !== undefined) ? {unknown: unknown} : undefined;
+				var rra = new rrdFilter.RRDRRAFilterAvg(xport_rrd(), [[0, 600]], options).getRRA(0);
+				return [rra.getEl(0, 0), rra.getEl(1, 0), rra.getEl(0, 1), rra.getEl(1, 1)];
+			}
+			expect(avg_col()).to.deep.equal([undefined, Infinity, 3, undefined]);
+			expect(avg_col("zero")).to.deep.equal([0.5, Infinity, 3, -Infinity]);
+			expect(avg_col("skip")).to.deep.equal([1, Infinity, 3, -Infinity]);
+
+			var plus = {
+				getName: function() {
+					return "sum";
+				},
+				getDSNames: function() {
+					return ["in", "out"];
+				},
+				computeResult: function(val_list) {
+					return val_list[0] + val_list[1];
+				}
+			};
+			// the NaN computed from undefined is returned as undefined
+			expect(new rrdFilter.RRDFilterOp(xport_rrd(), [plus]).getRRA(0).getEl(1, 0)).to.equal(undefined);
+			var zero_rra = new rrdFilter.RRDFilterOp(xport_rrd(), [plus], {unknown: "zero"}).getRRA(0);
+			expect(zero_rra.getEl(1, 0)).to.equal(4);
+			expect(zero_rra.getEl(3, 0)).to.equal(undefined); // Inf - Inf
+			expect(Array.prototype.slice.call(zero_rra.getColumn(0))).to.deep.equal([3, 4, 3, NaN]);
+
+			var sum_rra = new RRDFileSum([xport_rrd(), xport_rrd()], {unknown: "propagate"}).getRRA(0);
+			expect(sum_rra.getEl(1, 0)).to.equal(undefined);
+			expect(sum_rra.getEl(3, 0)).to.equal(Infinity);
+			expect(new RRDFileSum([xport_rrd(), xport_rrd()]).getRRA(0).getEl(1, 0)).to.equal(0);
+			expect(function() {
+				new RRDFileSum([xport_rrd()], {unknown: "ignore"}).getRRA(0).getEl(1, 0);
+			}).to.throw(RangeError);
+		});
+
+		it("should leave gaps in Flot for unknown and infinite values", function() {
+			var rrdRRA2FlotObj = require("../lib/rrdFlotSupport.js").rrdRRA2FlotObj;
+			var flot_obj = rrdRRA2FlotObj(xport_rrd(), 0, [0, 1], true, true);
+			expect(flot_obj.data[0].data.length).to.equal(2);
+			expect(flot_obj.data[1].data.length).to.equal(2);
+		});
+	});
+
+	describe("range requests", function() {
+		var RangeBinaryFile = require("../lib/binaryXHR.js").RangeBinaryFile;
+		// serves the ranges out of a local file, counting the requests
+		function range_file(path, block_size) {
+			var buf = fs.readFileSync(path);
+			var buffer = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+			var bf = new RangeBinaryFile(path, buffer.byteLength, {
+				block_size: block_size,
+				fetch_range_sync: function(url, start, end) {
+					bf.requests.push([start, end]);
+					return buffer.slice(start, end);
+				},
+				fetch_range: function(url, start, end) {
+					bf.async_requests.push([start, end]);
+					return Promise.resolve(buffer.slice(start, end));
+				}
+			});
+			bf.requests = [];
+			bf.async_requests = [];
+			return bf;
+		}
+
+		it("should only load the header and the rows that are read", function() {
+			var bf = range_file("example_rrds/example3.rrd", 4096);
+			var i_rrd_data = new RRDFile(bf);
+			var header_len = bf.getLoadedLength();
+			expect(header_len).to.be.below(bf.getLength());
+
+			var full_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var rra = i_rrd_data.getRRA(1);
+			expect(rra.getEl(3, 1)).to.equal(full_data.getRRA(1).getEl(3, 1));
+			expect(bf.getLoadedLength()).to.equal(header_len + 4096);
+
+			// the cached blocks are not requested again
+			var nr_requests = bf.requests.length;
+			rra.getEl(3, 0);
+			expect(bf.requests.length).to.equal(nr_requests);
+		});
+
+		it("should load a whole column with one request", function() {
+			var bf = range_file("example_rrds/example3.rrd", 1000);
+			var i_rrd_data = new RRDFile(bf);
+			var full_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var rra = i_rrd_data.getRRA(2);
+			var nr_requests = bf.requests.length;
+			var column = rra.getColumn(0);
+			expect(bf.requests.length).to.be.at.most(nr_requests + 2); // the rows may wrap around
+			expect(Array.prototype.slice.call(column)).to.deep.equal(Array.prototype.slice.call(full_data.getRRA(2).getColumn(0)));
+		});
+
+		it("should read values crossing block boundaries", function() {
+			var bf = range_file("example_rrds/example_openwrt.rrd", 1001);
+			var i_rrd_data = new RRDFile(bf);
+			var full_data = new RRDFile(FetchBinaryFile("example_rrds/example_openwrt.rrd"));
+			expect(i_rrd_data.getDSNames()).to.deep.equal(full_data.getDSNames());
+			var rra = i_rrd_data.getRRA(0), full_rra = full_data.getRRA(0);
+			for (var i = 0; i < rra.getNrRows(); i += 7) {
+				expect(rra.getEl(i, 0)).to.equal(full_rra.getEl(i, 0));
+			}
+		});
+
+		it("should report the bytes missing from short answers as out of range", function() {
+			var bf = range_file("example_rrds/example3.rrd", 1000);
+			var fetch_range_sync = bf.fetch_range_sync;
+			// the file shrank after its size was read
+			bf.fetch_range_sync = function(url, start, end) {
+				return fetch_range_sync(url, start, Math.min(end, 2500));
+			};
+			expect(bf.getByteAt(2499)).to.equal(fs.readFileSync("example_rrds/example3.rrd")[2499]);
+			expect(function() {
+				bf.getByteAt(2500);
+			}).to.throw(RangeError, "Offset (2500) out of range [0-2500).");
+			expect(function() {
+				bf.getDoubleAt(2496);
+			}).to.throw(RangeError, "out of range [0-2500).");
+			expect(function() {
+				bf.getLongAt(2998);
+			}).to.throw(RangeError, "out of range [0-2500).");
+		});
+
+		it("should prefetch an RRA without blocking", function() {
+			var bf = range_file("example_rrds/example3.rrd", 4096);
+			var i_rrd_data = new RRDFile(bf);
+			return i_rrd_data.prefetchRRA(1).then(function(rrd_data) {
+				expect(rrd_data).to.equal(i_rrd_data);
+				expect(bf.async_requests.length).to.equal(1);
+				var nr_requests = bf.requests.length;
+				i_rrd_data.getRRA(1).getColumn(1);
+				expect(bf.requests.length).to.equal(nr_requests);
+			});
+		});
+
+		describe("graphs", function() {
+			var bf, ctx, drawn;
+			// rrdFlot stand-in, reading the RRAs the way the graph would, and noting the synchronous requests meanwhile
+			function FakeFlot(html_id, rrd_data, graph_options, ds_graph_options, rrdflot_defaults) {
+				this.selected_rra = rrdflot_defaults.auto_rra ? "auto:AVERAGE" : rrdflot_defaults.rra;
+				this.read(rrd_data);
+			}
+			FakeFlot.prototype.read = function(rrd_data) {
+				var nr_requests = bf.requests.length;
+				var rra_list = (this.selected_rra === "auto:AVERAGE") ? [0, 1, 2] : [this.selected_rra];
+				for (var i = 0; i < rra_list.length; i++) {
+					rrd_data.getRRA(rra_list[i]).getColumn(0);
+				}
+				drawn.push(bf.requests.length - nr_requests);
+				if (this.on_drawn) this.on_drawn();
+			};
+			FakeFlot.prototype.updateRRDFile = FakeFlot.prototype.read;
+			FakeFlot.prototype.trigger = function() {};
+
+			beforeEach(function() {
+				drawn = [];
+				bf = range_file("example_rrds/example3.rrd", 4096);
+				ctx = browser_context(["binaryXHR.js", "rrdFile.js", "rrdFilter.js", "rrdFlotSupport.js", "rrdFlotAsync.js"], {
+					rrdFlot: FakeFlot,
+					alert: function(msg) {
+						throw new Error(msg);
+					}
+				});
+				ctx.FetchBinaryURLRange = function() {
+					return Promise.resolve(bf);
+				};
+			});
+
+			// resolves once the graph drew count times
+			function when_drawn(count) {
+				return new Promise(function(resolve) {
+					FakeFlot.prototype.on_drawn = function() {
+						if (drawn.length == count) resolve();
+					};
+				});
+			}
+			afterEach(function() {
+				delete FakeFlot.prototype.on_drawn;
+			});
+
+			it("should prefetch the selected RRA before creating the graph", function() {
+				var done = when_drawn(1);
+				new ctx.rrdFlotAsync("mygraph", "example3.rrd", {range_requests: true}, undefined, undefined, {use_rra: true, rra: 1});
+				return done.then(function() {
+					expect(drawn).to.deep.equal([0]);
+					expect(bf.async_requests.length).to.equal(1);
+				});
+			});
+
+			it("should prefetch all the RRAs of the CF in auto mode, through the op lists", function() {
+				var done = when_drawn(1);
+				new ctx.rrdFlotAsync("mygraph", "example3.rrd", {range_requests: true}, undefined, undefined, {auto_rra: true},
+					["Oscilator"], [0, [1, 5400], new ctx.RRDRRAFltAvgOpNewStep(2, 28800)]);
+				return done.then(function() {
+					expect(drawn).to.deep.equal([0]);
+					expect(bf.async_requests.length).to.equal(3);
+				});
+			});
+
+			it("should prefetch the drawn RRA before updating the graph", function() {
+				var done = when_drawn(1);
+				var f = new ctx.rrdFlotAsync("mygraph", "example3.rrd", {range_requests: true}, undefined, undefined, {use_rra: true, rra: 0});
+				return done.then(function() {
+					// the live mode found a new file, where the graph now shows RRA 2
+					f.rrd_flot_obj.selected_rra = 2;
+					bf = range_file("example_rrds/example3.rrd", 4096);
+					f.rrd_data = new ctx.RRDFile(bf);
+					var updated = when_drawn(2);
+					f.update();
+					return updated;
+				}).then(function() {
+					expect(drawn).to.deep.equal([0, 0]);
+					expect(bf.async_requests.length).to.equal(1);
+				});
+			});
+		});
+	});
+
+	describe("worker pipeline", function() {
+		var rrdWorker = require("../lib/rrdWorker.js");
+		var rrdRRAStackFlotObj = require("../lib/rrdFlotSupport.js").rrdRRAStackFlotObj;
+		function rrd_buffer() {
+			var buf = fs.readFileSync("example_rrds/example3.rrd");
+			return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+		}
+		// runs rrdWorker.js in the same thread, with the Worker interface
+		function fake_worker() {
+			var scope = {};
+			var worker = {
+				postMessage: function(msg) {
+					setImmediate(function() {
+						scope.onmessage({data: msg});
+					});
+				},
+				terminate: function() {}
+			};
+			scope.postMessage = function(msg) {
+				worker.onmessage({data: msg});
+			};
+			rrdWorker.rrdWorkerListen(scope);
+			return worker;
+		}
+
+		it("should prepare the same data as the parsed file", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var res = rrdWorker.rrdWorkerSerialize(i_rrd_data);
+			expect(res.transfer.length).to.equal(i_rrd_data.getNrRRAs() * (i_rrd_data.getNrDSs() + 1));
+			var prepared = new rrdWorker.RRDPreparedFile(res.data);
+			expect(prepared.getDSNames()).to.deep.equal(i_rrd_data.getDSNames());
+			expect(prepared.getRRAInfo(1).getStep()).to.equal(i_rrd_data.getRRAInfo(1).getStep());
+			expect(prepared.getRRA(1).getTimestamp(3)).to.equal(i_rrd_data.getRRA(1).getTimestamp(3));
+			expect(rrdRRAStackFlotObj(prepared, 0, ["Oscilator"], [], ["PartialAvail"], 0, true, true)).to.deep.equal(
+				rrdRRAStackFlotObj(i_rrd_data, 0, ["Oscilator"], [], ["PartialAvail"], 0, true, true));
+		});
+
+		it("should parse and filter in the worker", function() {
+			var client = new rrdWorker.RRDWorkerClient(fake_worker());
+			return client.parse(rrd_buffer(), {ds_op_list: ["BrokenLine", 0], rra_op_list: [0]}).then(function(prepared) {
+				expect(prepared.getDSNames()).to.deep.equal(["BrokenLine", "Oscilator"]);
+				expect(prepared.getNrRRAs()).to.equal(1);
+				var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+				expect(Array.prototype.slice.call(prepared.getRRA(0).getColumn(1))).to.deep.equal(
+					Array.prototype.slice.call(i_rrd_data.getRRA(0).getColumn(0)));
+			});
+		});
+
+		it("should reject the requests that fail in the worker", function() {
+			var client = new rrdWorker.RRDWorkerClient(fake_worker());
+			return client.parse(new ArrayBuffer(16)).then(function() {
+				throw new Error("should have failed");
+			}, function(err) {
+				expect(err).to.be.an.instanceof(rrdWorker.RRDWorkerError);
+				expect(err.error_name).to.equal("Invalid RRD");
+			});
+		});
+
+		it("should build the Flot series in the worker", function() {
+			var i_rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var series = {rra_idx: 1, ds_positive_stack_list: ["Oscilator", "BrokenLine"], ds_single_list: ["PartialAvail"], want_rounding: true};
+			var expected = rrdRRAStackFlotObj(i_rrd_data, 1, ["Oscilator", "BrokenLine"], [], ["PartialAvail"], 0, undefined, true);
+			// only the series are transferred, one buffer for the times and one for the values
+			var res = rrdWorker.rrdWorkerFlotSeries(i_rrd_data, series);
+			expect(res.transfer.length).to.equal(2 * expected.data.length);
+
+			var client = new rrdWorker.RRDWorkerClient(fake_worker());
+			return client.parse(rrd_buffer(), {series: series}).then(function(flot_obj) {
+				expect(flot_obj).to.deep.equal(expected);
+				expect(flot_obj.data.map(function(el) { return el.label; })).to.deep.equal(["BrokenLine", "Oscilator", "PartialAvail"]);
+			});
+		});
+
+		it("should reject the pending requests when the worker fails", function() {
+			// a worker whose script never answers
+			var posted = [];
+			var worker = {
+				postMessage: function(msg) {
+					posted.push(msg);
+				},
+				terminate: function() {}
+			};
+			var client = new rrdWorker.RRDWorkerClient(worker);
+			function rejection(promise) {
+				return promise.then(function() {
+					throw new Error("not rejected");
+				}, function(err) {
+					return err;
+				});
+			}
+			var failed = Promise.all([rejection(client.load("a.rrd")), rejection(client.parse(rrd_buffer()))]);
+			expect(posted.length).to.equal(2);
+			worker.onerror({message: "Script error."});
+			return failed.then(function(errs) {
+				errs.forEach(function(err) {
+					expect(err).to.be.an.instanceof(rrdWorker.RRDWorkerError);
+					expect(err.error_name).to.equal("Worker Error");
+					expect(err.message).to.equal("Script error.");
+				});
+				expect(client.pending).to.deep.equal({});
+
+				var next = rejection(client.load("b.rrd"));
+				worker.onmessageerror({data: null});
+				return next;
+			}).then(function(err) {
+				expect(err).to.be.an.instanceof(rrdWorker.RRDWorkerError);
+				expect(err.error_name).to.equal("Message Error");
+				expect(client.pending).to.deep.equal({});
+			});
+		});
+
+		it("should graph the file prepared in the worker", function() {
+			var buffer = rrd_buffer();
+			var created = [];
+			// XMLHttpRequest stand-in, serving example3.rrd
+			function FakeXHR() {}
+			FakeXHR.prototype.open = function(method, url) {
+				this.url = url;
+			};
+			FakeXHR.prototype.send = function() {
+				var request = this;
+				setImmediate(function() {
+					request.status = 200;
+					request.response = buffer;
+					request.onload();
+				});
+			};
+			// records the arguments instead of drawing
+			function FakeFlot(html_id, rrd_data) {
+				this.html_id = html_id;
+				this.rrd_data = rrd_data;
+				this.triggered = [];
+				created.push(this);
+			}
+			FakeFlot.prototype.trigger = function(name) {
+				this.triggered.push(name);
+			};
+			var ctx = browser_context(["binaryXHR.js", "rrdFile.js", "rrdFilter.js", "rrdFlotSupport.js", "rrdWorker.js", "rrdFlotAsync.js"], {
+				XMLHttpRequest: FakeXHR,
+				rrdFlot: FakeFlot,
+				alert: function(msg) {
+					throw new Error(msg);
+				}
+			});
+			// the worker runs in the same context
+			var scope = {};
+			var worker = {
+				postMessage: function(msg) {
+					setImmediate(function() {
+						scope.onmessage({data: msg});
+					});
+				}
+			};
+			scope.postMessage = function(msg) {
+				worker.onmessage({data: msg});
+			};
+			ctx.rrdWorkerListen(scope);
+
+			// the op object cannot be posted, so it is applied on the page
+			var f = new ctx.rrdFlotWorkerAsync("mygraph", null, worker, undefined, undefined, undefined, undefined,
+				["BrokenLine", "Oscilator"], [new ctx.RRDRRAFltAvgOpNewStep(0, 900)]);
+			expect(f.worker).to.be.an.instanceof(ctx.RRDWorkerClient);
+			return f.reload("example3.rrd").then(function() {
+				expect(created.length).to.equal(1);
+				expect(created[0].html_id).to.equal("mygraph");
+				expect(created[0].triggered).to.deep.equal(["datareload"]);
+				expect(created[0].listeners).to.equal(f.listeners);
+				var rrd_data = created[0].rrd_data;
+				expect(rrd_data).to.be.an.instanceof(ctx.RRDRRAFilterAvg);
+				expect(f.rrd_data).to.be.an.instanceof(ctx.RRDPreparedFile);
+				expect(rrd_data.getDSNames()).to.deep.equal(["BrokenLine", "Oscilator"]);
+				expect(rrd_data.getNrRRAs()).to.equal(1);
+				expect(rrd_data.getRRA(0).getStep()).to.equal(900);
+				var rrdFilter = require("../lib/rrdFilter.js");
+				var expected = new rrdFilter.RRDRRAFilterAvg(
+					new rrdFilter.RRDFilterOp(new RRDFile(FetchBinaryFile("example_rrds/example3.rrd")), ["BrokenLine", "Oscilator"]),
+					[new rrdFilter.RRDRRAFltAvgOpNewStep(0, 900)]);
+				expect(Array.prototype.slice.call(rrd_data.getRRA(0).getColumn(1))).to.deep.equal(
+					Array.prototype.slice.call(expected.getRRA(0).getColumn(1)));
+			});
+		});
+
+		it("should tell which op lists can be posted", function() {
+			expect(rrdWorker.rrdWorkerCanPost(["a", 1, [0, 1800]])).to.equal(true);
+			expect(rrdWorker.rrdWorkerCanPost(undefined)).to.equal(true);
+			expect(rrdWorker.rrdWorkerCanPost([{getName: function() {}}])).to.equal(false);
+		});
+	});
+
+	describe("live graphs", function() {
+		var page, ctx, timers, fetches, answers;
+		// example3.rrd, updated seconds later
+		function rrd_buffer(seconds) {
+			var buf = fs.readFileSync("example_rrds/example3.rrd");
+			var buffer = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+			var header = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd")).rrd_header;
+			var view = new DataView(buffer);
+			view.setUint32(header.live_head_idx, header.getLastUpdate() + seconds, true);
+			return buffer;
+		}
+		// runs the last timer set, then lets the refetch complete
+		function run_timer() {
+			var timer = timers.pop();
+			timer.fn();
+			return new Promise(function(resolve) {
+				setImmediate(resolve);
+			});
+		}
+
+		beforeEach(function() {
+			page = fake_page("mygraph");
+			timers = [];
+			fetches = [];
+			answers = [];
+			ctx = browser_context(["binaryXHR.js", "rrdFile.js", "rrdFilter.js", "rrdFlotSupport.js", "rrdFlot.js", "rrdFlotAsync.js"], {
+				document: page.document,
+				Option: page.Option,
+				$: page.$,
+				setTimeout: function(fn, delay) {
+					timers.push({fn: fn, delay: delay});
+					return timers[timers.length - 1];
+				},
+				clearTimeout: function(timer) {
+					timers.splice(timers.indexOf(timer), 1);
+				},
+				alert: function(msg) {
+					throw new Error(msg);
+				}
+			});
+			// each refetch gets the next answer: a buffer, an error, or a promise
+			ctx.FetchBinaryURLPromise = function(url, options) {
+				fetches.push(options);
+				var answer = answers.shift();
+				if (answer instanceof Promise) return answer;
+				if (answer instanceof Error) return Promise.reject(answer);
+				return Promise.resolve(new ctx.DataViewBinaryFile(answer));
+			};
+		});
+
+		// the graph as rrdFlotAsync draws it once the file is loaded
+		function live_graph(rrdflot_defaults) {
+			var f = new ctx.rrdFlotAsync("mygraph", null, undefined, undefined, undefined, rrdflot_defaults);
+			f.url = "example3.rrd";
+			f.rrd_data = new ctx.RRDFile(new ctx.DataViewBinaryFile(rrd_buffer(0)));
+			f.callback();
+			return f;
+		}
+
+		it("should update the graph in place when the file changed", function() {
+			var f = live_graph();
+			var graph = f.rrd_flot_obj;
+			var reloads = 0;
+			f.on("datareload", function() {
+				reloads++;
+			});
+			graph.setState({checked_DSs: ["Oscilator", "BrokenLine"], rra: 1, window_min: 1.2e12, window_max: 1.3e12});
+			var state = graph.getState();
+
+			f.startLive({interval: 1000});
+			expect(timers.map(function(timer) { return timer.delay; })).to.deep.equal([1000]);
+			expect(page.document.listeners.visibilitychange.length).to.equal(1);
+			answers.push(rrd_buffer(0), rrd_buffer(300));
+			var first_data = f.rrd_data;
+			return run_timer().then(function() {
+				// same last update, nothing to do
+				expect(fetches).to.deep.equal([{timeout: 1000}]);
+				expect(f.rrd_data).to.equal(first_data);
+				expect(reloads).to.equal(0);
+				expect(timers.length).to.equal(1);
+				return run_timer();
+			}).then(function() {
+				expect(f.rrd_flot_obj).to.equal(graph);
+				expect(graph.rrd_file).to.equal(f.rrd_data);
+				expect(f.rrd_data.getLastUpdate()).to.equal(first_data.getLastUpdate() + 300);
+				expect(reloads).to.equal(1);
+				expect(graph.getState()).to.deep.equal(state);
+				expect(page.plots["#mygraph_graph"].options.xaxis.min).to.equal(1.2e12);
+				expect(timers.map(function(timer) { return timer.delay; })).to.deep.equal([1000]);
+
+				f.stopLive();
+				expect(timers.length).to.equal(0);
+				expect(page.document.listeners.visibilitychange.length).to.equal(0);
+			});
+		});
+
+		it("should back off after failed refetches", function() {
+			var f = live_graph();
+			var errors = [];
+			f.startLive({interval: 1000, max_interval: 3000, error_callback: function(err) {
+				errors.push(err);
+			}});
+			var failure = new Error("network down");
+			answers.push(failure, failure, failure, rrd_buffer(0));
+			var delays = [];
+			var tick = function() {
+				return run_timer().then(function() {
+					delays.push(timers[0].delay);
+				});
+			};
+			return tick().then(tick).then(tick).then(tick).then(function() {
+				expect(delays).to.deep.equal([2000, 3000, 3000, 1000]);
+				expect(errors).to.deep.equal([failure, failure, failure]);
+			});
+		});
+
+		it("should pause while the page is hidden", function() {
+			var f = live_graph();
+			f.startLive({interval: 1000});
+			page.document.hidden = true;
+			return run_timer().then(function() {
+				expect(fetches.length).to.equal(0);
+				expect(timers.length).to.equal(0);
+
+				page.document.hidden = false;
+				answers.push(rrd_buffer(0));
+				page.document.listeners.visibilitychange[0]();
+				return new Promise(function(resolve) {
+					setImmediate(resolve);
+				});
+			}).then(function() {
+				expect(fetches.length).to.equal(1);
+				expect(timers.length).to.equal(1);
+
+				// unless asked otherwise
+				f.startLive({interval: 1000, pause_hidden: false});
+				page.document.hidden = true;
+				answers.push(rrd_buffer(0));
+				return run_timer();
+			}).then(function() {
+				expect(fetches.length).to.equal(2);
+				expect(timers.length).to.equal(1);
+			});
+		});
+
+		it("should not reschedule a refetch that completes after a stop or a restart", function() {
+			var f = live_graph();
+			var resolve_fetch;
+			answers.push(new Promise(function(resolve) {
+				resolve_fetch = resolve;
+			}));
+			f.startLive({interval: 1000});
+			timers.pop().fn();
+			f.stopLive();
+			resolve_fetch(new ctx.DataViewBinaryFile(rrd_buffer(300)));
+			return new Promise(function(resolve) {
+				setImmediate(resolve);
+			}).then(function() {
+				expect(timers.length).to.equal(0);
+
+				answers.push(new Promise(function(resolve) {
+					resolve_fetch = resolve;
+				}));
+				f.startLive({interval: 1000});
+				timers.pop().fn();
+				f.startLive({interval: 5000});
+				resolve_fetch(new ctx.DataViewBinaryFile(rrd_buffer(600)));
+				return new Promise(function(resolve) {
+					setImmediate(resolve);
+				});
+			}).then(function() {
+				// only the timer of the new live mode is left
+				expect(timers.map(function(timer) { return timer.delay; })).to.deep.equal([5000]);
+			});
+		});
+
+		it("should keep one handler of each event across redraws", function() {
+			var f = live_graph();
+			var graph = f.rrd_flot_obj;
+			graph.updateRRDFile(new ctx.RRDFile(new ctx.DataViewBinaryFile(rrd_buffer(300))));
+			graph.updateRRDFile(new ctx.RRDFile(new ctx.DataViewBinaryFile(rrd_buffer(600))));
+			graph.drawFlotGraph();
+			["#mygraph_graph", "#mygraph_scale"].forEach(function(selector) {
+				var handlers = page.handlers[selector];
+				for (var name in handlers) {
+					expect(handlers[name].length, selector + " " + name).to.equal(1);
+				}
+			});
+			expect(page.handlers["#mygraph_scale"].plotunselected.length).to.equal(1);
+		});
+
+		it("should keep the checked DSs and hide the checkboxes when the DSs change", function() {
+			var f = live_graph({graph_only: true});
+			var graph = f.rrd_flot_obj;
+			// only the graph row is shown
+			expect(graph.external_table.rows.map(function(row) { return row.style.display; })).to.deep.equal(["none", undefined, "none"]);
+			graph.setState({checked_DSs: ["Oscilator", "PartialAvail"], rra: 2});
+
+			graph.updateRRDFile(new ctx.RRDFilterOp(f.rrd_data, ["PartialAvail", "BrokenLine"]));
+			var form_el = page.document.getElementById("mygraph_ds_cb");
+			// hidden, not removed, since drawing the graph reads them
+			expect(form_el.lastChild.style.display).to.equal("none");
+			expect(form_el.ds.map(function(cb) { return cb.value; })).to.deep.equal(["PartialAvail", "BrokenLine"]);
+			expect(graph.getState().checked_DSs).to.deep.equal(["PartialAvail"]);
+			expect(graph.getState().rra).to.equal(2);
+			expect(page.plots["#mygraph_graph"].data.map(function(el) { return el.id; })).to.deep.equal(["PartialAvail"]);
+		});
+	});
+
+	describe("graph state", function() {
+		var page, ctx;
+		beforeEach(function() {
+			page = fake_page("mygraph");
+			ctx = browser_context(["rrdFile.js", "rrdFilter.js", "rrdExport.js", "rrdFlotSupport.js", "rrdFlot.js", "rrdFlotMatrix.js"], {
+				document: page.document,
+				Option: page.Option,
+				$: page.$,
+				Blob: function(parts) {
+					this.content = parts.join("");
+				},
+				URL: {
+					createObjectURL: function(blob) {
+						page.downloads.push(blob.content);
+						return "blob:" + page.downloads.length;
+					},
+					revokeObjectURL: function() {}
+				},
+				window: {
+					location: {
+						search: "",
+						hash: ""
+					},
+					history: {
+						state: null,
+						replaceState: function(state, title, url) {
+							this.url = url;
+						}
+					}
+				}
+			});
+		});
+		// a copy of state, with some elements changed
+		function changed_state(state, changes) {
+			var out = {};
+			var key;
+			for (key in state) out[key] = state[key];
+			for (key in changes) out[key] = changes[key];
+			return out;
+		}
+		function xaxis(selector) {
+			var options = page.plots[selector].options.xaxis;
+			return [options.min, options.max];
+		}
+
+		it("should restore the state of rrdFlot returned by getState", function() {
+			var rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var graph = new ctx.rrdFlot("mygraph", rrd_data);
+			var state = {
+				checked_DSs: ["BrokenLine", "PartialAvail"],
+				rra: 1,
+				window_min: 1.2e12,
+				window_max: 1.3e12,
+				timezone: -5
+			};
+			graph.setState(state);
+			expect(graph.getState()).to.deep.equal(state);
+			expect(xaxis("#mygraph_graph")).to.deep.equal([1.2e12, 1.3e12]);
+			expect(page.plots["#mygraph_graph"].data.map(function(el) { return el.id; })).to.deep.equal(["BrokenLine", "PartialAvail"]);
+
+			// in a new graph, that replaces this one in the page
+			var saved = graph.getState();
+			var other = new ctx.rrdFlot("mygraph", rrd_data);
+			expect(other.getState()).to.not.deep.equal(state);
+			other.setState(saved);
+			expect(other.getState()).to.deep.equal(state);
+			// omitted elements are kept
+			other.setState({rra: 2});
+			expect(other.getState()).to.deep.equal(changed_state(state, {rra: 2}));
+		});
+
+		it("should export the rows plotted in the zoomed graph", function() {
+			var graph = new ctx.rrdFlot("mygraph", new RRDFile(FetchBinaryFile("example_rrds/example3.rrd")));
+			page.downloads = [];
+			var points = page.plots["#mygraph_graph"].data[0].data;
+			// not on a row, nor on a whole second
+			graph.setState({checked_DSs: ["Oscilator"], rra: 0, timezone: -5,
+				window_min: points[10][0] + 1234.5, window_max: points[20][0] + 567.5});
+			var plotted = page.plots["#mygraph_graph"].data[0].data;
+			expect(plotted.length).to.be.above(5);
+
+			graph.callback_export();
+			var lines = page.downloads[0].trim().split("\n");
+			expect(lines[0]).to.equal("timestamp,Oscilator");
+			expect(lines.slice(1).map(function(line) {
+				var cols = line.split(",");
+				return [(Number(cols[0]) - 5 * 3600) * 1000, (cols[1] === "") ? null : Number(cols[1])];
+			})).to.deep.equal(plotted);
+		});
+
+		it("should keep the state of each widget of the page to itself", function() {
+			page = fake_page("mygraph", "othergraph");
+			ctx = browser_context(["rrdFile.js", "rrdFilter.js", "rrdExport.js", "rrdFlotSupport.js", "rrdFlot.js", "rrdFlotMatrix.js"], {
+				document: page.document,
+				Option: page.Option,
+				$: page.$
+			});
+			var rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var graph = new ctx.rrdFlot("mygraph", rrd_data);
+			var other = new ctx.rrdFlot("othergraph", rrd_data);
+			var other_state = other.getState();
+			var other_xaxis = xaxis("#othergraph_graph");
+
+			page.handlers["#mygraph_graph"].plotselected[0]({}, {xaxis: {from: 1.2e12, to: 1.3e12}});
+			var timezone = page.document.getElementById("mygraph_time_sel");
+			timezone.selectedIndex = 2;
+			timezone.onchange();
+			expect(graph.getState().window_min).to.equal(1.2e12);
+			expect(graph.getState().timezone).to.equal(-10);
+			expect(other.getState()).to.deep.equal(other_state);
+			expect(xaxis("#othergraph_graph")).to.deep.equal(other_xaxis);
+			expect(other.selection_range.isSet()).to.equal(false);
+
+			var rrd_files = ["example4_s1.rrd", "example4_s2.rrd"].map(function(name) {
+				return [name, new RRDFile(FetchBinaryFile("example_rrds/" + name))];
+			});
+			var matrix = new ctx.rrdFlotMatrix("mygraph", rrd_files, null, undefined, null);
+			var other_matrix = new ctx.rrdFlotMatrix("othergraph", rrd_files, null, undefined, null);
+			var other_matrix_state = other_matrix.getState();
+			// the handler of the widget drawn last in the element
+			var zoom = page.handlers["#mygraph_graph"].plotselected;
+			zoom[zoom.length - 1]({}, {xaxis: {from: 1.2e12, to: 1.3e12}});
+			matrix.setState({rra: 1});
+			expect(matrix.getState().window_min).to.equal(1.2e12);
+			expect(other_matrix.getState()).to.deep.equal(other_matrix_state);
+			expect(other_matrix.selection_range.isSet()).to.equal(false);
+		});
+
+		it("should reset the zoom when both windows are 0", function() {
+			var graph = new ctx.rrdFlot("mygraph", new RRDFile(FetchBinaryFile("example_rrds/example3.rrd")));
+			var full_period = xaxis("#mygraph_graph");
+			graph.setState({window_min: 1.2e12, window_max: 1.3e12});
+			expect(page.plots["#mygraph_scale"].selection.xaxis.from).to.equal(1.2e12);
+
+			graph.setState({window_min: 0, window_max: 0});
+			expect(graph.getState().window_min).to.equal(0);
+			expect(graph.getState().window_max).to.equal(0);
+			expect(graph.selection_range.isSet()).to.equal(false);
+			expect(xaxis("#mygraph_graph")).to.deep.equal(full_period);
+			expect(page.plots["#mygraph_scale"].selection).to.equal(null);
+		});
+
+		it("should select the Auto resolutions by CF", function() {
+			var graph = new ctx.rrdFlot("mygraph", new RRDFile(FetchBinaryFile("example_rrds/example_openwrt.rrd")), undefined, undefined, {auto_rra: true});
+			expect(graph.getState().rra).to.equal("auto:AVERAGE");
+			graph.setState({rra: "auto:MAX"});
+			expect(graph.getState().rra).to.equal("auto:MAX");
+			graph.setState({rra: 4});
+			expect(graph.getState().rra).to.equal(4);
+			// "auto" alone is the first one
+			graph.setState({rra: "auto"});
+			expect(graph.getState().rra).to.equal("auto:AVERAGE");
+
+			// also from the URL
+			ctx.window.location.hash = "#mygraph.rra=auto";
+			graph = new ctx.rrdFlot("mygraph", new RRDFile(FetchBinaryFile("example_rrds/example_openwrt.rrd")), undefined, undefined, {auto_rra: true, use_rra: true, rra: 4, url_state: true});
+			expect(graph.getState().rra).to.equal("auto:AVERAGE");
+			expect(ctx.window.history.url).to.contain("mygraph.rra=auto%3AAVERAGE");
+		});
+
+		it("should restore the state of rrdFlotMatrix returned by getState", function() {
+			var rrd_files = ["example4_s1.rrd", "example4_s2.rrd", "example4_s3.rrd"].map(function(name) {
+				return [name, new RRDFile(FetchBinaryFile("example_rrds/" + name))];
+			});
+			var graph = new ctx.rrdFlotMatrix("mygraph", rrd_files, null, undefined, null);
+			var state = {
+				checked_RRDs: ["example4_s1.rrd", "example4_s3.rrd"],
+				ds: "StatusIdle",
+				rra: 2,
+				window_min: 1.2e12,
+				window_max: 1.3e12
+			};
+			graph.setState(state);
+			expect(graph.getState()).to.deep.equal(state);
+			expect(xaxis("#mygraph_graph")).to.deep.equal([1.2e12, 1.3e12]);
+
+			// in a new graph, that replaces this one in the page
+			var saved = graph.getState();
+			var other = new ctx.rrdFlotMatrix("mygraph", rrd_files, null, undefined, null);
+			other.setState(saved);
+			expect(other.getState()).to.deep.equal(state);
+
+			other.setState({window_min: 0, window_max: 0});
+			expect(other.getState()).to.deep.equal(changed_state(state, {window_min: 0, window_max: 0}));
+			expect(other.selection_range.isSet()).to.equal(false);
+		});
+	});
+
+	describe("sync groups", function() {
+		var rrdFlotSyncGroup = require("../lib/rrdFlotSupport.js").rrdFlotSyncGroup;
+		// stands for a widget, echoing every zoom back to the group as a real one does
+		function fake_widget(group, html_id) {
+			var widget = {
+				html_id: html_id,
+				windows: [],
+				crosshairs: [],
+				syncWindow: function(from, to) {
+					widget.windows.push([from, to]);
+					group.setWindow(widget, from, to);
+				},
+				syncCrosshair: function(time) {
+					widget.crosshairs.push(time);
+				}
+			};
+			group.add(widget);
+			return widget;
+		}
+
+		it("should mirror zoom and crosshair on the other members", function() {
+			var group = new rrdFlotSyncGroup();
+			var a = fake_widget(group, "a"), b = fake_widget(group, "b"), c = fake_widget(group, "c");
+			group.setWindow(a, 1000, 2000);
+			group.setCrosshair(b, 1500);
+			group.setCrosshair(b, null);
+			expect(a.windows).to.deep.equal([]);
+			expect(b.windows).to.deep.equal([[1000, 2000]]);
+			expect(c.windows).to.deep.equal([[1000, 2000]]);
+			expect(a.crosshairs).to.deep.equal([1500, null]);
+			expect(b.crosshairs).to.deep.equal([]);
+		});
+
+		it("should replace a widget redrawn in the same element", function() {
+			var group = new rrdFlotSyncGroup();
+			var a = fake_widget(group, "a");
+			var old_b = fake_widget(group, "b");
+			var b = fake_widget(group, "b");
+			expect(group.members).to.deep.equal([a, b]);
+			group.remove(a);
+			group.setWindow(null, 0, 0);
+			expect(b.windows).to.deep.equal([[0, 0]]);
+			expect(a.windows).to.deep.equal([]);
+			expect(old_b.windows).to.deep.equal([]);
+		});
+
+		it("should sync rrdFlot widgets shown in different timezones", function() {
+			var page = fake_page("graph1", "graph2");
+			var ctx = browser_context(["rrdFlotSupport.js", "rrdFlot.js"], {
+				document: page.document,
+				Option: page.Option,
+				$: page.$
+			});
+			var group = new ctx.rrdFlotSyncGroup();
+			var rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+			var a = new ctx.rrdFlot("graph1", rrd_data, null, null, {sync_group: group, timezone: 2});
+			var b = new ctx.rrdFlot("graph2", rrd_data, null, null, {sync_group: group, timezone: -5});
+			// the periods each widget is asked to zoom to
+			var synced = {a: [], b: []};
+			[["a", a], ["b", b]].forEach(function(el) {
+				var sync_window = el[1].syncWindow;
+				el[1].syncWindow = function(from, to) {
+					synced[el[0]].push([from, to]);
+					sync_window.call(this, from, to);
+				};
+			});
+			var hour = 3600 * 1000;
+			var from = 1267900000 * 1000 + 2 * hour, to = 1267920000 * 1000 + 2 * hour;
+
+			page.fire("#graph1_graph", "plotselected", {xaxis: {from: from, to: to}});
+			// the same period, in the local time of each graph
+			expect(a.getState().window_min).to.equal(from);
+			expect(b.getState().window_min).to.equal(from - 7 * hour);
+			expect(b.getState().window_max).to.equal(to - 7 * hour);
+			expect(page.plots["#graph2_scale"].selection.xaxis).to.deep.equal({from: from - 7 * hour, to: to - 7 * hour});
+			expect(synced).to.deep.equal({a: [], b: [[1267900000 * 1000, 1267920000 * 1000]]});
+
+			page.fire("#graph2_graph", "plothover", {x: from}, null);
+			expect(page.plots["#graph1_graph"].crosshair).to.deep.equal({x: from + 7 * hour});
+			page.fire("#graph2_graph", "mouseleave");
+			expect(page.plots["#graph1_graph"].crosshair).to.equal(null);
+
+			// the handlers of the redrawn graphs replace the old ones
+			a.drawFlotGraph();
+			b.drawFlotGraph();
+			page.fire("#graph1_scale", "plotunselected");
+			expect(a.getState().window_min).to.equal(0);
+			expect(b.getState().window_min).to.equal(0);
+			expect(b.getState().window_max).to.equal(0);
+			expect(page.plots["#graph2_scale"].selection).to.equal(null);
+			// once, b does not echo it back
+			expect(synced).to.deep.equal({a: [], b: [[1267900000 * 1000, 1267920000 * 1000], [0, 0]]});
+		});
+	});
+
+	describe("event listeners", function() {
+		var rrdFlotListeners = require("../lib/rrdFlotSupport.js").rrdFlotListeners;
+
+		it("should call the listeners of an event with its data", function() {
+			var listeners = new rrdFlotListeners();
+			var widget = {};
+			var events = [];
+			var listener = function(event) {
+				expect(this).to.equal(widget);
+				events.push(event);
+			};
+			listeners.on("rrachange", listener);
+			listeners.trigger("rrachange", widget, {rra: 2});
+			listeners.trigger("dschange", widget, {checked_DSs: []});
+			expect(events).to.deep.equal([{type: "rrachange", target: widget, rra: 2}]);
+			listeners.off("rrachange", listener);
+			listeners.trigger("rrachange", widget, {rra: 1});
+			expect(events.length).to.equal(1);
+		});
+
+		it("should let listeners remove themselves", function() {
+			var listeners = new rrdFlotListeners();
+			var calls = [];
+			var once = function() {
+				calls.push("once");
+				listeners.off("rangechange", once);
+			};
+			listeners.on("rangechange", once);
+			listeners.on("rangechange", function() {
+				calls.push("always");
+			});
+			listeners.trigger("rangechange", null, {});
+			listeners.trigger("rangechange", null, {});
+			expect(calls).to.deep.equal(["once", "always", "always"]);
+			listeners.off("rangechange");
+			listeners.trigger("rangechange", null, {});
+			expect(calls.length).to.equal(3);
+		});
+
+		describe("in the widgets", function() {
+			var page, ctx, events;
+			beforeEach(function() {
+				page = fake_page("mygraph");
+				ctx = browser_context(["rrdFlotSupport.js", "rrdFlot.js", "rrdFlotMatrix.js"], {
+					document: page.document,
+					Option: page.Option,
+					$: page.$
+				});
+			});
+			// the events of widget since the last call
+			function record(widget) {
+				events = [];
+				["rangechange", "dschange", "rrachange", "timezonechange", "datareload", "pointhover"].forEach(function(name) {
+					widget.on(name, function(event) {
+						events.push(event);
+					});
+				});
+			}
+			function recorded() {
+				var out = events;
+				events = [];
+				return out;
+			}
+			var hour = 3600 * 1000;
+
+			it("should tell the listeners of rrdFlot what the user changed", function() {
+				var graph = new ctx.rrdFlot("mygraph", new RRDFile(FetchBinaryFile("example_rrds/example3.rrd")), null, null, {timezone: 2});
+				record(graph);
+
+				page.fire("#mygraph_graph", "plotselected", {xaxis: {from: 1267900000 * 1000 + 2 * hour, to: 1267920000 * 1000 + 2 * hour}});
+				expect(recorded()).to.deep.equal([{type: "rangechange", target: graph,
+					window_min: 1267900000 * 1000 + 2 * hour, window_max: 1267920000 * 1000 + 2 * hour, start: 1267900000, end: 1267920000}]);
+				graph.callback_scale_reset();
+				expect(recorded()).to.deep.equal([{type: "rangechange", target: graph, window_min: 0, window_max: 0, start: null, end: null}]);
+
+				var form = page.document.getElementById("mygraph_ds_cb");
+				form.ds[1].checked = true;
+				form.onchange();
+				expect(recorded()).to.deep.equal([{type: "dschange", target: graph, checked_DSs: ["Oscilator", "BrokenLine"]}]);
+
+				var res = page.document.getElementById("mygraph_res");
+				res.selectedIndex = 1;
+				res.onchange();
+				expect(recorded()).to.deep.equal([{type: "rrachange", target: graph, rra: 1}]);
+
+				var timezone = page.document.getElementById("mygraph_time_sel");
+				timezone.selectedIndex = 7;
+				timezone.onchange();
+				expect(recorded()).to.deep.equal([{type: "timezonechange", target: graph, timezone: -5}]);
+
+				page.fire("#mygraph_graph", "plothover", {x: 1267900000 * 1000 - 5 * hour}, {
+					datapoint: [1267900000 * 1000 - 5 * hour, 0.5],
+					series: {id: "BrokenLine", label: "Broken line"}
+				});
+				// outside of the points
+				page.fire("#mygraph_graph", "plothover", {x: 0}, null);
+				expect(recorded()).to.deep.equal([{type: "pointhover", target: graph, timestamp: 1267900000, ds: "BrokenLine", value: 0.5}]);
+			});
+
+			it("should tell the listeners of rrdFlotMatrix what the user changed", function() {
+				var rrd_files = ["example4_s1.rrd", "example4_s2.rrd", "example4_s3.rrd"].map(function(name) {
+					return [name, new RRDFile(FetchBinaryFile("example_rrds/" + name))];
+				});
+				var graph = new ctx.rrdFlotMatrix("mygraph", rrd_files, null, undefined, null);
+				record(graph);
+
+				page.fire("#mygraph_graph", "plotselected", {xaxis: {from: 1.2e12, to: 1.3e12}});
+				expect(recorded()).to.deep.equal([{type: "rangechange", target: graph, window_min: 1.2e12, window_max: 1.3e12, start: 1.2e9, end: 1.3e9}]);
+				graph.callback_scale_reset();
+				expect(recorded()).to.deep.equal([{type: "rangechange", target: graph, window_min: 0, window_max: 0, start: null, end: null}]);
+
+				var ds = page.document.getElementById("mygraph_ds");
+				ds.selectedIndex = 1;
+				ds.onchange();
+				var ds_name = ds.options[1].value;
+				expect(recorded()).to.deep.equal([{type: "dschange", target: graph, ds: ds_name, checked_RRDs: ["example4_s1.rrd"]}]);
+				var form = page.document.getElementById("mygraph_rrd_cb");
+				form.rrd[1].checked = true;
+				form.onchange();
+				expect(recorded()).to.deep.equal([{type: "dschange", target: graph, ds: ds_name,
+					checked_RRDs: ["example4_s1.rrd", "example4_s2.rrd"]}]);
+
+				var res = page.document.getElementById("mygraph_res");
+				res.selectedIndex = 1;
+				res.onchange();
+				expect(recorded()).to.deep.equal([{type: "rrachange", target: graph, rra: 1}]);
+
+				page.fire("#mygraph_graph", "plothover", {x: 1.2e12}, {
+					datapoint: [1.2e12, 3],
+					series: {id: "example4_s2.rrd", label: "s2"}
+				});
+				page.fire("#mygraph_graph", "plothover", {x: 0}, null);
+				expect(recorded()).to.deep.equal([{type: "pointhover", target: graph, timestamp: 1.2e9, ds: ds_name, rrd: "example4_s2.rrd", value: 3}]);
+			});
+		});
+	});
+
+	describe("URL state", function() {
+		var rrdFlotSupport = require("../lib/rrdFlotSupport.js");
+
+		it("should round trip a state through the hash", function() {
+			var state = {
+				checked_DSs: ["in,out", "load 1m"],
+				rra: "auto",
+				window_min: 1233000000000,
+				window_max: 1233003600000,
+				timezone: -5
+			};
+			var hash = rrdFlotSupport.rrdFlotStateToHash("", "graph 1", state);
+			expect(rrdFlotSupport.rrdFlotStateFromHash("#" + hash, "graph 1")).to.deep.equal(state);
+			expect(rrdFlotSupport.rrdFlotStateFromHash("#" + hash, "graph")).to.equal(null);
+		});
+
+		it("should keep the state of the other widgets", function() {
+			var hash = rrdFlotSupport.rrdFlotStateToHash("#g1.rra=1&g2.rra=2&other", "g1", {
+				rra: 3,
+				checked_DSs: []
+			});
+			expect(hash).to.equal("g2.rra=2&other&g1.rra=3&g1.checked_DSs=");
+			expect(rrdFlotSupport.rrdFlotStateFromHash(hash, "g1")).to.deep.equal({rra: 3, checked_DSs: []});
+			expect(rrdFlotSupport.rrdFlotStateFromHash("?" + hash, "g2")).to.deep.equal({rra: 2});
+		});
+
+		describe("in the widgets", function() {
+			var page, ctx, urls;
+			beforeEach(function() {
+				page = fake_page("mygraph");
+				urls = [];
+				var location = {
+					search: "?mygraph.rra=2&mygraph.timezone=3",
+					hash: "#mygraph.checked_DSs=BrokenLine,PartialAvail&mygraph.window_min=1200000000000&mygraph.window_max=1300000000000"
+				};
+				ctx = browser_context(["rrdFlotSupport.js", "rrdFlot.js", "rrdFlotMatrix.js"], {
+					document: page.document,
+					Option: page.Option,
+					$: page.$,
+					window: {
+						location: location,
+						history: {
+							state: null,
+							// as a browser does, without reloading the page
+							replaceState: function(state, title, url) {
+								urls.push(url);
+								location.hash = url;
+							}
+						}
+					}
+				});
+			});
+
+			it("should restore and save the state of rrdFlot", function() {
+				var rrd_data = new RRDFile(FetchBinaryFile("example_rrds/example3.rrd"));
+				var graph = new ctx.rrdFlot("mygraph", rrd_data, null, null, {url_state: true});
+				expect(graph.getState()).to.deep.equal({
+					checked_DSs: ["BrokenLine", "PartialAvail"],
+					rra: 2,
+					window_min: 1.2e12,
+					window_max: 1.3e12,
+					timezone: 3
+				});
+				expect(page.plots["#mygraph_graph"].options.xaxis.min).to.equal(1.2e12);
+
+				urls = [];
+				page.fire("#mygraph_graph", "plotselected", {xaxis: {from: 1.25e12, to: 1.26e12}});
+				expect(urls.length).to.equal(1);
+				expect(ctx.rrdFlotStateFromHash(urls[0], "mygraph")).to.deep.equal(graph.getState());
+				expect(graph.getState().window_min).to.equal(1.25e12);
+
+				// not without url_state
+				var other = new ctx.rrdFlot("mygraph", rrd_data);
+				expect(other.getState().window_min).to.equal(0);
+				page.fire("#mygraph_graph", "plotselected", {xaxis: {from: 1.2e12, to: 1.3e12}});
+				expect(urls.length).to.equal(1);
+
+				// a page reloaded with the new URL
+				var reloaded = new ctx.rrdFlot("mygraph", rrd_data, null, null, {url_state: true});
+				expect(reloaded.getState()).to.deep.equal(graph.getState());
+			});
+
+			it("should restore and save the state of rrdFlotMatrix", function() {
+				var rrd_files = ["example4_s1.rrd", "example4_s2.rrd", "example4_s3.rrd"].map(function(name) {
+					return [name, new RRDFile(FetchBinaryFile("example_rrds/" + name))];
+				});
+				ctx.window.location.hash = "#mygraph.checked_RRDs=example4_s2.rrd&mygraph.ds=StatusIdle&mygraph.window_min=1200000000000&mygraph.window_max=1300000000000";
+				var graph = new ctx.rrdFlotMatrix("mygraph", rrd_files, null, undefined, null, {url_state: true});
+				expect(graph.getState()).to.deep.equal({
+					checked_RRDs: ["example4_s2.rrd"],
+					ds: "StatusIdle",
+					rra: 2,
+					window_min: 1.2e12,
+					window_max: 1.3e12
+				});
+
+				urls = [];
+				page.fire("#mygraph_graph", "plotselected", {xaxis: {from: 1.25e12, to: 1.26e12}});
+				expect(urls.length).to.equal(1);
+				expect(ctx.rrdFlotStateFromHash(urls[0], "mygraph")).to.deep.equal(graph.getState());
+				expect(graph.getState().window_min).to.equal(1.25e12);
+			});
+		});
+	});
+
+	describe("package", function() {
+		it("should export all modules from the main entry point", function() {
+			var javascriptrrd = require("..");
+			["RRDFile", "DataViewBinaryFile", "FetchBinaryFile", "RRDFilterOp", "RRDFileSum", "rrdRRA2FlotObj"].forEach(function(name) {
+				expect(javascriptrrd[name]).to.be.a("function");
+			});
+		});
+
+		it("should export the same names to ES modules", function() {
+			var javascriptrrd = require("..");
+			return import("javascriptrrd").then(function(esm) {
+				expect(esm.default).to.equal(javascriptrrd);
+				Object.keys(javascriptrrd).forEach(function(name) {
+					expect(esm[name]).to.equal(javascriptrrd[name]);
+				});
+			});
+		});
+	});
 });